@@ -0,0 +1,675 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+import merge from "merge";
+import React from "react";
+import PropTypes from "prop-types";
+
+import { getElementOffset } from "../js/util";
+
+// Distance, in pixels, the mouse must move before a press becomes a drag
+const DRAG_THRESHOLD = 3;
+
+// Distance, in pixels, an arrow key moves a selected annotation, and with
+// Shift held
+const ARROW_STEP = 1;
+const ARROW_STEP_LARGE = 10;
+
+// Padding around the text of a callout, and the size of the arrow heads
+const BOX_PADDING = 4;
+const ARROW_SIZE = 7;
+
+// Approximate width of a character as a fraction of the font size, used to
+// size callout boxes without measuring the text
+const CHARACTER_WIDTH = 0.6;
+
+// Where the label of a new annotation goes relative to its anchor
+const defaultOffsets = {
+    note: { dx: 0, dy: -12 },
+    arrow: { dx: 40, dy: -40 },
+    callout: { dx: 30, dy: -50 }
+};
+
+const defaultStyle = {
+    text: {
+        fontSize: 11,
+        fill: "#555",
+        cursor: "move"
+    },
+    line: {
+        stroke: "#999",
+        strokeWidth: 1,
+        fill: "none"
+    },
+    box: {
+        fill: "white",
+        opacity: 0.9,
+        stroke: "#999",
+        cursor: "move"
+    },
+    marker: {
+        fill: "#999"
+    },
+    selected: {
+        stroke: "steelblue",
+        fill: "steelblue"
+    }
+};
+
+function newId() {
+    return `annotation-${Date.now().toString(36)}-${Math.random()
+        .toString(36)
+        .slice(2, 7)}`;
+}
+
+/**
+ * Returns the point where the line from the center of a box of half size
+ * (w, h) in the direction (vx, vy) leaves the box, relative to its center
+ */
+function boxEdge(w, h, vx, vy) {
+    const t = Math.min(vx ? w / Math.abs(vx) : Infinity, vy ? h / Math.abs(vy) : Infinity);
+    return [vx * t, vy * t];
+}
+
+/**
+ * Renders text notes, arrows and callout boxes, each anchored to a time and
+ * a value on the y axis given by `axis`. Place this within `<Charts>`:
+ *
+ * ```
+ * <Charts>
+ *     <LineChart axis="price" series={series} />
+ *     <Annotations
+ *         axis="price"
+ *         annotations={this.state.annotations}
+ *         editable
+ *         onAnnotationsChange={annotations => this.setState({ annotations })}
+ *     />
+ * </Charts>
+ * ```
+ *
+ * The `annotations` are plain objects, so they can be saved as JSON and
+ * loaded again later:
+ *
+ *  * `id` - a unique string for the annotation
+ *  * `type` - one of "note", "arrow" or "callout"
+ *  * `time` - the time of the anchor, in ms since the epoch
+ *  * `value` - the value of the anchor on the y axis
+ *  * `text` - the text of the annotation
+ *  * `dx`, `dy` - the position of the text relative to the anchor, in pixels
+ *
+ * A "note" is just the text with a dot at the anchor, an "arrow" points from
+ * the text to the anchor and a "callout" is the text in a box joined to the
+ * anchor by a line.
+ *
+ * When `editable` is set, clicking on an empty part of the chart adds an
+ * annotation of the `defaultType` there and starts editing its text, which
+ * is finished with Enter (or cancelled with Escape). Clicking an annotation
+ * selects it. A selected annotation can be:
+ *
+ *  * dragged by its text, which moves the text of an arrow or callout, or
+ *    the whole of a note
+ *  * dragged by its anchor, which moves the point it refers to
+ *  * moved with the arrow keys, which move the text like dragging it, by
+ *    one pixel or ten with Shift held. The keys don't pan the chart while
+ *    an annotation is selected
+ *  * edited by double clicking it, or pressing Enter
+ *  * deleted with its delete button, or the Delete or Backspace key
+ *
+ * Each change calls `onAnnotationsChange` with the new list of annotations,
+ * which should be passed back in as the `annotations` prop.
+ */
+export default class Annotations extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = {
+            selected: null,
+            editing: null,
+            text: ""
+        };
+        this.handleOverlayMouseDown = this.handleOverlayMouseDown.bind(this);
+        this.handleOverlayClick = this.handleOverlayClick.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleTextChange = this.handleTextChange.bind(this);
+        this.handleTextKeyDown = this.handleTextKeyDown.bind(this);
+        this.finishEditing = this.finishEditing.bind(this);
+    }
+
+    componentWillUnmount() {
+        document.removeEventListener("mousemove", this.handleMouseMove);
+        document.removeEventListener("mouseup", this.handleMouseUp);
+    }
+
+    annotation(id) {
+        return _.find(this.props.annotations, a => a.id === id);
+    }
+
+    /**
+     * The d3 scale for the y axis, which unlike the `yScale` scaler can be
+     * inverted to find the value at a position
+     */
+    valueScale() {
+        const { transition, yScale } = this.props;
+        return transition ? transition.latestScale() : yScale;
+    }
+
+    change(annotations) {
+        if (this.props.onAnnotationsChange) {
+            this.props.onAnnotationsChange(annotations);
+        }
+    }
+
+    update(id, changes) {
+        this.change(this.props.annotations.map(a => (a.id === id ? { ...a, ...changes } : a)));
+    }
+
+    remove(id) {
+        this.change(this.props.annotations.filter(a => a.id !== id));
+        this.setState({ selected: null, editing: null });
+    }
+
+    /**
+     * Moves the "label" or "anchor" part of the annotation by dx, dy pixels
+     * from where it was. Moving either part of a note moves the whole note.
+     */
+    move(annotation, part, dx, dy) {
+        const { timeScale } = this.props;
+        const yScale = this.valueScale();
+
+        // The anchor is moved in pixels, so that it follows the mouse on any
+        // time scale, including one which skips excluded periods
+        const moveAnchor = () => ({
+            time: timeScale.invert(timeScale(annotation.time) + dx).getTime(),
+            value: yScale.invert(yScale(annotation.value) + dy)
+        });
+
+        if (part === "label" && annotation.type !== "note") {
+            this.update(annotation.id, { dx: annotation.dx + dx, dy: annotation.dy + dy });
+        } else if (part === "anchor" && annotation.type !== "note") {
+            // Keep the label where it is
+            this.update(annotation.id, {
+                ...moveAnchor(),
+                dx: annotation.dx - dx,
+                dy: annotation.dy - dy
+            });
+        } else {
+            this.update(annotation.id, moveAnchor());
+        }
+    }
+
+    startEditing(id) {
+        const annotation = this.annotation(id);
+        if (annotation) {
+            this.setState({ selected: id, editing: id, text: annotation.text || "" });
+        }
+    }
+
+    finishEditing() {
+        const { editing, text } = this.state;
+        if (!editing) {
+            return;
+        }
+        if (text.trim() === "") {
+            this.remove(editing);
+        } else {
+            this.update(editing, { text });
+            this.setState({ editing: null });
+        }
+    }
+
+    cancelEditing() {
+        const annotation = this.annotation(this.state.editing);
+        if (annotation && !annotation.text) {
+            this.remove(annotation.id);
+        } else {
+            this.setState({ editing: null });
+        }
+    }
+
+    //
+    // Event handlers
+    //
+
+    handleOverlayMouseDown(e) {
+        // Not stopped, so that the chart can still be panned from here
+        this.press = [e.pageX, e.pageY];
+    }
+
+    handleOverlayClick(e) {
+        const { timeScale } = this.props;
+        const [x0, y0] = this.press || [e.pageX, e.pageY];
+        this.press = null;
+        if (Math.abs(e.pageX - x0) > DRAG_THRESHOLD || Math.abs(e.pageY - y0) > DRAG_THRESHOLD) {
+            return;
+        }
+
+        if (this.state.editing) {
+            this.finishEditing();
+            return;
+        }
+        if (this.state.selected) {
+            this.setState({ selected: null });
+            return;
+        }
+
+        const offset = getElementOffset(this.overlay);
+        const type = this.props.defaultType;
+        const annotation = {
+            id: newId(),
+            type,
+            time: timeScale.invert(e.pageX - offset.left).getTime(),
+            value: this.valueScale().invert(e.pageY - offset.top),
+            text: "",
+            ...defaultOffsets[type]
+        };
+        this.change([...this.props.annotations, annotation]);
+        this.setState({ selected: annotation.id, editing: annotation.id, text: "" });
+    }
+
+    handleMouseDown(e, id, part) {
+        if (!this.props.editable || e.button === 2) {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+
+        // Focus the annotation so that it receives key presses
+        const node = e.currentTarget.closest(".annotation");
+        if (node && node.focus) {
+            node.focus();
+        }
+
+        this.drag = { id, part, x: e.pageX, y: e.pageY, annotation: this.annotation(id) };
+        document.addEventListener("mousemove", this.handleMouseMove);
+        document.addEventListener("mouseup", this.handleMouseUp);
+
+        if (this.state.editing && this.state.editing !== id) {
+            this.finishEditing();
+        }
+        this.setState({ selected: id });
+    }
+
+    handleMouseMove(e) {
+        if (!this.drag) {
+            return;
+        }
+        e.preventDefault();
+
+        const { part, annotation } = this.drag;
+        const dx = e.pageX - this.drag.x;
+        const dy = e.pageY - this.drag.y;
+        if (!this.drag.moved && Math.abs(dx) <= DRAG_THRESHOLD && Math.abs(dy) <= DRAG_THRESHOLD) {
+            return;
+        }
+        this.drag.moved = true;
+        this.move(annotation, part, dx, dy);
+    }
+
+    handleMouseUp() {
+        this.drag = null;
+        document.removeEventListener("mousemove", this.handleMouseMove);
+        document.removeEventListener("mouseup", this.handleMouseUp);
+    }
+
+    handleDoubleClick(e, id) {
+        if (!this.props.editable) {
+            return;
+        }
+        e.stopPropagation();
+        this.startEditing(id);
+    }
+
+    handleKeyDown(e, id) {
+        if (!this.props.editable || this.state.editing) {
+            return;
+        }
+        const step = e.shiftKey ? ARROW_STEP_LARGE : ARROW_STEP;
+        switch (e.key) {
+            case "ArrowLeft":
+                this.move(this.annotation(id), "label", -step, 0);
+                break;
+            case "ArrowRight":
+                this.move(this.annotation(id), "label", step, 0);
+                break;
+            case "ArrowUp":
+                this.move(this.annotation(id), "label", 0, -step);
+                break;
+            case "ArrowDown":
+                this.move(this.annotation(id), "label", 0, step);
+                break;
+            case "Delete":
+            case "Backspace":
+                this.remove(id);
+                break;
+            case "Enter":
+                this.startEditing(id);
+                break;
+            case "Escape":
+                this.setState({ selected: null });
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    handleTextChange(e) {
+        this.setState({ text: e.target.value });
+    }
+
+    handleTextKeyDown(e) {
+        // Keep keys typed into the text from reaching the chart
+        e.stopPropagation();
+        if (e.key === "Enter") {
+            this.finishEditing();
+        } else if (e.key === "Escape") {
+            this.cancelEditing();
+        }
+    }
+
+    //
+    // Render
+    //
+
+    renderText(lines, x, y, style) {
+        const fontSize = style.fontSize;
+        const top = y - ((lines.length - 1) * fontSize * 1.2) / 2;
+        return (
+            <text x={x} y={top} textAnchor="middle" dominantBaseline="central" style={style}>
+                {lines.map((line, i) => (
+                    <tspan key={i} x={x} dy={i === 0 ? 0 : "1.2em"}>
+                        {line}
+                    </tspan>
+                ))}
+            </text>
+        );
+    }
+
+    renderEditor(x, y, width, height) {
+        const w = Math.max(width, 100);
+        const h = Math.max(height, 20);
+        return (
+            <foreignObject x={x - w / 2} y={y - h / 2} width={w} height={h}>
+                <input
+                    type="text"
+                    value={this.state.text}
+                    style={{ width: "100%", height: "100%", boxSizing: "border-box" }}
+                    autoFocus
+                    onChange={this.handleTextChange}
+                    onKeyDown={this.handleTextKeyDown}
+                    onBlur={this.finishEditing}
+                    onMouseDown={e => e.stopPropagation()}
+                />
+            </foreignObject>
+        );
+    }
+
+    renderDeleteButton(x, y, id) {
+        const style = { cursor: "pointer" };
+        return (
+            <g
+                transform={`translate(${x},${y})`}
+                style={style}
+                onMouseDown={e => e.stopPropagation()}
+                onClick={e => {
+                    e.stopPropagation();
+                    this.remove(id);
+                }}
+            >
+                <circle r={6} style={{ fill: "white", stroke: "#999" }} />
+                <path d="M-2.5,-2.5L2.5,2.5M2.5,-2.5L-2.5,2.5" style={{ stroke: "#999" }} />
+            </g>
+        );
+    }
+
+    renderAnnotation(annotation, style) {
+        const { timeScale, yScale, editable } = this.props;
+        const { id, type = "note", dx = 0, dy = 0 } = annotation;
+        const isSelected = this.state.selected === id;
+        const isEditing = this.state.editing === id;
+
+        const ax = timeScale(annotation.time);
+        const ay = yScale(annotation.value);
+        const lx = ax + dx;
+        const ly = ay + dy;
+
+        // Size of the label
+        const lines = (annotation.text || "").split("\n");
+        const fontSize = style.text.fontSize;
+        const textWidth = _.max(lines.map(line => line.length)) * fontSize * CHARACTER_WIDTH;
+        const textHeight = lines.length * fontSize * 1.2;
+        const w = textWidth / 2 + BOX_PADDING;
+        const h = textHeight / 2 + BOX_PADDING;
+
+        const lineStyle = isSelected
+            ? merge(true, style.line, { stroke: style.selected.stroke })
+            : style.line;
+        const boxStyle = isSelected
+            ? merge(true, style.box, { stroke: style.selected.stroke })
+            : style.box;
+        const markerStyle = isSelected
+            ? merge(true, style.marker, { fill: style.selected.fill })
+            : style.marker;
+
+        // Line from the edge of the label to the anchor
+        let connector = null;
+        const vx = ax - lx;
+        const vy = ay - ly;
+        const length = Math.sqrt(vx * vx + vy * vy);
+        if (type !== "note" && length > 0 && (Math.abs(vx) > w || Math.abs(vy) > h)) {
+            const [ex, ey] = boxEdge(w, h, vx, vy);
+            let head = null;
+            if (type === "arrow") {
+                const ux = vx / length;
+                const uy = vy / length;
+                const bx = ax - ux * ARROW_SIZE;
+                const by = ay - uy * ARROW_SIZE;
+                const px = (-uy * ARROW_SIZE) / 2;
+                const py = (ux * ARROW_SIZE) / 2;
+                head = (
+                    <path
+                        d={`M${ax},${ay}L${bx + px},${by + py}L${bx - px},${by - py}Z`}
+                        style={merge(true, lineStyle, { fill: lineStyle.stroke })}
+                    />
+                );
+            }
+            connector = (
+                <g pointerEvents="none">
+                    <line x1={lx + ex} y1={ly + ey} x2={ax} y2={ay} style={lineStyle} />
+                    {head}
+                </g>
+            );
+        }
+
+        const anchor =
+            type === "arrow" && !isSelected ? null : (
+                <circle
+                    cx={ax}
+                    cy={ay}
+                    r={isSelected ? 4 : 2.5}
+                    style={merge(true, markerStyle, { cursor: editable ? "move" : "default" })}
+                    onMouseDown={e => this.handleMouseDown(e, id, "anchor")}
+                />
+            );
+
+        const box =
+            type === "callout" ? (
+                <rect x={lx - w} y={ly - h} width={w * 2} height={h * 2} style={boxStyle} />
+            ) : (
+                <rect x={lx - w} y={ly - h} width={w * 2} height={h * 2} style={{ opacity: 0 }} />
+            );
+
+        const label = isEditing ? (
+            this.renderEditor(lx, ly, w * 2, h * 2)
+        ) : (
+            <g
+                onMouseDown={e => this.handleMouseDown(e, id, "label")}
+                onDoubleClick={e => this.handleDoubleClick(e, id)}
+            >
+                {box}
+                {this.renderText(lines, lx, ly, style.text)}
+            </g>
+        );
+
+        return (
+            <g
+                key={id}
+                className="annotation"
+                tabIndex={editable ? 0 : undefined}
+                style={{ outline: "none" }}
+                onKeyDown={e => this.handleKeyDown(e, id)}
+            >
+                {connector}
+                {label}
+                {anchor}
+                {isSelected && !isEditing && editable
+                    ? this.renderDeleteButton(lx + w, ly - h, id)
+                    : null}
+            </g>
+        );
+    }
+
+    render() {
+        const { annotations, timeScale, yScale, width, height, editable } = this.props;
+        if (!timeScale || !yScale) {
+            return <g />;
+        }
+
+        const style = {
+            text: merge(true, defaultStyle.text, this.props.style.text || {}),
+            line: merge(true, defaultStyle.line, this.props.style.line || {}),
+            box: merge(true, defaultStyle.box, this.props.style.box || {}),
+            marker: merge(true, defaultStyle.marker, this.props.style.marker || {}),
+            selected: merge(true, defaultStyle.selected, this.props.style.selected || {})
+        };
+
+        const overlay = editable ? (
+            <rect
+                ref={c => {
+                    this.overlay = c;
+                }}
+                x={0}
+                y={0}
+                width={width}
+                height={height}
+                style={{ fill: "white", opacity: 0, cursor: "crosshair" }}
+                onMouseDown={this.handleOverlayMouseDown}
+                onClick={this.handleOverlayClick}
+            />
+        ) : null;
+
+        return (
+            <g>
+                {overlay}
+                {annotations.map(annotation => this.renderAnnotation(annotation, style))}
+            </g>
+        );
+    }
+}
+
+Annotations.propTypes = {
+    /**
+     * Show or hide this chart
+     */
+    visible: PropTypes.bool,
+
+    /**
+     * The annotations to show. Each is an object with an `id`, a `type`
+     * ("note", "arrow" or "callout"), an anchor `time` (in ms) and `value`,
+     * the `text`, and `dx` and `dy`, the pixel offset of the text from the
+     * anchor. See above.
+     */
+    annotations: PropTypes.arrayOf(
+        PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            type: PropTypes.oneOf(["note", "arrow", "callout"]),
+            time: PropTypes.number.isRequired,
+            value: PropTypes.number.isRequired,
+            text: PropTypes.string,
+            dx: PropTypes.number,
+            dy: PropTypes.number
+        })
+    ),
+
+    /**
+     * Reference to the axis which provides the vertical scale for the
+     * annotations' values. This should match the `id` of a `<YAxis>`.
+     */
+    axis: PropTypes.string.isRequired, // eslint-disable-line
+
+    /**
+     * If true, annotations can be added by clicking the chart, and
+     * selected, dragged, edited and deleted.
+     */
+    editable: PropTypes.bool,
+
+    /**
+     * The type of annotation added by clicking the chart
+     */
+    defaultType: PropTypes.oneOf(["note", "arrow", "callout"]),
+
+    /**
+     * Called with the new list of annotations whenever an annotation is
+     * added, moved, edited or deleted.
+     */
+    onAnnotationsChange: PropTypes.func,
+
+    /**
+     * The style of the annotations. This is an object which may contain:
+     *
+     *  * `text` - the style of the text, including its `fontSize`
+     *  * `line` - the style of the lines of arrows and callouts
+     *  * `box` - the style of the box of a callout
+     *  * `marker` - the style of the dot at the anchor
+     *  * `selected` - the `stroke` and `fill` used for a selected annotation
+     */
+    style: PropTypes.shape({
+        text: PropTypes.object,
+        line: PropTypes.object,
+        box: PropTypes.object,
+        marker: PropTypes.object,
+        selected: PropTypes.object
+    }),
+
+    /**
+     * [Internal] The timeScale supplied by the surrounding ChartContainer
+     */
+    timeScale: PropTypes.func,
+
+    /**
+     * [Internal] The yScale supplied by the associated YAxis
+     */
+    yScale: PropTypes.func,
+
+    /**
+     * [Internal] The y scale interpolator supplied by the associated YAxis
+     */
+    transition: PropTypes.object,
+
+    /**
+     * [Internal] The width supplied by the surrounding ChartContainer
+     */
+    width: PropTypes.number,
+
+    /**
+     * [Internal] The height supplied by the surrounding ChartContainer
+     */
+    height: PropTypes.number
+};
+
+Annotations.defaultProps = {
+    visible: true,
+    annotations: [],
+    editable: false,
+    defaultType: "note",
+    style: {}
+};
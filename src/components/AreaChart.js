@@ -11,15 +11,16 @@
 import "array.prototype.fill";
 
 import _ from "underscore";
-import { area, line } from "d3-shape";
+import { area, line, stack, stackOffsetSilhouette, stackOffsetWiggle } from "d3-shape";
 import merge from "merge";
 import React from "react";
 import PropTypes from "prop-types";
 import { TimeSeries } from "pondjs";
 
-import { scaleAsString } from "../js/util";
+import { scaleAsString, visibleRange } from "../js/util";
 import { Styler } from "../js/styler";
 import curves from "../js/curve";
+import downsample from "../js/downsample";
 
 const defaultStyle = {
     line: {
@@ -36,6 +37,122 @@ const defaultStyle = {
     }
 };
 
+// The d3 stack offsets used for streamgraphs
+const streamOffsets = {
+    wiggle: stackOffsetWiggle,
+    silhouette: stackOffsetSilhouette
+};
+
+/**
+ * Returns the layout of a stack of columns at each point of the series for
+ * a `stackOffset`, as the baseline of the stack and the factor to scale
+ * each value by. For "expand" each stack is scaled to a total of 1, and
+ * for "wiggle" and "silhouette" the baseline is moved to make a streamgraph,
+ * whose extent over the whole series is also returned. The layout is over
+ * the whole series, so that it doesn't change as the chart is panned. Bad
+ * values count as zero.
+ */
+function stackLayout(series, columnList, stackOffset) {
+    const size = series.size();
+    const baselines = new Array(size).fill(0);
+    const scales = new Array(size).fill(1);
+    let extent = null;
+    if (!columnList.length || !(stackOffset === "expand" || _.has(streamOffsets, stackOffset))) {
+        return { baselines, scales, extent };
+    }
+
+    const rows = _.range(size).map(j => {
+        const event = series.at(j);
+        return _.object(
+            columnList,
+            columnList.map(column => {
+                const value = event.get(column);
+                return _.isFinite(value) ? value : 0;
+            })
+        );
+    });
+
+    if (stackOffset === "expand") {
+        rows.forEach((row, j) => {
+            const total = _.reduce(_.values(row), (sum, value) => sum + value, 0);
+            scales[j] = total ? 1 / total : 1;
+        });
+    } else {
+        const layers = stack()
+            .keys(columnList)
+            .offset(streamOffsets[stackOffset])(rows);
+        layers[0].forEach(([y0], j) => {
+            baselines[j] = y0;
+        });
+        extent = [Infinity, -Infinity];
+        layers.forEach(layer =>
+            layer.forEach(([y0, y1]) => {
+                extent[0] = Math.min(extent[0], y0, y1);
+                extent[1] = Math.max(extent[1], y0, y1);
+            })
+        );
+    }
+    return { baselines, scales, extent };
+}
+
+const layoutCache = new WeakMap();
+
+/**
+ * Returns the `stackLayout()` of the columns of the series, from the cache
+ * if it has already been computed, so that it is worked out once for each
+ * series rather than on every render and scale update.
+ */
+function cachedStackLayout(series, columnList, stackOffset) {
+    const key = [stackOffset, ...columnList].join("|");
+    if (!layoutCache.has(series)) {
+        layoutCache.set(series, {});
+    }
+    const cache = layoutCache.get(series);
+    if (!_.has(cache, key)) {
+        cache[key] = stackLayout(series, columnList, stackOffset);
+    }
+    return cache[key];
+}
+
+function isStream(props) {
+    return props.stack && _.has(streamOffsets, props.stackOffset);
+}
+
+/**
+ * Returns the columns of the chart stacked in each direction, as a list of
+ * [columns, dir] with a dir of 1 for up and -1 for down. A streamgraph has
+ * no up or down, so its "down" columns are stacked after the "up" columns.
+ */
+function stackDirections(props) {
+    const { up = [], down = [] } = props.columns;
+    return isStream(props) ? [[up.concat(down), 1]] : [[up, 1], [down, -1]];
+}
+
+/**
+ * Returns the stacked values of each column of the chart for the event at
+ * the index j, as `{value, y0, y1}`. See `AreaChart.stackedValues()`.
+ */
+function stackedValuesAt(props, j) {
+    const { series, stack: isStacked } = props;
+    const stackOffset = isStacked ? props.stackOffset : "none";
+    const event = series.at(j);
+    const result = {};
+    stackDirections(props).forEach(([columnList, dir]) => {
+        const { baselines, scales } = cachedStackLayout(series, columnList, stackOffset);
+        let offset = baselines[j];
+        columnList.forEach(column => {
+            const value = event.get(column);
+            const scaled = _.isFinite(value) ? value * scales[j] : 0;
+            const y1 = offset + dir * scaled;
+            result[column] = { value: _.isFinite(value) ? scaled : null, y0: offset, y1 };
+            if (isStacked) {
+                offset = y1;
+            }
+        });
+    });
+    return result;
+}
+
 /**
  * The `<AreaChart>` component is able to display single or multiple stacked
  * areas above or below the axis. It used throughout the
@@ -81,6 +198,31 @@ const defaultStyle = {
  * the down direction. Each direction is specified as an array, so adding multiple
  * columns into a direction will stack the areas in that direction.
  *
+ * ### Difference areas
+ *
+ * Instead of stacking from zero, the area between two columns can be filled
+ * using `columns={{between: ["actual", "forecast"]}}`. The area is split
+ * where the columns cross, and each part is drawn with the area style of
+ * whichever column is on top there, with each column outlined in its line
+ * style. This is useful to compare, for example, in and out traffic, or
+ * actual and forecast values.
+ *
+ * ### Stack offsets
+ *
+ * Stacked areas are drawn up and down from zero. With the `stackOffset`
+ * prop they can instead be normalized, with `stackOffset="expand"`, so that
+ * each stack fills from 0 to 1 (or 0 to -1 for the "down" columns) and the
+ * areas show each column's share of the total. A `<YAxis>` with a min and
+ * max of "auto" is then set to that range and formatted as a percentage.
+ *
+ * With `stackOffset="wiggle"` or `"silhouette"` the columns are drawn as a
+ * streamgraph, centered around zero rather than stacked on it. There is no
+ * up or down in a streamgraph, so the "down" columns are stacked after the
+ * "up" columns.
+ *
+ * Highlighting and selection follow the areas as drawn. To show the
+ * drawn values in a tracker, use `AreaChart.stackedValues()`.
+ *
  * Note: It is recommended that `<ChartContainer>`s be placed within a <Resizable> tag,
  * rather than hard coding the width as in the above example.
  * 
@@ -89,6 +231,77 @@ const defaultStyle = {
  * 
  */
 export default class AreaChart extends React.Component {
+    /**
+     * The extent of the areas for the events, used when the chart's axis
+     * has a min or max of "auto". Areas are drawn from zero, with the "up"
+     * columns above it and the "down" columns below, stacked if `stack`
+     * is set. The area between the `between` columns is not drawn from zero.
+     * Normalized stacks extend to 1 and streamgraphs are measured over the
+     * whole series, so that the axis doesn't change as the chart is panned.
+     */
+    static valueExtent(props, events) {
+        const { up = [], down = [], between = [] } = props.columns;
+        if (props.stack && props.stackOffset === "expand" && (up.length || down.length)) {
+            return [down.length ? -1 : 0, up.length ? 1 : 0];
+        }
+        if (isStream(props) && (up.length || down.length)) {
+            const { extent } = cachedStackLayout(props.series, up.concat(down), props.stackOffset);
+            return extent[0] <= extent[1] ? extent : null;
+        }
+        const extent = up.length || down.length ? [0, 0] : [Infinity, -Infinity];
+        events.forEach(event => {
+            [[up, 1], [down, -1]].forEach(([columns, dir]) => {
+                let offset = 0;
+                columns.forEach(column => {
+                    const value = event.get(column);
+                    if (_.isFinite(value)) {
+                        const y = offset + dir * value;
+                        extent[0] = Math.min(extent[0], y);
+                        extent[1] = Math.max(extent[1], y);
+                        if (props.stack) {
+                            offset = y;
+                        }
+                    }
+                });
+            });
+            between.forEach(column => {
+                const value = event.get(column);
+                if (_.isFinite(value)) {
+                    extent[0] = Math.min(extent[0], value);
+                    extent[1] = Math.max(extent[1], value);
+                }
+            });
+        });
+        return extent[0] <= extent[1] ? extent : null;
+    }
+
+    /**
+     * Returns the stacked values of the "up" and "down" columns of the chart,
+     * given its props, as drawn with its `stackOffset`. For each column this
+     * is a list, with an item per event of the series, of `{value, y0, y1}`
+     * where `value` is the value drawn (e.g. its share of the total for
+     * "expand") and the area spans `y0` to `y1`, in the units of the axis.
+     * If a `time` is given only the item for the event at that time is
+     * returned for each column, which is useful for the tracker's values.
+     */
+    static stackedValues(props, time) {
+        const { series } = props;
+        if (time) {
+            return series.size() ? stackedValuesAt(props, series.bisect(time)) : {};
+        }
+        const items = _.range(series.size()).map(j => stackedValuesAt(props, j));
+        const columns = _.flatten(stackDirections(props).map(([columnList]) => columnList));
+        return _.object(columns, columns.map(column => items.map(item => item[column])));
+    }
+
+    /**
+     * The format of a `<YAxis>` with a min and max of "auto", and its default
+     * format, bound to this chart. Normalized stacks are shown as percentages.
+     */
+    static axisFormat(props) {
+        return props.stack && props.stackOffset === "expand" ? ".0%" : null;
+    }
+
     shouldComponentUpdate(nextProps) {
         const newSeries = nextProps.series;
         const oldSeries = this.props.series;
@@ -100,6 +313,8 @@ export default class AreaChart extends React.Component {
         const style = nextProps.style;
         const highlight = nextProps.highlight;
         const selection = nextProps.selection;
+        const downsampleMode = nextProps.downsample;
+        const stackOffset = nextProps.stackOffset;
 
         const widthChanged = this.props.width !== width;
         const timeScaleChanged = scaleAsString(this.props.timeScale) !== scaleAsString(timeScale);
@@ -109,6 +324,8 @@ export default class AreaChart extends React.Component {
         const styleChanged = JSON.stringify(this.props.style) !== JSON.stringify(style);
         const highlightChanged = this.props.highlight !== highlight;
         const selectionChanged = this.props.selection !== selection;
+        const downsampleChanged = this.props.downsample !== downsampleMode;
+        const stackOffsetChanged = this.props.stackOffset !== stackOffset;
 
         let seriesChanged = false;
         if (oldSeries.size() !== newSeries.size()) {
@@ -126,7 +343,9 @@ export default class AreaChart extends React.Component {
             styleChanged ||
             yAxisScaleChanged ||
             highlightChanged ||
-            selectionChanged
+            selectionChanged ||
+            downsampleChanged ||
+            stackOffsetChanged
         );
     }
 
@@ -275,11 +494,59 @@ export default class AreaChart extends React.Component {
         );
     }
 
-    renderPaths(columnList, direction) {
-        const dir = direction === "up" ? 1 : -1;
-        const size = this.props.series.size();
-        const offsets = new Array(size).fill(0);
+    /**
+     * Returns the indices of the events in the series to draw for the
+     * columns stacked in one direction. Only the events visible within
+     * the timeScale are drawn, and these are then reduced as specified by
+     * the downsample prop. The reduction is based on the total of the stack
+     * and the same indices are used for every column, so that the stacked
+     * areas still line up.
+     */
+    pointIndices(columnList) {
+        const [begin, end] = visibleRange(this.props.series, this.props.timeScale);
+        if (this.props.downsample === "none") {
+            return _.range(begin, end);
+        }
+        const xs = [];
+        const ys = [];
+        const kept = [];
+        for (let j = begin; j < end; j += 1) {
+            const seriesPoint = this.props.series.at(j);
+            xs.push(this.props.timeScale(seriesPoint.timestamp()));
+            let badPoint = false;
+            ys.push(
+                _.reduce(
+                    columnList,
+                    (total, column) => {
+                        const value = seriesPoint.get(column);
+                        badPoint = badPoint || !_.isFinite(value);
+                        return _.isFinite(value) ? total + value : total;
+                    },
+                    0
+                )
+            );
+
+            // Keep bad points, and the points either side of them, so that
+            // the gaps drawn with breakArea are where they are in the data
+            if (badPoint) {
+                kept.push(j - 1, j, j + 1);
+            }
+        }
+        const indices = downsample(this.props.downsample, xs, ys).map(i => i + begin);
+        return _.uniq(
+            _.sortBy(indices.concat(kept.filter(j => j >= begin && j < end)), _.identity),
+            true
+        );
+    }
+
+    renderPaths(columnList, dir) {
+        const stackOffset = this.props.stack ? this.props.stackOffset : "none";
+        const { baselines, scales } = cachedStackLayout(this.props.series, columnList, stackOffset);
         const len = columnList.length;
+        const indices = this.pointIndices(columnList);
+
+        // The offset of each point drawn, from the top of the stack so far
+        const offsets = indices.map(j => baselines[j]);
 
         return columnList.map((column, i) => {
             // Stack the series columns to get our data in x0, y0, y1 format
@@ -287,11 +554,12 @@ export default class AreaChart extends React.Component {
             let count = 1;
             if (this.props.breakArea) {
                 let currentPoints = null;
-                for (let j = 0; j < this.props.series.size(); j += 1) {
+                indices.forEach((j, k) => {
                     const seriesPoint = this.props.series.at(j);
                     let value = seriesPoint.get(column);
                     const badPoint = _.isNull(value) || _.isNaN(value) || !_.isFinite(value);
                     if (badPoint) value = 0;
+                    value *= scales[j];
 
                     // Case 1:
                     // When stacking is present with multiple area charts, then mark bad points as 0
@@ -299,11 +567,11 @@ export default class AreaChart extends React.Component {
                         if (!currentPoints) currentPoints = [];
                         currentPoints.push({
                             x0: this.props.timeScale(seriesPoint.timestamp()),
-                            y0: this.props.yScale(offsets[j]),
-                            y1: this.props.yScale(offsets[j] + dir * value)
+                            y0: this.props.yScale(offsets[k]),
+                            y1: this.props.yScale(offsets[k] + dir * value)
                         });
                         if (this.props.stack) {
-                            offsets[j] += dir * value;
+                            offsets[k] += dir * value;
                         }
                     }
                     // Case Two
@@ -313,11 +581,11 @@ export default class AreaChart extends React.Component {
                             if (!currentPoints) currentPoints = [];
                             currentPoints.push({
                                 x0: this.props.timeScale(seriesPoint.timestamp()),
-                                y0: this.props.yScale(offsets[j]),
-                                y1: this.props.yScale(offsets[j] + dir * value)
+                                y0: this.props.yScale(offsets[k]),
+                                y1: this.props.yScale(offsets[k] + dir * value)
                             });
                             if (this.props.stack) {
-                                offsets[j] += dir * value;
+                                offsets[k] += dir * value;
                             }
                         } else if (currentPoints) {
                             if (currentPoints.length > 1) {
@@ -327,7 +595,7 @@ export default class AreaChart extends React.Component {
                             currentPoints = null;
                         }
                     }
-                }
+                });
                 if (currentPoints && currentPoints.length > 1) {
                     pathAreas.push(this.renderArea(currentPoints, column, count));
                     count += 1;
@@ -335,21 +603,23 @@ export default class AreaChart extends React.Component {
             } else {
                 // Ignore nulls and NaNs in the area chart
                 const cleanedPoints = [];
-                for (let j = 0; j < this.props.series.size(); j += 1) {
+                indices.forEach((j, k) => {
                     const seriesPoint = this.props.series.at(j);
-                    const value = seriesPoint.get(column);
-                    const badPoint = _.isNull(value) || _.isNaN(value) || !_.isFinite(value);
+                    const rawValue = seriesPoint.get(column);
+                    const badPoint =
+                        _.isNull(rawValue) || _.isNaN(rawValue) || !_.isFinite(rawValue);
                     if (!badPoint) {
+                        const value = rawValue * scales[j];
                         cleanedPoints.push({
                             x0: this.props.timeScale(seriesPoint.timestamp()),
-                            y0: this.props.yScale(offsets[j]),
-                            y1: this.props.yScale(offsets[j] + dir * value)
+                            y0: this.props.yScale(offsets[k]),
+                            y1: this.props.yScale(offsets[k] + dir * value)
                         });
                         if (this.props.stack) {
-                            offsets[j] += dir * value;
+                            offsets[k] += dir * value;
                         }
                     }
-                }
+                });
 
                 pathAreas.push(this.renderArea(cleanedPoints, column, count));
                 count += 1;
@@ -359,13 +629,136 @@ export default class AreaChart extends React.Component {
         });
     }
 
+    /**
+     * Returns the runs of points to draw between the two columns, as lists
+     * of {x, ya, yb} in pixels. Bad values either break the area or are
+     * skipped, depending on the breakArea prop.
+     */
+    differenceRuns(a, b) {
+        const { series, timeScale, yScale, breakArea } = this.props;
+        const runs = [];
+        let current = [];
+        for (const j of this.pointIndices([a, b])) {
+            const seriesPoint = series.at(j);
+            const va = seriesPoint.get(a);
+            const vb = seriesPoint.get(b);
+            if (_.isFinite(va) && _.isFinite(vb)) {
+                current.push({
+                    x: timeScale(seriesPoint.timestamp()),
+                    ya: yScale(va),
+                    yb: yScale(vb),
+                    d: va - vb
+                });
+            } else if (breakArea && current.length) {
+                runs.push(current);
+                current = [];
+            }
+        }
+        if (current.length) {
+            runs.push(current);
+        }
+        return runs.filter(run => run.length > 1);
+    }
+
+    /**
+     * Splits a run of points between two columns where the columns cross,
+     * returning a list of {above, points}, where `above` is true if the
+     * first column is on top. The crossing point is added to both sides.
+     */
+    splitAtCrossings(run) {
+        const parts = [];
+        let part = null;
+        run.forEach((point, i) => {
+            if (!part) {
+                part = { above: point.d >= 0, points: [point] };
+                return;
+            }
+            const prev = run[i - 1];
+            const above = point.d > 0;
+            if (point.d !== 0 && above !== part.above) {
+                if (prev.d !== 0) {
+                    // Cross between the two points
+                    const t = (prev.ya - prev.yb) / (prev.ya - prev.yb - (point.ya - point.yb));
+                    const y = prev.ya + t * (point.ya - prev.ya);
+                    const crossing = { x: prev.x + t * (point.x - prev.x), ya: y, yb: y, d: 0 };
+                    part.points.push(crossing);
+                    parts.push(part);
+                    part = { above, points: [crossing, point] };
+                } else {
+                    // Cross at the previous point, where the columns are equal
+                    parts.push(part);
+                    part = { above, points: [prev, point] };
+                }
+            } else {
+                part.points.push(point);
+            }
+        });
+        if (part) {
+            parts.push(part);
+        }
+        return parts.filter(p => p.points.length > 1);
+    }
+
+    renderDifference([a, b]) {
+        const curve = curves[this.props.interpolation];
+        const runs = this.differenceRuns(a, b);
+
+        const areaGenerator = area()
+            .curve(curve)
+            .x(d => d.x)
+            .y0(d => d.yb)
+            .y1(d => d.ya);
+
+        const areas = [];
+        runs.forEach(run => {
+            this.splitAtCrossings(run).forEach(({ above, points }) => {
+                const column = above ? a : b;
+                areas.push(
+                    <path
+                        key={`area-${areas.length}`}
+                        d={areaGenerator(points)}
+                        style={this.areaStyle(column)}
+                        onClick={e => this.handleClick(e, column)}
+                        onMouseLeave={() => this.handleHoverLeave()}
+                        onMouseMove={e => this.handleHover(e, column)}
+                    />
+                );
+            });
+        });
+
+        const outlines = [[a, "ya"], [b, "yb"]].map(([column, y]) => {
+            const lineGenerator = line()
+                .curve(curve)
+                .x(d => d.x)
+                .y(d => d[y]);
+            return runs.map((run, i) => (
+                <path
+                    key={`line-${column}-${i}`}
+                    d={lineGenerator(run)}
+                    style={this.pathStyle(column)}
+                    onClick={e => this.handleClick(e, column)}
+                    onMouseLeave={() => this.handleHoverLeave()}
+                    onMouseMove={e => this.handleHover(e, column)}
+                />
+            ));
+        });
+
+        return (
+            <g key="difference">
+                {areas}
+                {outlines}
+            </g>
+        );
+    }
+
     renderAreas() {
-        const up = this.props.columns.up || [];
-        const down = this.props.columns.down || [];
+        const [upStack, downStack] = stackDirections(this.props);
+        const between = this.props.columns.between;
         return (
             <g>
-                {this.renderPaths(up, "up")}
-                {this.renderPaths(down, "down")}
+                {this.renderPaths(...upStack)}
+                {downStack ? this.renderPaths(...downStack) : null}
+                {between && between.length === 2 ? this.renderDifference(between) : null}
             </g>
         );
     }
@@ -401,14 +794,19 @@ AreaChart.propTypes = {
      *      down: ["out", ...]
      *  }
      *  ```
-     * 
-     * NOTE : Columns can't have periods because periods 
-     * represent a path to deep data in the underlying events 
+     *
+     * Alternatively, to fill the area between two columns, use `between`
+     * with the two columns, e.g. `{between: ["actual", "forecast"]}`. See
+     * "Difference areas" above.
+     *
+     * NOTE : Columns can't have periods because periods
+     * represent a path to deep data in the underlying events
      * (i.e. reference into nested data structures)
      */
     columns: PropTypes.shape({
         up: PropTypes.arrayOf(PropTypes.string),
-        down: PropTypes.arrayOf(PropTypes.string)
+        down: PropTypes.arrayOf(PropTypes.string),
+        between: PropTypes.arrayOf(PropTypes.string)
     }),
 
     /**
@@ -416,6 +814,13 @@ AreaChart.propTypes = {
      */
     stack: PropTypes.bool,
 
+    /**
+     * How stacked areas are offset: "none", stacked from zero, "expand",
+     * normalized so that each stack totals 1, or "wiggle" or "silhouette",
+     * drawn as a streamgraph. See "Stack offsets" above.
+     */
+    stackOffset: PropTypes.oneOf(["none", "expand", "wiggle", "silhouette"]),
+
     /**
      * The styles to apply to the underlying SVG lines. This is a mapping
      * of column names to objects with style attributes, in the following
@@ -522,7 +927,15 @@ AreaChart.propTypes = {
      * the bad value(s). If breakArea is false (the default) bad values
      * are simply removed and the adjoining points are connected.
      */
-    breakArea: PropTypes.bool
+    breakArea: PropTypes.bool,
+
+    /**
+     * Reduce the number of points drawn to roughly the pixel resolution of
+     * the chart before the areas are generated. See the `downsample` prop
+     * of the `LineChart` for the options. The reduction is based on the
+     * total of each stack, so that the stacked areas still line up.
+     */
+    downsample: PropTypes.oneOf(["lttb", "minmax", "none"])
 };
 
 AreaChart.defaultProps = {
@@ -533,5 +946,7 @@ AreaChart.defaultProps = {
         down: []
     },
     stack: true,
-    breakArea: true
+    stackOffset: "none",
+    breakArea: true,
+    downsample: "none"
 };
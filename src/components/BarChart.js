@@ -16,6 +16,7 @@ import { TimeSeries, IndexedEvent, Event } from "pondjs";
 
 import EventMarker from "./EventMarker";
 import { Styler } from "../js/styler";
+import { visibleEvents } from "../js/util";
 
 const defaultStyle = {
     normal: { fill: "steelblue", opacity: 0.8 },
@@ -126,6 +127,10 @@ const defaultStyle = {
  * using the `size` prop. In this case this size will be used in preference to the size
  * determined from the timerange of the event and the `spacing`.
  *
+ * Multiple `columns` are stacked on top of each other. To place them side by side
+ * within the timerange of each event instead, set `layout` to "grouped". The
+ * `spacing` then also separates the bars of each group.
+ *
  * The info box is also able to be styled using `infoStyle`, `stemStyle` and
  * `markerStyle` This enables you to control the drawing of the box, the connecting
  * lines (stem) and dot respectively. Using the `infoWidth` and `infoHeight`
@@ -134,6 +139,45 @@ const defaultStyle = {
  * {label, value} pairs.
  */
 export default class BarChart extends React.Component {
+    /**
+     * The extent of the stacked bars for the events, used when the chart's
+     * axis has a min or max of "auto". Positive values stack up from zero
+     * and negative values stack down from it. Grouped bars each extend
+     * from zero.
+     */
+    static valueExtent(props, events) {
+        const extent = [0, 0];
+        if (props.layout === "grouped") {
+            events.forEach(event => {
+                _.forEach(props.columns, column => {
+                    const value = event.get(column);
+                    if (_.isFinite(value)) {
+                        extent[0] = Math.min(extent[0], value);
+                        extent[1] = Math.max(extent[1], value);
+                    }
+                });
+            });
+            return extent;
+        }
+        events.forEach(event => {
+            let positive = 0;
+            let negative = 0;
+            _.forEach(props.columns, column => {
+                const value = event.get(column);
+                if (_.isFinite(value)) {
+                    if (value >= 0) {
+                        positive += value;
+                    } else {
+                        negative += value;
+                    }
+                }
+            });
+            extent[0] = Math.min(extent[0], negative);
+            extent[1] = Math.max(extent[1], positive);
+        });
+        return extent;
+    }
+
     handleHover(e, event, column) {
         const bar = { event, column };
         if (this.props.onHighlightChange) {
@@ -224,11 +268,12 @@ export default class BarChart extends React.Component {
         const timeScale = this.props.timeScale;
         const yScale = this.props.yScale;
         const columns = this.props.columns || ["value"];
+        const grouped = this.props.layout === "grouped";
 
         const bars = [];
         let eventMarker;
 
-        for (const event of series.events()) {
+        for (const event of visibleEvents(series, timeScale)) {
             const begin = event.begin();
             const end = event.end();
             const beginPos = timeScale(begin) + spacing;
@@ -253,11 +298,21 @@ export default class BarChart extends React.Component {
                 x = timeScale(begin) + spacing + offset;
             }
 
+            // Grouped bars divide the event's bar between the columns, with
+            // the spacing between each of them, around the center of the event
+            const count = columns.length;
+            if (grouped && !this.props.size) {
+                const groupWidth = width;
+                width = Math.max((groupWidth - (count - 1) * spacing) / count, 1);
+                x += (groupWidth - width) / 2;
+            }
+
             const yBase = yScale(0);
             let yposPositive = yBase;
             let yposNegative = yBase;
             if (columns) {
-                for (const column of columns) {
+                for (const [i, column] of columns.entries()) {
+                    const barOffset = grouped ? (i - (count - 1) / 2) * (width + spacing) : 0;
                     const index = event.index();
                     const key = `${series.name()}-${index}-${column}`;
                     const value = event.get(column);
@@ -284,13 +339,13 @@ export default class BarChart extends React.Component {
                                 {...this.props}
                                 event={event}
                                 column={column}
-                                offsetX={offset}
+                                offsetX={offset + barOffset}
                                 offsetY={yBase - (positiveBar ? yposPositive : yposNegative)}
                             />
                         );
                     }
 
-                    const box = { x, y, width, height };
+                    const box = { x: x + barOffset, y, width, height };
                     const barProps = { key, ...box, style };
 
                     if (this.props.onSelectionChange) {
@@ -303,10 +358,12 @@ export default class BarChart extends React.Component {
 
                     bars.push(<rect {...barProps} />);
 
-                    if (positiveBar) {
-                        yposPositive -= height;
-                    } else {
-                        yposNegative += height;
+                    if (!grouped) {
+                        if (positiveBar) {
+                            yposPositive -= height;
+                        } else {
+                            yposNegative += height;
+                        }
                     }
                 }
             }
@@ -354,7 +411,8 @@ BarChart.propTypes = {
     minBarHeight: PropTypes.number,
 
     /**
-     * A list of columns within the series that will be stacked on top of each other
+     * A list of columns within the series that will be stacked on top of each
+     * other, or placed side by side when the `layout` is "grouped"
      *
      * NOTE : Columns can't have periods because periods
      * represent a path to deep data in the underlying events
@@ -362,6 +420,15 @@ BarChart.propTypes = {
      */
     columns: PropTypes.arrayOf(PropTypes.string),
 
+    /**
+     * How the bars of multiple `columns` are laid out: "stacked", on top of
+     * each other, or "grouped", side by side within the time range of the
+     * event. Grouped bars share the width of the event, less the `spacing`,
+     * with the `spacing` between each of them. If a `size` is given each
+     * grouped bar is that wide instead.
+     */
+    layout: PropTypes.oneOf(["stacked", "grouped"]),
+
     /**
      * When true, the entire `highlighted` event will be highlighted, instead of
      * only the column bar that's currently being hovered
@@ -521,6 +588,7 @@ BarChart.defaultProps = {
     visible: true,
     columns: ["value"],
     highlightEntireEvent: false,
+    layout: "stacked",
     spacing: 1.0,
     offset: 0,
     minBarHeight: 1,
@@ -158,16 +158,21 @@ export default class Brush extends React.Component {
                 }
             } else {
                 const xy0 = this.state.initialBrushXYPosition;
-                let timeOffset = this.props.timeScale.invert(xy0[0]).getTime() -
-                    this.props.timeScale.invert(xy[0]).getTime();
+
+                // Move each edge by the same number of pixels, rather than the
+                // same time, so that this works with a time scale that skips
+                // excluded periods
+                const { timeScale } = this.props;
+                const dx = xy[0] - xy0[0];
+                const moved = t => timeScale.invert(timeScale(t) + dx).getTime();
 
                 // Constrain
-                let startOffsetConstraint = timeOffset;
-                let endOffsetConstrain = timeOffset;
-                if (tb - timeOffset < viewport.begin()) {
+                let startOffsetConstraint = tb - moved(tb);
+                let endOffsetConstrain = te - moved(te);
+                if (tb - startOffsetConstraint < viewport.begin()) {
                     startOffsetConstraint = tb - viewport.begin().getTime();
                 }
-                if (te - timeOffset > viewport.end()) {
+                if (te - endOffsetConstrain > viewport.end()) {
                     endOffsetConstrain = te - viewport.end().getTime();
                 }
 
@@ -0,0 +1,495 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+import merge from "merge";
+import React from "react";
+import PropTypes from "prop-types";
+import { TimeSeries, IndexedEvent, TimeRangeEvent, Event } from "pondjs";
+
+import EventMarker from "./EventMarker";
+import { Styler } from "../js/styler";
+import { visibleEvents } from "../js/util";
+
+const defaultStyle = {
+    up: {
+        normal: { fill: "#4CAF50", stroke: "#4CAF50", opacity: 0.8 },
+        highlighted: { fill: "#4CAF50", stroke: "#4CAF50", opacity: 1.0 },
+        selected: { fill: "#4CAF50", stroke: "#4CAF50", opacity: 1.0 },
+        muted: { fill: "#4CAF50", stroke: "#4CAF50", opacity: 0.4 }
+    },
+    down: {
+        normal: { fill: "#E53935", stroke: "#E53935", opacity: 0.8 },
+        highlighted: { fill: "#E53935", stroke: "#E53935", opacity: 1.0 },
+        selected: { fill: "#E53935", stroke: "#E53935", opacity: 1.0 },
+        muted: { fill: "#E53935", stroke: "#E53935", opacity: 0.4 }
+    }
+};
+
+/**
+ * Renders a candlestick (OHLC) chart from the open, high, low and close
+ * columns of a TimeSeries of `IndexedEvent`s or `TimeRangeEvent`s, such as
+ * the daily prices of a stock.
+ *
+ * Like the `<BarChart>`, each candle is drawn across the time range of its
+ * event, from `begin()` to `end()`, inset by the `spacing` (or with a fixed
+ * width given by `size`). The body of the candle spans the open and close
+ * values and the wick spans the high and low values. Candles which close
+ * higher than they open are drawn in the "up" style and the others in the
+ * "down" style.
+ *
+ * ```
+ * <ChartRow height="300">
+ *     <YAxis id="price" min="auto" max="auto" format="$,.2f" />
+ *     <Charts>
+ *         <CandlestickChart
+ *             axis="price"
+ *             series={series}
+ *             columns={{ open: "open", high: "high", low: "low", close: "close" }}
+ *             style={styler([{ key: "up", color: "green" }, { key: "down", color: "red" }])}
+ *         />
+ *     </Charts>
+ * </ChartRow>
+ * ```
+ *
+ * ### Interactivity
+ *
+ * As with the `<BarChart>`, candles can be selected and highlighted. The
+ * `onSelectionChange` and `onHighlightChange` callbacks are called with an
+ * object containing the `event` and the `column`, which is the close column.
+ * These can be passed back in as `selected` and `highlighted`. When an
+ * `info` prop is supplied, hovering over a candle shows the info box,
+ * connected to the close value of the candle.
+ */
+export default class CandlestickChart extends React.Component {
+    /**
+     * The extent of the candles for the events, from the lowest low to
+     * the highest high, used when the chart's axis has a min or max of "auto"
+     */
+    static valueExtent(props, events) {
+        const { high, low } = props.columns;
+        let min = Infinity;
+        let max = -Infinity;
+        events.forEach(event => {
+            [event.get(high), event.get(low)].forEach(value => {
+                if (_.isFinite(value)) {
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                }
+            });
+        });
+        return min <= max ? [min, max] : null;
+    }
+
+    handleHover(e, event, column) {
+        const candle = { event, column };
+        if (this.props.onHighlightChange) {
+            this.props.onHighlightChange(candle);
+        }
+    }
+
+    handleHoverLeave() {
+        if (this.props.onHighlightChange) {
+            this.props.onHighlightChange(null);
+        }
+    }
+
+    handleClick(e, event, column) {
+        const candle = { event, column };
+        if (this.props.onSelectionChange) {
+            this.props.onSelectionChange(candle);
+        }
+        e.stopPropagation();
+    }
+
+    providedStyleMap(direction, event) {
+        let style = {};
+        if (this.props.style) {
+            if (this.props.style instanceof Styler) {
+                style = this.props.style.candlestickChartStyle()[direction];
+            } else if (_.isFunction(this.props.style)) {
+                style = this.props.style(direction, event);
+            } else if (_.isObject(this.props.style)) {
+                style = this.props.style[direction];
+            }
+        }
+        return style || {};
+    }
+
+    /**
+     * Returns the style used for drawing the candle of the event, where
+     * the direction is "up" or "down"
+     */
+    style(direction, event) {
+        let style;
+        const styleMap = this.providedStyleMap(direction, event);
+        const defaults = defaultStyle[direction];
+        const column = this.props.columns.close;
+
+        const isHighlighted =
+            this.props.highlighted &&
+            column === this.props.highlighted.column &&
+            Event.is(this.props.highlighted.event, event);
+
+        const isSelected =
+            this.props.selected &&
+            column === this.props.selected.column &&
+            Event.is(this.props.selected.event, event);
+
+        if (this.props.selected) {
+            if (isSelected) {
+                style = merge(true, defaults.selected, styleMap.selected ? styleMap.selected : {});
+            } else if (isHighlighted) {
+                style = merge(
+                    true,
+                    defaults.highlighted,
+                    styleMap.highlighted ? styleMap.highlighted : {}
+                );
+            } else {
+                style = merge(true, defaults.muted, styleMap.muted ? styleMap.muted : {});
+            }
+        } else if (isHighlighted) {
+            style = merge(
+                true,
+                defaults.highlighted,
+                styleMap.highlighted ? styleMap.highlighted : {}
+            );
+        } else {
+            style = merge(true, defaults.normal, styleMap.normal ? styleMap.normal : {});
+        }
+
+        return style;
+    }
+
+    renderCandles() {
+        const spacing = +this.props.spacing;
+        const offset = +this.props.offset;
+        const { series, timeScale, yScale, columns } = this.props;
+
+        const candles = [];
+        let eventMarker;
+
+        for (const event of visibleEvents(series, timeScale)) {
+            const open = event.get(columns.open);
+            const high = event.get(columns.high);
+            const low = event.get(columns.low);
+            const close = event.get(columns.close);
+            if (!_.isFinite(open) || !_.isFinite(close)) {
+                continue;
+            }
+
+            const begin = event.begin();
+            const end = event.end();
+
+            let width;
+            let x;
+            if (this.props.size) {
+                width = this.props.size;
+                const center = timeScale(begin) + (timeScale(end) - timeScale(begin)) / 2;
+                x = center - this.props.size / 2 + offset;
+            } else {
+                width = timeScale(end) - timeScale(begin) - spacing * 2;
+                x = timeScale(begin) + spacing + offset;
+            }
+            if (width < 1) {
+                width = 1;
+            }
+
+            const direction = close >= open ? "up" : "down";
+            const style = this.style(direction, event);
+            const key = `${series.name()}-${begin.getTime()}`;
+
+            const yOpen = yScale(open);
+            const yClose = yScale(close);
+            const bodyTop = Math.min(yOpen, yClose);
+            const bodyHeight = Math.max(Math.abs(yOpen - yClose), 1);
+            const center = x + width / 2;
+
+            const wickStyle = merge(true, style, {
+                fill: "none",
+                strokeWidth: this.props.wickWidth
+            });
+            const bodyStyle = merge(true, style, { strokeWidth: 1 });
+
+            const candleProps = { key };
+            if (this.props.onSelectionChange) {
+                candleProps.onClick = e => this.handleClick(e, event, columns.close);
+            }
+            if (this.props.onHighlightChange) {
+                candleProps.onMouseMove = e => this.handleHover(e, event, columns.close);
+                candleProps.onMouseLeave = () => this.handleHoverLeave();
+            }
+
+            candles.push(
+                <g {...candleProps}>
+                    {_.isFinite(high) && _.isFinite(low) ? (
+                        <line
+                            x1={center}
+                            y1={yScale(high)}
+                            x2={center}
+                            y2={yScale(low)}
+                            style={wickStyle}
+                        />
+                    ) : null}
+                    <rect x={x} y={bodyTop} width={width} height={bodyHeight} style={bodyStyle} />
+                </g>
+            );
+
+            // Event marker if info provided and hovering
+            const isHighlighted =
+                this.props.highlighted &&
+                columns.close === this.props.highlighted.column &&
+                Event.is(this.props.highlighted.event, event);
+            if (isHighlighted && this.props.info) {
+                eventMarker = (
+                    <EventMarker
+                        {...this.props}
+                        event={event}
+                        column={columns.close}
+                        offsetX={offset}
+                    />
+                );
+            }
+        }
+
+        return (
+            <g>
+                {candles}
+                {eventMarker}
+            </g>
+        );
+    }
+
+    render() {
+        return <g>{this.renderCandles()}</g>;
+    }
+}
+
+CandlestickChart.propTypes = {
+    /**
+     * Show or hide this chart
+     */
+    visible: PropTypes.bool,
+
+    /**
+     * What [Pond TimeSeries](https://esnet-pondjs.appspot.com/#/timeseries)
+     * data to visualize. The events should be `IndexedEvent`s or
+     * `TimeRangeEvent`s, so that each candle covers a range of time.
+     */
+    series: PropTypes.instanceOf(TimeSeries).isRequired,
+
+    /**
+     * Reference to the axis which provides the vertical scale for drawing.
+     * e.g. specifying `axis="price"` would refer the y-scale of the YAxis
+     * with id="price".
+     */
+    axis: PropTypes.string.isRequired, // eslint-disable-line
+
+    /**
+     * The columns of the series holding the open, high, low and close
+     * values of each candle
+     *
+     * NOTE : Columns can't have periods because periods
+     * represent a path to deep data in the underlying events
+     * (i.e. reference into nested data structures)
+     */
+    columns: PropTypes.shape({
+        open: PropTypes.string,
+        high: PropTypes.string,
+        low: PropTypes.string,
+        close: PropTypes.string
+    }),
+
+    /**
+     * The distance in pixels to inset each candle from its actual timerange
+     */
+    spacing: PropTypes.number,
+
+    /**
+     * The distance in pixels to offset each candle from its center position
+     * within the timerange it represents
+     */
+    offset: PropTypes.number,
+
+    /**
+     * If size is specified, then each candle will be this number of pixels
+     * wide. This prop takes priority over "spacing".
+     */
+    size: PropTypes.number,
+
+    /**
+     * The width of the wick line, in pixels
+     */
+    wickWidth: PropTypes.number,
+
+    /**
+     * The style of the candles. This is an object with an "up" key, for the
+     * candles which close higher than they open, and a "down" key, for
+     * those which close lower. For each a style is defined for each state
+     * the candle may be in. The `fill` is used for the body and the
+     * `stroke` for the outline of the body and the wick. For example:
+     *
+     * ```
+     * style = {
+     *     up: {
+     *         normal: { fill: "green", stroke: "green", opacity: 0.8 },
+     *         highlighted: { fill: "green", stroke: "green", opacity: 1.0 },
+     *         selected: { fill: "green", stroke: "green", opacity: 1.0 },
+     *         muted: { fill: "green", stroke: "green", opacity: 0.4 }
+     *     },
+     *     down: {
+     *         ...
+     *     }
+     * }
+     * ```
+     *
+     * You can also supply a function, which will be called with the
+     * direction ("up" or "down") and the event, or a `Styler` with
+     * columns "up" and "down".
+     */
+    style: PropTypes.oneOfType([PropTypes.object, PropTypes.func, PropTypes.instanceOf(Styler)]),
+
+    /**
+     * The values to show in the info box. This is an array of
+     * objects, with each object specifying the label and value
+     * to be shown in the info box.
+     */
+    info: PropTypes.arrayOf(
+        PropTypes.shape({
+            label: PropTypes.string, //eslint-disable-line
+            value: PropTypes.string //eslint-disable-line
+        })
+    ),
+
+    /**
+     * The style of the info box itself. Typically you'd want to
+     * specify a fill color, and stroke color / width here.
+     */
+    infoStyle: PropTypes.object, //eslint-disable-line
+
+    /**
+     * The width of the info box
+     */
+    infoWidth: PropTypes.number, //eslint-disable-line
+
+    /**
+     * The height of the info box
+     */
+    infoHeight: PropTypes.number, //eslint-disable-line
+
+    /**
+     * The vertical offset in pixels of the EventMarker info box from the
+     * top of the chart.
+     */
+    infoOffsetY: PropTypes.number,
+
+    /**
+     * Alter the format of the timestamp shown on the info box.
+     * This may be either a function or a string. If you provide a function
+     * that will be passed an Index and should return a string. For example:
+     * ```
+     *     index => moment(index.begin()).format("Do MMM 'YY")
+     * ```
+     * Alternatively you can pass in a d3 format string. That will be applied
+     * to the begin time of the Index range.
+     */
+    infoTimeFormat: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+
+    /**
+     * The radius of the infoBox dot at the end of the marker
+     */
+    markerRadius: PropTypes.number,
+
+    /**
+     * The style of the infoBox dot at the end of the marker
+     */
+    markerStyle: PropTypes.object,
+
+    /**
+     * The selected candle, which will be rendered in the "selected" style.
+     * If a candle is selected, all other candles will be rendered in the
+     * "muted" style.
+     *
+     * See also `onSelectionChange`
+     */
+    selected: PropTypes.shape({
+        event: PropTypes.oneOfType([
+            PropTypes.instanceOf(IndexedEvent),
+            PropTypes.instanceOf(TimeRangeEvent)
+        ]),
+        column: PropTypes.string
+    }),
+
+    /**
+     * A callback that will be called when the selection changes. It will be
+     * called with an object containing the event and column.
+     */
+    onSelectionChange: PropTypes.func,
+
+    /**
+     * The highlighted candle, which will be rendered in the "highlighted" style.
+     *
+     * See also `onHighlightChange`
+     */
+    highlighted: PropTypes.shape({
+        event: PropTypes.oneOfType([
+            PropTypes.instanceOf(IndexedEvent),
+            PropTypes.instanceOf(TimeRangeEvent)
+        ]),
+        column: PropTypes.string
+    }),
+
+    /**
+     * A callback that will be called when the hovered over candle changes.
+     * It will be called with an object containing the event and column.
+     */
+    onHighlightChange: PropTypes.func,
+
+    /**
+     * [Internal] The timeScale supplied by the surrounding ChartContainer
+     */
+    timeScale: PropTypes.func,
+
+    /**
+     * [Internal] The yScale supplied by the associated YAxis
+     */
+    yScale: PropTypes.func
+};
+
+CandlestickChart.defaultProps = {
+    visible: true,
+    columns: {
+        open: "open",
+        high: "high",
+        low: "low",
+        close: "close"
+    },
+    spacing: 1.0,
+    offset: 0,
+    wickWidth: 1,
+    infoStyle: {
+        stroke: "#999",
+        fill: "white",
+        opacity: 0.9,
+        pointerEvents: "none"
+    },
+    stemStyle: {
+        stroke: "#999",
+        cursor: "crosshair",
+        pointerEvents: "none"
+    },
+    markerStyle: {
+        fill: "#999"
+    },
+    markerRadius: 2,
+    infoWidth: 90,
+    infoHeight: 30,
+    infoOffsetY: 20
+};
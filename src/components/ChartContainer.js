@@ -12,19 +12,35 @@ import _ from "underscore";
 import invariant from "invariant";
 import merge from "merge";
 import React from "react";
+import ReactDOM from "react-dom";
 import PropTypes from "prop-types";
+import { bisectLeft, bisectRight } from "d3-array";
 import { scaleTime, scaleUtc } from "d3-scale";
-import { TimeRange } from "pondjs";
+import { Event, TimeRange } from "pondjs";
 import { areComponentsEqual } from "react-hot-loader";
 
+import BarChart from "./BarChart";
 import Brush from "./Brush";
 import MultiBrush from "./MultiBrush";
 import ChartRow from "./ChartRow";
 import Charts from "./Charts";
+import EventChart from "./EventChart";
 import EventHandler from "./EventHandler";
 import TimeAxis from "./TimeAxis";
 import TimeMarker from "./TimeMarker";
 import Label from "./Label";
+import ScatterChart from "./ScatterChart";
+import SyncedTracker from "./SyncedTracker";
+import discontinuousScale from "../js/discontinuous";
+import { serializeSvg, rasterizeSvg } from "../js/export";
+import { Styler } from "../js/styler";
+import { constrainPan, constrainZoom, describeChart, visibleEvents } from "../js/util";
+
+// Keyboard zoom factor for each press of "+" (and its inverse for "-")
+const ZOOM_STEP = 0.8;
+
+// Keyboard pan distance for each shift+arrow press, as a fraction of the time range
+const PAN_STEP = 0.1;
 
 const defaultTimeAxisStyle = {
     axis: {
@@ -53,6 +69,46 @@ const defaultChartRowTitleBoxStyle = {
     stroke: "none"
 };
 
+/**
+ * Returns the visible chart elements within the `<Charts>` of a `<ChartRow>`
+ */
+function rowCharts(row) {
+    const charts = [];
+    React.Children.forEach(row.props.children, child => {
+        if (child && areComponentsEqual(child.type, Charts)) {
+            React.Children.forEach(child.props.children, chart => {
+                if (chart && (!_.has(chart.props, "visible") || chart.props.visible)) {
+                    charts.push(chart);
+                }
+            });
+        }
+    });
+    return charts;
+}
+
+/**
+ * The time of an event used for keyboard navigation, which is the center
+ * of the event's extent (or simply its timestamp for a point in time).
+ */
+function eventTime(event) {
+    return (event.begin().getTime() + event.end().getTime()) / 2;
+}
+
+/**
+ * The height of the title above a row, or 0 if the row has no title
+ */
+function rowTitleHeight(row) {
+    const { titleHeight = 28 } = row.props;
+    return _.isUndefined(row.props.title) ? 0 : titleHeight;
+}
+
+/**
+ * True if the height is a percentage, such as "40%"
+ */
+function isPercentage(height) {
+    return _.isString(height) && height.trim().endsWith("%");
+}
+
 const defaultTrackerStyle = {
     line: {
         stroke: "#999",
@@ -90,10 +146,60 @@ const defaultTrackerStyle = {
  *     </ChartRow>
  * </ChartContainer>
  * ```
+ *
+ * ## Exporting
+ *
+ * A rendered chart can be exported as an image using a ref to the
+ * `<ChartContainer>`. The `exportSvg()` method returns a Promise for a
+ * standalone SVG string, with computed styles and web fonts inlined. The
+ * `exportPng()` method returns a Promise for a PNG data URL:
+ *
+ * ```
+ * this.chart.exportPng({ pixelRatio: 2, legends: [this.legend] })
+ *     .then(url => window.open(url));
+ * ```
+ *
+ * Both take a `legends` option, a list of `<Legend>` refs (or DOM nodes) to
+ * include in the image at the position they appear relative to the chart,
+ * and a `background` color, which defaults to white.
+ *
+ * ## Discontinuous time
+ *
+ * For data which only exists at certain times, such as trading hours, the
+ * `discontinuities` prop leaves periods out of the time axis altogether:
+ *
+ * ```
+ * <ChartContainer
+ *     timeRange={range}
+ *     discontinuities={{ weekends: true, hours: ["09:30", "16:00"] }}
+ * >
+ * ```
+ *
+ * The time on either side of an excluded period is drawn side by side, and
+ * the time axis, tracker, brushes, pan and zoom all use the collapsed scale.
+ *
+ * ## Keyboard navigation
+ *
+ * The chart can be focused with the tab key. Once focused:
+ *
+ *  * left and right arrows move the tracker to the previous or next data
+ *    point of any chart, and Home and End move it to the first or last point.
+ *    This calls `onTrackerChanged`, and Escape clears the tracker
+ *  * `+` and `-` zoom in and out about the tracker, and shift+left/right pan,
+ *    when `enablePanZoom` is on. These respect `minDuration`, `minTime` and
+ *    `maxTime` just as zooming with the scroll wheel does
+ *  * Enter selects the point at the tracker in each `<BarChart>`,
+ *    `<ScatterChart>` or `<EventChart>` with an `onSelectionChange`
+ *    callback (or in a sync group, see `<ChartSync>`). Pressing Enter
+ *    again selects the point's next column.
+ *
+ * The SVG is given an `aria-label` describing the chart's title and, for
+ * each row, its title and the series and columns drawn in it. This can be
+ * replaced with the `ariaLabel` prop.
  */
 export default class ChartContainer extends React.Component {
-    constructor(props) {
-        super(props);
+    constructor(props, context) {
+        super(props, context);
         this.handleTrackerChanged = this.handleTrackerChanged.bind(this);
         this.handleTimeRangeChanged = this.handleTimeRangeChanged.bind(this);
         this.handleMouseMove = this.handleMouseMove.bind(this);
@@ -101,7 +207,99 @@ export default class ChartContainer extends React.Component {
         this.handleContextMenu = this.handleContextMenu.bind(this);
         this.handleBackgroundClick = this.handleBackgroundClick.bind(this);
         this.handleZoom = this.handleZoom.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
         this.saveSvgRef = this.saveSvgRef.bind(this);
+
+        // The shared state of this chart's sync group, if any (see <ChartSync>)
+        this.sync = null;
+        if (props.syncGroup && context.chartSync) {
+            this.sync = context.chartSync.group(props.syncGroup);
+            if (!this.sync.get("timeRange")) {
+                this.sync.set("timeRange", props.timeRange);
+            }
+        }
+
+        // The columns hidden by the legends of this chart's legend group, if
+        // any, unless they're given as the `hidden` prop. The charts also
+        // leave out the columns hidden by legends using their Styler.
+        this.legend = null;
+        if (props.legendGroup && context.chartSync) {
+            this.legend = context.chartSync.group(props.legendGroup);
+        }
+        this.stylers = [];
+
+        this.state = {
+            syncTimeRange: this.sync ? this.sync.get("timeRange") : null,
+            highlighted: this.sync ? this.sync.get("highlighted") : null,
+            selected: this.sync ? this.sync.get("selected") : null,
+            hidden: this.legend ? this.legend.get("hidden") : []
+        };
+    }
+
+    componentDidMount() {
+        this.unsubscribe = [];
+        if (this.sync) {
+            this.unsubscribe = [
+                this.sync.subscribe("timeRange", syncTimeRange => this.setState({ syncTimeRange })),
+                this.sync.subscribe("highlighted", highlighted => this.setState({ highlighted })),
+                this.sync.subscribe("selected", selected => this.setState({ selected }))
+            ];
+        }
+        if (this.legend) {
+            this.unsubscribe.push(
+                this.legend.subscribe("hidden", hidden => this.setState({ hidden }))
+            );
+        }
+        this.subscribeStylers();
+    }
+
+    componentDidUpdate(prevProps) {
+        this.subscribeStylers();
+        if (
+            this.sync &&
+            this.props.timeRange &&
+            !this.props.timeRange.equals(prevProps.timeRange)
+        ) {
+            this.sync.set("timeRange", this.props.timeRange);
+        }
+    }
+
+    componentWillUnmount() {
+        _.forEach(this.unsubscribe, unsubscribe => unsubscribe());
+        this.stylers.forEach(({ unsubscribe }) => unsubscribe());
+    }
+
+    /**
+     * Re-renders the chart whenever the columns hidden by the legends using
+     * the Styler of one of its charts change
+     */
+    subscribeStylers() {
+        const stylers = _.uniq(
+            this.charts()
+                .map(chart => chart.props.style)
+                .filter(style => style instanceof Styler)
+        );
+        this.stylers.forEach(({ styler, unsubscribe }) => {
+            if (!_.contains(stylers, styler)) {
+                unsubscribe();
+            }
+        });
+        const subscribed = this.stylers.filter(({ styler }) => _.contains(stylers, styler));
+        this.stylers = stylers.map(
+            styler =>
+                _.find(subscribed, s => s.styler === styler) || {
+                    styler,
+                    unsubscribe: styler.visibility.subscribe("hidden", () => this.forceUpdate())
+                }
+        );
+    }
+
+    /**
+     * The time range of the chart, which is shared with the sync group if
+     * there is one, and otherwise is the timeRange prop
+     */
+    timeRange() {
+        return (this.sync && this.state.syncTimeRange) || this.props.timeRange;
     }
 
     //
@@ -109,6 +307,10 @@ export default class ChartContainer extends React.Component {
     //
 
     handleTrackerChanged(t) {
+        this.focusTime = t ? t.getTime() : null;
+        if (this.sync) {
+            this.sync.set("tracker", t);
+        }
         if (this.props.onTrackerChanged) {
             this.props.onTrackerChanged(
                 t,
@@ -125,6 +327,9 @@ export default class ChartContainer extends React.Component {
      * so this callback returns a Pond TimeRange.
      */
     handleTimeRangeChanged(timerange) {
+        if (this.sync) {
+            this.sync.set("timeRange", timerange);
+        }
         if (this.props.onTimeRangeChanged) {
             this.props.onTimeRangeChanged(timerange);
         }
@@ -156,15 +361,330 @@ export default class ChartContainer extends React.Component {
     }
 
     handleZoom(timerange) {
+        if (this.sync) {
+            this.sync.set("timeRange", timerange);
+        }
         if (this.props.onTimeRangeChanged) {
             this.props.onTimeRangeChanged(timerange);
         }
     }
 
+    handleKeyDown(e) {
+        if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+            const direction = e.key === "ArrowLeft" ? -1 : 1;
+            if (e.shiftKey) {
+                this.pan(direction);
+            } else {
+                this.moveTracker(direction);
+            }
+        } else if (e.key === "Home" || e.key === "End") {
+            this.moveTracker(e.key === "Home" ? -Infinity : Infinity);
+        } else if (e.key === "+" || e.key === "=") {
+            this.zoom(ZOOM_STEP);
+        } else if (e.key === "-" || e.key === "_") {
+            this.zoom(1 / ZOOM_STEP);
+        } else if (e.key === "Enter") {
+            this.selectAtTracker();
+        } else if (e.key === "Escape") {
+            this.handleTrackerChanged(null);
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
     saveSvgRef(c) {
         this.svg = c;
     }
 
+    //
+    // Keyboard navigation
+    //
+
+    /**
+     * The time of the tracker, either as controlled by the trackerPosition
+     * prop or as last reported with onTrackerChanged.
+     */
+    currentTime() {
+        const trackerPosition = this.sync ? this.sync.get("tracker") : this.props.trackerPosition;
+        if (trackerPosition) {
+            return trackerPosition.getTime();
+        }
+        return _.isNumber(this.focusTime) ? this.focusTime : null;
+    }
+
+    /**
+     * Returns each visible chart element within each visible row
+     */
+    charts() {
+        let charts = [];
+        React.Children.forEach(this.props.children, row => {
+            if (row && areComponentsEqual(row.type, ChartRow) && row.props.visible !== false) {
+                charts = charts.concat(rowCharts(row));
+            }
+        });
+        return charts;
+    }
+
+    /**
+     * Returns the sorted times of every data point within the time range
+     */
+    pointTimes() {
+        const times = [];
+        this.charts().forEach(chart => {
+            const { series } = chart.props;
+            if (series && _.isFunction(series.at)) {
+                visibleEvents(series, this.timeScale).forEach(event => {
+                    const t = eventTime(event);
+                    if (this.timeRange().contains(new Date(t))) {
+                        times.push(t);
+                    }
+                });
+            }
+        });
+        return _.uniq(_.sortBy(times), true);
+    }
+
+    /**
+     * Moves the tracker to the next point (direction > 0) or previous point
+     * (direction < 0). An infinite direction moves to the last or first point.
+     */
+    moveTracker(direction) {
+        const times = this.pointTimes();
+        if (times.length === 0) {
+            return;
+        }
+
+        const current = this.currentTime();
+        let t;
+        if (direction === -Infinity || (current === null && direction > 0)) {
+            t = times[0];
+        } else if (direction === Infinity || current === null) {
+            t = _.last(times);
+        } else if (direction > 0) {
+            t = times[Math.min(bisectRight(times, current), times.length - 1)];
+        } else {
+            t = times[Math.max(bisectLeft(times, current) - 1, 0)];
+        }
+
+        this.handleTrackerChanged(new Date(t));
+    }
+
+    /**
+     * Zooms the time range by `factor` about the tracker, or about the
+     * center of the chart if the tracker isn't within the time range.
+     */
+    zoom(factor) {
+        if (!this.props.enablePanZoom && !this.props.enableDragZoom) {
+            return;
+        }
+
+        // Zoom in pixels, rather than time, so that this works the same
+        // with a time scale which skips excluded periods
+        const [x0, x1] = this.timeScale.range();
+        const current = this.currentTime();
+        const x =
+            current !== null && this.timeRange().contains(new Date(current))
+                ? this.timeScale(current)
+                : (x0 + x1) / 2;
+
+        const center = this.timeScale.invert(x).getTime();
+        const beginScaled = this.timeScale.invert(x + (x0 - x) * factor).getTime();
+        const endScaled = this.timeScale.invert(x + (x1 - x) * factor).getTime();
+        this.handleZoom(constrainZoom(beginScaled, endScaled, center, this.props));
+    }
+
+    /**
+     * Pans the time range forward (direction > 0) or backward by PAN_STEP
+     */
+    pan(direction) {
+        if (!this.props.enablePanZoom) {
+            return;
+        }
+
+        const [x0, x1] = this.timeScale.range();
+        const dx = (x1 - x0) * PAN_STEP * direction;
+        const begin = this.timeScale.invert(x0 + dx).getTime();
+        const end = this.timeScale.invert(x1 + dx).getTime();
+        this.handleZoom(constrainPan(begin, end, this.props));
+    }
+
+    /**
+     * Selects the point at the tracker in each chart that supports selection.
+     * If the point is already selected then its next column is selected.
+     */
+    selectAtTracker() {
+        const t = this.currentTime();
+        if (t === null) {
+            return;
+        }
+
+        this.charts().forEach(chart => {
+            const { series, onSelectionChange } = chart.props;
+            const selected = this.sync ? this.state.selected : chart.props.selected;
+            const selectable =
+                areComponentsEqual(chart.type, BarChart) ||
+                areComponentsEqual(chart.type, ScatterChart) ||
+                areComponentsEqual(chart.type, EventChart);
+            if (!selectable || !series || (!onSelectionChange && !this.sync)) {
+                return;
+            }
+
+            const events = visibleEvents(series, this.timeScale);
+            const event =
+                _.find(events, e => eventTime(e) === t) ||
+                _.find(events, e => e.begin().getTime() <= t && t <= e.end().getTime());
+            if (!event) {
+                return;
+            }
+
+            let selection;
+            if (areComponentsEqual(chart.type, EventChart)) {
+                selection = event;
+            } else {
+                const columns = chart.props.columns || ["value"];
+                let index = 0;
+                if (selected && selected.event && Event.is(selected.event, event)) {
+                    index = (columns.indexOf(selected.column) + 1) % columns.length;
+                }
+                selection = { event, column: columns[index] };
+            }
+
+            // Only {event, column} items are shared with the sync group
+            if (this.sync && selection.column) {
+                this.sync.set("selected", selection);
+            }
+            if (onSelectionChange) {
+                onSelectionChange(selection);
+            }
+        });
+    }
+
+    /**
+     * A description of the chart for screen readers, made up of its title
+     * and the title and charts of each row
+     */
+    ariaLabel() {
+        if (this.props.ariaLabel) {
+            return this.props.ariaLabel;
+        }
+
+        const parts = this.props.title ? [this.props.title] : [];
+        React.Children.forEach(this.props.children, row => {
+            if (row && areComponentsEqual(row.type, ChartRow) && row.props.visible !== false) {
+                const charts = _.uniq(_.compact(rowCharts(row).map(describeChart)));
+                const label = _.compact([row.props.title, charts.join(", ")]).join(": ");
+                if (label) {
+                    parts.push(label);
+                }
+            }
+        });
+        return parts.length ? parts.join(". ") : "Chart";
+    }
+
+    //
+    // Export
+    //
+
+    /**
+     * Returns a Promise for a standalone SVG string of the chart, as it
+     * currently appears on screen. See the class docs for options.
+     */
+    exportSvg(options = {}) {
+        const { legends = [], ...rest } = options;
+        return serializeSvg(this.svg, {
+            ...rest,
+            legends: legends.map(legend => ReactDOM.findDOMNode(legend)) // eslint-disable-line
+        });
+    }
+
+    /**
+     * Returns a Promise for a PNG data URL of the chart, rendered at
+     * `pixelRatio` (defaulting to the device's pixel ratio).
+     */
+    exportPng(options = {}) {
+        const { pixelRatio = window.devicePixelRatio || 1, ...rest } = options;
+        return this.exportSvg(rest).then(svg => rasterizeSvg(svg, pixelRatio));
+    }
+
+    /**
+     * Returns the height, in pixels, of each of the children that is a
+     * visible ChartRow, or null for other children.
+     *
+     * When the container is given a `height`, the `available` height for the
+     * rows is filled: rows with a fixed `height` keep it, rows with a
+     * percentage `height` take that share of what is left, and rows with a
+     * `flex` weight divide the rest between them. A flex row which would be
+     * outside of its `minHeight` or `maxHeight` is held at that limit and
+     * the others divide what remains. Without a `height`, each row has the
+     * height it asks for.
+     */
+    rowHeights(available) {
+        const rows = [];
+        React.Children.forEach(this.props.children, child => {
+            const isRow = areComponentsEqual(child.type, ChartRow) && child.props.visible;
+            rows.push(isRow ? child : null);
+        });
+
+        const isFlex = row => _.isNumber(row.props.flex) && row.props.flex > 0;
+        const clamp = (row, height) => {
+            const { minHeight = 0, maxHeight = Infinity } = row.props;
+            return Math.max(minHeight, Math.min(maxHeight, height));
+        };
+
+        if (!_.isNumber(available)) {
+            return rows.map(row => {
+                if (!row) {
+                    return null;
+                }
+                const height = isPercentage(row.props.height)
+                    ? ChartRow.defaultProps.height
+                    : parseInt(row.props.height, 10);
+                return isFlex(row) ? clamp(row, height) : height;
+            });
+        }
+
+        const heights = rows.map(
+            row =>
+                row && !isFlex(row) && !isPercentage(row.props.height)
+                    ? parseInt(row.props.height, 10)
+                    : null
+        );
+        let remaining = available - _.reduce(heights, (a, b) => a + b, 0);
+
+        // Percentage rows
+        const share = Math.max(remaining, 0);
+        rows.forEach((row, i) => {
+            if (row && !isFlex(row) && isPercentage(row.props.height)) {
+                heights[i] = Math.floor((share * parseFloat(row.props.height)) / 100);
+                remaining -= heights[i];
+            }
+        });
+
+        // Flex rows, repeatedly holding rows at their limits until the
+        // remaining rows can all divide what is left
+        let flexible = _.filter(_.range(rows.length), i => rows[i] && isFlex(rows[i]));
+        while (flexible.length) {
+            const space = Math.max(remaining, 0);
+            const total = _.reduce(flexible, (sum, i) => sum + rows[i].props.flex, 0);
+            const size = i => (space * rows[i].props.flex) / total;
+            const limited = flexible.filter(i => clamp(rows[i], size(i)) !== size(i));
+            if (!limited.length) {
+                flexible.forEach(i => {
+                    heights[i] = Math.floor(size(i));
+                });
+                break;
+            }
+            limited.forEach(i => {
+                heights[i] = Math.floor(clamp(rows[i], size(i)));
+            });
+            remaining -= _.reduce(limited, (sum, i) => sum + heights[i], 0);
+            flexible = _.difference(flexible, limited);
+        }
+
+        return heights;
+    }
+
     //
     // Render
     //
@@ -175,7 +695,7 @@ export default class ChartContainer extends React.Component {
         const { paddingTop = padding, paddingBottom = padding } = this.props;
 
         let { titleHeight = 28 } = this.props;
-        if (_.isUndefined(this.props.title)) {
+        if (_.isUndefined(this.props.title) && !this.props.legend) {
             titleHeight = 0;
         }
 
@@ -280,17 +800,19 @@ export default class ChartContainer extends React.Component {
         const timeAxisWidth =
             this.props.width - leftWidth - rightWidth - paddingLeft - paddingRight;
 
-        if (!this.props.timeRange) {
+        const timeRange = this.timeRange();
+        if (!timeRange) {
             throw Error("Invalid timerange passed to ChartContainer");
         }
 
-        const timeScale = (this.timeScale = this.props.utc
-            ? scaleUtc()
-                  .domain(this.props.timeRange.toJSON())
-                  .range([0, timeAxisWidth])
-            : scaleTime()
-                  .domain(this.props.timeRange.toJSON())
-                  .range([0, timeAxisWidth]));
+        let timeScale;
+        if (this.props.discontinuities) {
+            timeScale = discontinuousScale(this.props.discontinuities, this.props.utc);
+        } else {
+            timeScale = this.props.utc ? scaleUtc() : scaleTime();
+        }
+        timeScale.domain(timeRange.toJSON()).range([0, timeAxisWidth]);
+        this.timeScale = timeScale;
 
         const chartsWidth = this.props.width - leftWidth - rightWidth - paddingLeft - paddingRight;
 
@@ -318,12 +840,36 @@ export default class ChartContainer extends React.Component {
             <g />
         );
 
+        // A legend drawn within the title band, e.g. an <SvgLegend>
+        const legend = this.props.legend ? (
+            <g transform={transform}>
+                {React.cloneElement(this.props.legend, {
+                    width: chartsWidth,
+                    height: titleHeight
+                })}
+            </g>
+        ) : null;
+
         const trackerStyle = merge(
             true,
             defaultTrackerStyle,
             this.props.trackerStyle ? this.props.trackerStyle : {}
         );
 
+        // The height left for the rows, once the titles, time axis and
+        // padding are taken out of the container's height
+        let availableHeight = null;
+        if (_.isNumber(this.props.height)) {
+            availableHeight =
+                this.props.height - titleHeight - timeAxisHeight - paddingTop - paddingBottom;
+            React.Children.forEach(this.props.children, child => {
+                if (areComponentsEqual(child.type, ChartRow) && child.props.visible) {
+                    availableHeight -= rowTitleHeight(child);
+                }
+            });
+        }
+        const rowHeights = this.rowHeights(availableHeight);
+
         //yPosition += titleHeight;
         let chartsHeight = 0;
         React.Children.forEach(this.props.children, child => {
@@ -339,6 +885,7 @@ export default class ChartContainer extends React.Component {
                     leftAxisWidths,
                     rightAxisWidths,
                     width: this.props.width,
+                    height: rowHeights[i],
                     minTime: this.props.minTime,
                     maxTime: this.props.maxTime,
                     transition: this.props.transition,
@@ -351,13 +898,14 @@ export default class ChartContainer extends React.Component {
                     trackerTimeFormat: this.props.format,
                     trackerStyle: trackerStyle,
                     onTimeRangeChanged: this.handleTimeRangeChanged,
+                    sync: this.sync,
+                    hidden: this.props.hidden || this.state.hidden,
+                    highlighted: this.state.highlighted,
+                    selected: this.state.selected,
                     onTrackerChanged: this.handleTrackerChanged
                 };
 
-                let { titleHeight = 28 } = child.props;
-                if (_.isUndefined(child.props.title)) {
-                    titleHeight = 0;
-                }
+                const titleHeight = rowTitleHeight(child);
 
                 const transform = `translate(${-leftWidth - paddingLeft},${yPosition +
                     titleHeight})`;
@@ -401,7 +949,7 @@ export default class ChartContainer extends React.Component {
                         chartRowTitles.push(title);
                     }
 
-                    const height = parseInt(child.props.height, 10) + titleHeight;
+                    const height = rowHeights[i] + titleHeight;
                     yPosition += height;
                     chartsHeight += height;
                 }
@@ -409,33 +957,37 @@ export default class ChartContainer extends React.Component {
             i += 1;
         });
 
-        // Hover tracker line
-        let tracker;
-        if (
-            this.props.trackerPosition &&
-            this.props.timeRange.contains(this.props.trackerPosition)
-        ) {
-            tracker = (
-                <g
-                    key="tracker-group"
-                    style={{ pointerEvents: "none" }}
-                    transform={`translate(${leftWidth + paddingLeft},${paddingTop + titleHeight})`}
-                >
-                    <TimeMarker
-                        width={chartsWidth}
-                        height={chartsHeight}
-                        showInfoBox={!!this.props.trackerValues}
-                        time={this.props.trackerPosition}
-                        timeScale={timeScale}
-                        timeFormat={this.props.format}
-                        infoWidth={this.props.trackerHintWidth}
-                        infoHeight={this.props.trackerHintHeight}
-                        infoValues={this.props.trackerValues}
-                        infoStyle={trackerStyle}
-                    />
-                </g>
-            );
-        }
+        // Hover tracker line. This is rendered by its own component so that
+        // when the chart is synchronized a tracker change re-renders just it.
+        const tracker = (
+            <SyncedTracker
+                key="tracker-group"
+                group={this.sync}
+                time={this.props.trackerPosition}
+                render={trackerPosition =>
+                    trackerPosition && timeRange.contains(trackerPosition) ? (
+                        <g
+                            style={{ pointerEvents: "none" }}
+                            transform={`translate(${leftWidth + paddingLeft},${paddingTop +
+                                titleHeight})`}
+                        >
+                            <TimeMarker
+                                width={chartsWidth}
+                                height={chartsHeight}
+                                showInfoBox={!!this.props.trackerValues}
+                                time={trackerPosition}
+                                timeScale={timeScale}
+                                timeFormat={this.props.format}
+                                infoWidth={this.props.trackerHintWidth}
+                                infoHeight={this.props.trackerHintHeight}
+                                infoValues={this.props.trackerValues}
+                                infoStyle={trackerStyle}
+                            />
+                        </g>
+                    ) : null
+                }
+            />
+        );
 
         //
         // TimeAxis
@@ -523,15 +1075,33 @@ export default class ChartContainer extends React.Component {
         const svgWidth = this.props.width;
         const svgHeight = chartsHeight + timeAxisHeight + paddingTop + paddingBottom + titleHeight;
 
+        // Let the browser scroll the page vertically over the chart unless the
+        // chart handles touch gestures itself
+        const touchAction =
+            this.props.enablePanZoom || this.props.enableDragZoom ? "none" : "pan-y";
+
         const svgStyle = merge(
             true,
-            { display: "block" },
+            { display: "block", touchAction },
             this.props.style ? this.props.style : {}
         );
 
+        const ariaLabel = this.ariaLabel();
+
         return this.props.showGridPosition === "over" ? (
-            <svg width={svgWidth} height={svgHeight} style={svgStyle} ref={this.saveSvgRef}>
+            <svg
+                width={svgWidth}
+                height={svgHeight}
+                style={svgStyle}
+                ref={this.saveSvgRef}
+                tabIndex={0}
+                role="application"
+                aria-roledescription="chart"
+                aria-label={ariaLabel}
+                onKeyDown={this.handleKeyDown}
+            >
                 {title}
+                {legend}
                 {rows}
                 {tracker}
                 {timeAxis}
@@ -541,10 +1111,16 @@ export default class ChartContainer extends React.Component {
             <svg
                 width={svgWidth}
                 height={svgHeight}
-                style={{ display: "block" }}
+                style={svgStyle}
                 ref={this.saveSvgRef}
+                tabIndex={0}
+                role="application"
+                aria-roledescription="chart"
+                aria-label={ariaLabel}
+                onKeyDown={this.handleKeyDown}
             >
                 {title}
+                {legend}
                 {timeAxis}
                 {rows}
                 {rowTitles}
@@ -566,6 +1142,25 @@ ChartContainer.propTypes = {
      */
     utc: PropTypes.bool,
 
+    /**
+     * Periods of time to leave out of the time axis, such as weekends or
+     * the hours a market is closed. These periods take up no space, so the
+     * data either side of them is drawn side by side, and the time axis,
+     * tracker, pan and zoom, brushes and charts all follow the collapsed
+     * scale. This is an object which may contain:
+     *
+     *  - `weekends`: true to leave out Saturdays and Sundays
+     *  - `hours`: the hours to keep each day, e.g. ["09:30", "16:00"]
+     *  - `ranges`: a list of Pond TimeRanges to leave out, e.g. holidays
+     *
+     * Days and hours are in local time, or UTC if `utc` is set.
+     */
+    discontinuities: PropTypes.shape({
+        weekends: PropTypes.bool,
+        hours: PropTypes.arrayOf(PropTypes.string),
+        ranges: PropTypes.arrayOf(PropTypes.instanceOf(TimeRange))
+    }),
+
     /**
      * Children of the ChartContainer should be ChartRows.
      */
@@ -581,6 +1176,24 @@ ChartContainer.propTypes = {
      */
     width: PropTypes.number,
 
+    /**
+     * The height of the chart. When this is given, the rows are sized to
+     * fill the height left once the title, the row titles, the time axis and
+     * the padding are taken out:
+     *
+     *  * rows with a fixed `height` keep it
+     *  * rows with a percentage `height` (e.g. "40%") take that share of
+     *    the height left over by the fixed rows
+     *  * rows with a `flex` weight divide whatever remains in proportion to
+     *    their weights, within their `minHeight` and `maxHeight`
+     *
+     * Rows with `visible={false}` take no space, so the other rows grow to
+     * keep the chart the same overall size. A <Resizable> with `fillHeight`
+     * injects this as well as the width, so that the chart can fill both
+     * dimensions of a responsive layout.
+     */
+    height: PropTypes.number,
+
     /**
      * Constrain the timerange to not move back in time further than this Date.
      */
@@ -766,6 +1379,41 @@ ChartContainer.propTypes = {
      */
     title: PropTypes.string,
 
+    /**
+     * A legend to draw in the title band above the rows, such as an
+     * `<SvgLegend>`, which is given the width and height of the band. The
+     * band is shown, with its `titleHeight`, even without a `title`.
+     */
+    legend: PropTypes.element,
+
+    /**
+     * The id of a group of charts, within a `<ChartSync>`, that share their
+     * tracker, time range, highlight and selection. See `<ChartSync>`.
+     */
+    syncGroup: PropTypes.string,
+
+    /**
+     * The id of a group of charts and `<Legend>`s, within a `<ChartSync>`,
+     * that share which columns are hidden. Clicking an item of a legend
+     * with `toggleVisibility` hides or shows that column in every chart of
+     * the group. See `<Legend>`.
+     */
+    legendGroup: PropTypes.string,
+
+    /**
+     * The columns to leave out of the charts, such as the keys of the items
+     * hidden by a `<Legend>`, passed to its `onVisibilityChange` callback.
+     * When given, this is used in place of the hidden columns of the
+     * `legendGroup`.
+     */
+    hidden: PropTypes.arrayOf(PropTypes.string),
+
+    /**
+     * A description of the chart for screen readers. By default this is
+     * made from the chart's title and each row's title, series and columns.
+     */
+    ariaLabel: PropTypes.string,
+
     /**
      * Specify the height of the title
      * Default value is 28 pixels
@@ -784,9 +1432,9 @@ ChartContainer.propTypes = {
      * is an inline CSS style applied to the axis label, axis values, axis line and ticks
      * respectively.
      *
-     * Note that "ticks" and "values" are passed into d3's styles, so they are regular CSS property names
-     * and not React's camel case names (e.g. "stroke-dasharray" not "strokeDasharray"). "axis" is a
-     * regular React rendered SVG line, so it uses camel case.
+     * Note that "ticks" and "values" may use either React's camel case names (e.g. "strokeDasharray")
+     * or regular CSS property names (e.g. "stroke-dasharray"). "axis" is a regular React rendered
+     * SVG line, so it uses camel case.
      */
     timeAxisStyle: PropTypes.shape({
         axis: PropTypes.object,
@@ -818,6 +1466,10 @@ ChartContainer.propTypes = {
     hideTimeAxis: PropTypes.bool
 };
 
+ChartContainer.contextTypes = {
+    chartSync: PropTypes.object
+};
+
 ChartContainer.defaultProps = {
     width: 800,
     padding: 0,
@@ -14,23 +14,85 @@ import PropTypes from "prop-types";
 import { easeSinOut } from "d3-ease";
 import { scaleLinear, scaleLog, scalePow } from "d3-scale";
 import { areComponentsEqual } from "react-hot-loader";
+import { Event } from "pondjs";
 
+import AreaChart from "./AreaChart";
+import BandChart from "./BandChart";
+import BoxChart from "./BoxChart";
 import Brush from "./Brush";
 import YAxis from "./YAxis";
 import Charts from "./Charts";
+import LineChart from "./LineChart";
 import MultiBrush from "./MultiBrush";
+import ScatterChart from "./ScatterChart";
+import SvgLegend from "./SvgLegend";
+import SyncedTracker from "./SyncedTracker";
 import TimeMarker from "./TimeMarker";
 import ScaleInterpolator from "../js/interpolators";
+import { describeChart, valueExtent, visibleRange } from "../js/util";
+import { withoutHidden } from "../js/visibility";
 
-function createScale(yaxis, type, min, max, y0, y1) {
+// Zoom factor per unit of wheel delta when zooming a y-axis
+const WHEEL_SCALE_FACTOR = 0.001;
+
+/**
+ * Returns how a chart shares its highlight and selection within a sync group:
+ * the prop and the callback for each, and the shape of their values, which
+ * is an `{event, column}` "item", a bare "event" or a "column" name. Values
+ * are only shared between charts of the same shape. Returns null for charts
+ * that take part in neither, such as a `<Legend>`.
+ */
+function syncedProps(chartType) {
+    const is = type => areComponentsEqual(chartType, type);
+    const props = {
+        highlight: ["highlighted", "onHighlightChange"],
+        selection: ["selected", "onSelectionChange"]
+    };
+    if (is(LineChart) || is(AreaChart)) {
+        return {
+            shape: "column",
+            highlight: ["highlight", "onHighlightChange"],
+            selection: ["selection", "onSelectionChange"]
+        };
+    }
+    if (is(ScatterChart)) {
+        return { ...props, shape: "item", highlight: ["highlight", "onMouseNear"] };
+    }
+    if (is(BoxChart) || is(BandChart)) {
+        return { ...props, shape: "event" };
+    }
+    const propTypes = chartType.propTypes || {};
+    if (_.has(propTypes, "highlighted") || _.has(propTypes, "selected")) {
+        return { ...props, shape: "item" };
+    }
+    return null;
+}
+
+function hasShape(value, shape) {
+    if (_.isNull(value) || _.isUndefined(value)) {
+        return true;
+    }
+    switch (shape) {
+        case "column":
+            return _.isString(value);
+        case "event":
+            return value instanceof Event;
+        default:
+            return value.event instanceof Event && _.has(value, "column");
+    }
+}
+
+function createScale(yaxis, type, min, max, y0, y1, nice = true) {
     let scale;
     if (_.isUndefined(min) || _.isUndefined(max)) {
         scale = null;
     } else if (type === "linear") {
         scale = scaleLinear()
             .domain([min, max])
-            .range([y0, y1])
-            .nice();
+            .range([y0, y1]);
+        if (nice) {
+            scale.nice();
+        }
     } else if (type === "log") {
         const base = yaxis.props.logBase || 10;
         scale = scaleLog()
@@ -74,6 +136,16 @@ function createScale(yaxis, type, min, max, y0, y1) {
  *     </ChartRow>
  * </ChartContainer>
  * ```
+ *
+ * ## Vertical zoom and pan
+ *
+ * With `enableYPanZoom` set, the y-axes of the row can be zoomed with the
+ * scroll wheel and panned by dragging while the pointer is over an axis.
+ * Holding the Alt key does the same for all the row's axes while the pointer
+ * is over the charts. Double clicking resets the axis to its `min` and `max`,
+ * as does changing the axis' `min` or `max` props.
+ * Each change is reported to `onYDomainChanged` with the axis id and its
+ * new `[min, max]`.
  */
 export default class ChartRow extends React.Component {
     constructor(props) {
@@ -90,12 +162,100 @@ export default class ChartRow extends React.Component {
             clipPathURL
         };
         this.mounted = true;
+
+        // Domains of y-axes which have been zoomed or panned by the user,
+        // mapping axis id to [min, max]. These replace the axis' min and max
+        // until reset by double clicking, or by a change to the axis' min or
+        // max props, which are kept in axisLimits to detect that.
+        this.yDomains = {};
+        this.axisLimits = {};
+
+        this.handleWheel = this.handleWheel.bind(this);
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleDoubleClick = this.handleDoubleClick.bind(this);
     }
 
     isChildYAxis = child =>
         areComponentsEqual(child.type, YAxis) ||
         (_.has(child.props, "min") && _.has(child.props, "max"));
 
+    /**
+     * Computes the domain for an axis with a min or max of "auto" from the
+     * values of the charts bound to it, within the time range of the row.
+     * The extent is then widened to include zero if `includeZero` is set,
+     * and padded by `autoPadding` times its size.
+     */
+    autoDomain(props, yaxis) {
+        const { id, autoPadding = 0, includeZero = false } = yaxis.props;
+        let lo = Infinity;
+        let hi = -Infinity;
+        React.Children.forEach(props.children, child => {
+            if (child === null || !areComponentsEqual(child.type, Charts)) return;
+            React.Children.forEach(child.props.children, element => {
+                if (!element || element.props.axis !== id) return;
+                if (_.has(element.props, "visible") && !element.props.visible) return;
+
+                // Columns hidden by a legend don't count towards the extent
+                const chart = withoutHidden(element, props.hidden);
+                if (!chart) return;
+                const { series } = chart.props;
+                if (!series || !_.isFunction(series.at) || !props.timeScale) return;
+
+                const [begin, end] = visibleRange(series, props.timeScale, 0);
+                const events = _.range(begin, end).map(i => series.at(i));
+                const extent = _.isFunction(chart.type.valueExtent)
+                    ? chart.type.valueExtent(chart.props, events)
+                    : valueExtent(chart.props, events);
+                if (extent) {
+                    lo = Math.min(lo, extent[0]);
+                    hi = Math.max(hi, extent[1]);
+                }
+            });
+        });
+
+        if (lo > hi) {
+            lo = 0;
+            hi = 1;
+        }
+        if (includeZero) {
+            lo = Math.min(lo, 0);
+            hi = Math.max(hi, 0);
+        }
+        if (lo === hi) {
+            const delta = Math.abs(lo) / 10 || 1;
+            lo -= delta;
+            hi += delta;
+        }
+
+        // Pad the domain, but not past zero if it is included
+        const pad = (hi - lo) * autoPadding;
+        return [includeZero && lo === 0 ? 0 : lo - pad, includeZero && hi === 0 ? 0 : hi + pad];
+    }
+
+    /**
+     * Returns the format suggested for an axis with a min or max of "auto"
+     * by the first chart bound to it that has one, such as a percentage for
+     * a normalized stack, or null. Charts suggest a format with a static
+     * `axisFormat(props)`.
+     */
+    autoFormat(props, yaxis) {
+        let format = null;
+        React.Children.forEach(props.children, child => {
+            if (child === null || !areComponentsEqual(child.type, Charts)) return;
+            React.Children.forEach(child.props.children, element => {
+                if (format || !element || element.props.axis !== yaxis.props.id) return;
+                if (_.has(element.props, "visible") && !element.props.visible) return;
+                const chart = withoutHidden(element, props.hidden);
+                if (chart && _.isFunction(chart.type.axisFormat)) {
+                    format = chart.type.axisFormat(chart.props);
+                }
+            });
+        });
+        return format;
+    }
+
     updateScales(props) {
         const axisMargin = props.axisMargin;
         const innerHeight = +props.height - axisMargin * 2;
@@ -104,7 +264,30 @@ export default class ChartRow extends React.Component {
         React.Children.forEach(props.children, child => {
             if (child === null) return;
             if (this.isChildYAxis(child)) {
-                const { id, max, min, transition = 0, type = "linear" } = child.props;
+                const { id, transition = 0, type = "linear" } = child.props;
+                let { max, min } = child.props;
+                const limits = this.axisLimits[id];
+                if (limits && (limits.min !== min || limits.max !== max)) {
+                    delete this.yDomains[id];
+                }
+                this.axisLimits[id] = { min, max };
+                this.autoAxisProps[id] = {};
+                if (min === "auto" || max === "auto") {
+                    const domain = this.autoDomain(props, child);
+                    min = min === "auto" ? domain[0] : min;
+                    max = max === "auto" ? domain[1] : max;
+
+                    // Unless the axis has its own format, use the charts' format
+                    const defaults = child.type.defaultProps || {};
+                    const format = this.autoFormat(props, child);
+                    if (format && child.props.format === defaults.format) {
+                        this.autoAxisProps[id] = { format };
+                    }
+                }
+                this.axisDomains[id] = { min, max };
+
+                const yDomain = this.yDomains[id];
+
                 if (!_.has(this.scaleMap, id)) {
                     // If necessary, initialize a ScaleInterpolator for this y-axis.
                     // When the yScale changes, we will update this interpolator.
@@ -121,11 +304,15 @@ export default class ChartRow extends React.Component {
                     scale = child.props.yScale;
                 } else {
                     // Otherwise, compute the scale based on the max and min props.
-                    scale = createScale(child, type, min, max, rangeBottom, rangeTop);
+                    // If the user has zoomed the axis, use their domain as is.
+                    scale = yDomain
+                        ? createScale(child, type, ...yDomain, rangeBottom, rangeTop, false)
+                        : createScale(child, type, min, max, rangeBottom, rangeTop);
                 }
 
                 // Update the scale on the interpolator for this y-axis.
-                const cacheKey = `${type}-${min}-${max}-${rangeBottom}-${rangeTop}`;
+                const [scaleMin, scaleMax] = yDomain || [min, max];
+                const cacheKey = `${type}-${scaleMin}-${scaleMax}-${rangeBottom}-${rangeTop}`;
                 this.scaleMap[id].setScale(cacheKey, scale);
             }
         });
@@ -146,6 +333,8 @@ export default class ChartRow extends React.Component {
         // the ScaleInterpolator. We create new Scale Interpolators here for each
         // axis id.
         this.scaleMap = {};
+        this.axisDomains = {};
+        this.autoAxisProps = {};
         this.updateScales(this.props);
     }
 
@@ -156,9 +345,126 @@ export default class ChartRow extends React.Component {
     componentWillReceiveProps(nextProps) {
         this.updateScales(nextProps);
     }
+    componentDidMount() {
+        this.rowRef.addEventListener("wheel", this.handleWheel, { passive: false });
+    }
+
     componentWillUnmount() {
         this.mounted = false;
+        this.rowRef.removeEventListener("wheel", this.handleWheel);
+        document.removeEventListener("mousemove", this.handleMouseMove);
+        document.removeEventListener("mouseup", this.handleMouseUp);
+    }
+
+    //
+    // Vertical zoom and pan
+    //
+
+    /**
+     * Returns the ids of the y-axes a mouse event should zoom or pan. Over
+     * an axis column that's the axis. Over the charts with the Alt key held
+     * that's every axis of the row.
+     */
+    interactiveAxes(e) {
+        if (!this.props.enableYPanZoom) {
+            return [];
+        }
+        const axisNode = e.target.closest ? e.target.closest("[data-yaxis]") : null;
+        if (axisNode) {
+            return [axisNode.getAttribute("data-yaxis")];
+        }
+        return e.altKey ? _.keys(this.axisDomains) : [];
     }
+
+    /**
+     * The y position of a mouse event within the row
+     */
+    offsetY(e) {
+        return e.clientY - this.hitRect.getBoundingClientRect().top;
+    }
+
+    /**
+     * Sets the domain of the y-axis `id`, or resets it to the axis' own
+     * min and max if `domain` is null, then reports the new domain with
+     * onYDomainChanged.
+     */
+    setYDomain(id, domain) {
+        if (domain) {
+            this.yDomains[id] = domain;
+        } else {
+            delete this.yDomains[id];
+        }
+        this.updateScales(this.props);
+
+        if (this.props.onYDomainChanged) {
+            const { min, max } = this.axisDomains[id];
+            this.props.onYDomainChanged(id, domain || [min, max]);
+        }
+    }
+
+    handleWheel(e) {
+        const ids = this.interactiveAxes(e);
+        if (ids.length === 0) {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+
+        const scale = Math.min(Math.max(1 + e.deltaY * WHEEL_SCALE_FACTOR, 0.1), 3);
+        const y = this.offsetY(e);
+        ids.forEach(id => {
+            // Zoom in pixel space about the pointer so that this works the
+            // same for linear, power and log scales
+            const s = this.scaleMap[id].latestScale();
+            const [y0, y1] = s.range();
+            this.setYDomain(id, [s.invert(y + (y0 - y) * scale), s.invert(y + (y1 - y) * scale)]);
+        });
+    }
+
+    handleMouseDown(e) {
+        const ids = this.interactiveAxes(e);
+        if (ids.length === 0) {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+
+        this.yPan = {
+            y: this.offsetY(e),
+            scales: _.object(ids, ids.map(id => this.scaleMap[id].latestScale()))
+        };
+        document.addEventListener("mousemove", this.handleMouseMove);
+        document.addEventListener("mouseup", this.handleMouseUp);
+    }
+
+    handleMouseMove(e) {
+        if (!this.yPan) {
+            return;
+        }
+        e.preventDefault();
+
+        const dy = this.offsetY(e) - this.yPan.y;
+        _.forEach(this.yPan.scales, (s, id) => {
+            const [y0, y1] = s.range();
+            this.setYDomain(id, [s.invert(y0 - dy), s.invert(y1 - dy)]);
+        });
+    }
+
+    handleMouseUp() {
+        this.yPan = null;
+        document.removeEventListener("mousemove", this.handleMouseMove);
+        document.removeEventListener("mouseup", this.handleMouseUp);
+    }
+
+    handleDoubleClick(e) {
+        const ids = this.interactiveAxes(e);
+        if (ids.length === 0) {
+            return;
+        }
+        e.stopPropagation();
+        ids.forEach(id => this.setYDomain(id, null));
+    }
+
     render() {
         const { paddingLeft, paddingRight } = this.props;
 
@@ -227,6 +533,18 @@ export default class ChartRow extends React.Component {
         const rightWidth = _.reduce(this.props.rightAxisWidths, (a, b) => a + b, 0);
         const chartWidth = this.props.width - leftWidth - rightWidth - paddingLeft - paddingRight;
 
+        // When the axes can be zoomed and panned, each axis column is given a
+        // transparent rect to receive the mouse events
+        const axisHitRect = colWidth =>
+            this.props.enableYPanZoom ? (
+                <rect
+                    width={colWidth}
+                    height={innerHeight}
+                    style={{ fill: "none", cursor: "ns-resize" }}
+                    pointerEvents="all"
+                />
+            ) : null;
+
         posx = leftWidth;
         for (
             let leftColumnIndex = 0;
@@ -247,14 +565,22 @@ export default class ChartRow extends React.Component {
                         chartExtent: chartWidth,
                         isInnerAxis: leftColumnIndex === 0,
                         align: "left",
-                        scale: this.scaleMap[id].latestScale()
+                        scale: this.scaleMap[id].latestScale(),
+                        scaler: this.state.yAxisScalerMap[id],
+                        ...this.axisDomains[id],
+                        ...this.autoAxisProps[id]
                     };
 
                     // Cloned left axis
                     axis = React.cloneElement(yAxisMap[id], props);
 
                     axes.push(
-                        <g key={`y-axis-left-${leftColumnIndex}`} transform={transform}>
+                        <g
+                            key={`y-axis-left-${leftColumnIndex}`}
+                            transform={transform}
+                            data-yaxis={this.props.enableYPanZoom ? id : null}
+                        >
+                            {axisHitRect(colWidth)}
                             {axis}
                         </g>
                     );
@@ -282,14 +608,22 @@ export default class ChartRow extends React.Component {
                         //showGrid: this.props.showGrid,
                         isInnerAxis: rightColumnIndex === 0,
                         align: "right",
-                        scale: this.scaleMap[id].latestScale()
+                        scale: this.scaleMap[id].latestScale(),
+                        scaler: this.state.yAxisScalerMap[id],
+                        ...this.axisDomains[id],
+                        ...this.autoAxisProps[id]
                     };
 
                     // Cloned right axis
                     axis = React.cloneElement(yAxisMap[id], props);
 
                     axes.push(
-                        <g key={`y-axis-right-${rightColumnIndex}`} transform={transform}>
+                        <g
+                            key={`y-axis-right-${rightColumnIndex}`}
+                            transform={transform}
+                            data-yaxis={this.props.enableYPanZoom ? id : null}
+                        >
+                            {axisHitRect(colWidth)}
                             {axis}
                         </g>
                     );
@@ -309,12 +643,35 @@ export default class ChartRow extends React.Component {
         const chartTransform = `translate(${leftWidth + paddingLeft},0)`;
 
         let keyCount = 0;
+        const chartLabels = [];
         React.Children.forEach(this.props.children, child => {
             if (child === null) return;
             if (areComponentsEqual(child.type, Charts)) {
                 const charts = child;
-                React.Children.forEach(charts.props.children, chart => {
-                    if (!_.has(chart.props, "visible") || chart.props.visible) {
+                React.Children.forEach(charts.props.children, element => {
+                    // Leave out the columns hidden by a legend, and the chart
+                    // itself if all of them are
+                    const chart = element && withoutHidden(element, this.props.hidden);
+
+                    // A legend drawn over the charts only needs their size
+                    if (chart && areComponentsEqual(chart.type, SvgLegend)) {
+                        chartList.push(
+                            React.cloneElement(chart, {
+                                key: keyCount,
+                                width: chartWidth,
+                                height: innerHeight
+                            })
+                        );
+                        keyCount += 1;
+                        return;
+                    }
+
+                    if (chart && (!_.has(chart.props, "visible") || chart.props.visible)) {
+                        const label = describeChart(chart);
+                        if (label) {
+                            chartLabels.push(label);
+                        }
+
                         let scale = null;
                         if (_.has(this.state.yAxisScalerMap, chart.props.axis)) {
                             scale = this.state.yAxisScalerMap[chart.props.axis];
@@ -341,6 +698,40 @@ export default class ChartRow extends React.Component {
                             chartProps.transition = ytransition;
                         }
 
+                        // Within a sync group, charts which support highlighting
+                        // and selection share them with the charts of the same
+                        // shape in the rest of the group
+                        const sync = this.props.sync;
+                        const chartPropTypes = chart.type.propTypes || {};
+                        const synced = sync ? syncedProps(chart.type) : null;
+                        if (synced) {
+                            [["highlighted", "highlight"], ["selected", "selection"]].forEach(
+                                ([key, name]) => {
+                                    const [prop, callback] = synced[name];
+                                    if (!_.has(chartPropTypes, callback)) {
+                                        return;
+                                    }
+                                    const value = this.props[key];
+                                    chartProps[prop] = hasShape(value, synced.shape) ? value : null;
+                                    chartProps[callback] = v => {
+                                        if (hasShape(v, synced.shape)) {
+                                            sync.set(key, v);
+                                        }
+                                        if (chart.props[callback]) {
+                                            chart.props[callback](v);
+                                        }
+                                    };
+                                }
+                            );
+                        }
+
+                        // Charts which show their value at the tracker's time
+                        // follow the tracker, or the sync group's tracker
+                        if (_.has(chartPropTypes, "trackerTime")) {
+                            chartProps.trackerTime = this.props.trackerTime;
+                            chartProps.sync = sync;
+                        }
+
                         chartList.push(React.cloneElement(chart, chartProps));
                         keyCount += 1;
                     }
@@ -423,40 +814,70 @@ export default class ChartRow extends React.Component {
         );
 
         //
-        // TimeMarker used as a tracker
+        // TimeMarker used as a tracker. When the chart is synchronized the
+        // SyncedTracker re-renders it without the rest of the row.
         //
-        let tracker;
-        if (this.props.trackerTime) {
-            const timeFormat = this.props.trackerTimeFormat || this.props.timeFormat;
-            const timeMarkerProps = {
-                timeFormat,
-                showLine: false,
-                showTime: this.props.trackerShowTime,
-                time: this.props.trackerTime,
-                timeScale: this.props.timeScale,
-                width: chartWidth,
-                infoStyle: this.props.trackerStyle
-            };
-            if (this.props.trackerInfoValues) {
-                timeMarkerProps.infoWidth = this.props.trackerInfoWidth;
-                timeMarkerProps.infoHeight = this.props.trackerInfoHeight;
-                timeMarkerProps.infoValues = this.props.trackerInfoValues;
-                timeMarkerProps.timeFormat = this.props.trackerTimeFormat;
-            }
-            const trackerStyle = {
-                pointerEvents: "none"
-            };
-            const trackerTransform = `translate(${leftWidth + paddingLeft},0)`;
-
-            tracker = (
-                <g key="tracker-group" style={trackerStyle} transform={trackerTransform}>
-                    <TimeMarker {...timeMarkerProps} />
-                </g>
-            );
-        }
+        const tracker = (
+            <SyncedTracker
+                key="tracker-group"
+                group={this.props.sync}
+                time={this.props.trackerTime}
+                render={trackerTime => {
+                    if (!trackerTime) {
+                        return null;
+                    }
+                    const timeFormat = this.props.trackerTimeFormat || this.props.timeFormat;
+                    const timeMarkerProps = {
+                        timeFormat,
+                        showLine: false,
+                        showTime: this.props.trackerShowTime,
+                        time: trackerTime,
+                        timeScale: this.props.timeScale,
+                        width: chartWidth,
+                        infoStyle: this.props.trackerStyle
+                    };
+                    if (this.props.trackerInfoValues) {
+                        timeMarkerProps.infoWidth = this.props.trackerInfoWidth;
+                        timeMarkerProps.infoHeight = this.props.trackerInfoHeight;
+                        timeMarkerProps.infoValues = this.props.trackerInfoValues;
+                        timeMarkerProps.timeFormat = this.props.trackerTimeFormat;
+                    }
+                    const trackerStyle = {
+                        pointerEvents: "none"
+                    };
+                    const trackerTransform = `translate(${leftWidth + paddingLeft},0)`;
+
+                    return (
+                        <g style={trackerStyle} transform={trackerTransform}>
+                            <TimeMarker {...timeMarkerProps} />
+                        </g>
+                    );
+                }}
+            />
+        );
+
+        // Description of the row for screen readers
+        const ariaLabel = _.compact([this.props.title, _.uniq(chartLabels).join(", ")]).join(": ");
 
         return (
-            <g>
+            <g
+                role="group"
+                aria-label={ariaLabel || null}
+                ref={c => {
+                    this.rowRef = c;
+                }}
+                onMouseDown={this.handleMouseDown}
+                onDoubleClick={this.handleDoubleClick}
+            >
+                <rect
+                    ref={c => {
+                        this.hitRect = c;
+                    }}
+                    width={this.props.width}
+                    height={innerHeight}
+                    style={{ fill: "none" }}
+                    pointerEvents={this.props.enableYPanZoom ? "all" : "none"}
+                />
                 {clipper}
                 {axes}
                 {charts}
@@ -471,6 +892,7 @@ export default class ChartRow extends React.Component {
 ChartRow.defaultProps = {
     trackerTimeFormat: "%b %d %Y %X",
     enablePanZoom: false,
+    enableYPanZoom: false,
     height: 100,
     axisMargin: 5,
     visible: true
@@ -478,10 +900,31 @@ ChartRow.defaultProps = {
 
 ChartRow.propTypes = {
     /**
-     * The height of the row.
+     * The height of the row, in pixels. This may also be a percentage, such
+     * as "40%", of the height of the `<ChartContainer>` left over by its
+     * fixed height rows. See the `height` prop of `<ChartContainer>`.
      */
     height: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
 
+    /**
+     * A weight for sharing out the height of a `<ChartContainer>` that is
+     * given a `height`. The height left over by the rows with a fixed or
+     * percentage height is divided between the rows with a `flex`, in
+     * proportion to their weights. Without a container `height` this is
+     * ignored and the row's `height` is used.
+     */
+    flex: PropTypes.number,
+
+    /**
+     * The smallest height, in pixels, of a row with a `flex` weight
+     */
+    minHeight: PropTypes.number,
+
+    /**
+     * The largest height, in pixels, of a row with a `flex` weight
+     */
+    maxHeight: PropTypes.number,
+
     /**
      * The vertical margin between the top and bottom of the row
      * height and the top and bottom of the range of the chart.
@@ -524,6 +967,17 @@ ChartRow.propTypes = {
         )
     ]),
 
+    /**
+     * Allow the y-axes to be zoomed and panned. See "Vertical zoom and pan" above.
+     */
+    enableYPanZoom: PropTypes.bool,
+
+    /**
+     * Called with the axis id and its new domain, as `[min, max]`, when an
+     * axis is zoomed, panned or reset
+     */
+    onYDomainChanged: PropTypes.func,
+
     /**
      * Specify the title for the chart row
      */
@@ -552,5 +1006,9 @@ ChartRow.propTypes = {
     timeScale: PropTypes.func,
     trackerTimeFormat: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
     timeFormat: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
-    trackerTime: PropTypes.instanceOf(Date)
+    trackerTime: PropTypes.instanceOf(Date),
+    sync: PropTypes.object,
+    hidden: PropTypes.arrayOf(PropTypes.string),
+    highlighted: PropTypes.any,
+    selected: PropTypes.any
 };
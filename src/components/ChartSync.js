@@ -0,0 +1,87 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+import React from "react";
+import PropTypes from "prop-types";
+
+import SyncGroup from "../js/sync";
+
+/**
+ * The `<ChartSync>` component links the tracker, time range, highlight and
+ * selection of several `<ChartContainer>`s without having to wire each of
+ * them through your own state. Wrap the containers in a `<ChartSync>` and
+ * give each container that should move together the same `syncGroup` id:
+ *
+ * ```
+ * <ChartSync>
+ *     <ChartContainer syncGroup="network" timeRange={timerange} enablePanZoom>
+ *         ...
+ *     </ChartContainer>
+ *     <ChartContainer syncGroup="network" timeRange={timerange} enablePanZoom>
+ *         ...
+ *     </ChartContainer>
+ * </ChartSync>
+ * ```
+ *
+ * The containers may be anywhere below the `<ChartSync>`. Within a group:
+ *
+ *  * moving the mouse over one chart moves the tracker on all of them. Only
+ *    the tracker itself is re-rendered, not the rows of charts
+ *  * panning or zooming one chart changes the time range of all of them.
+ *    A container's `timeRange` prop sets the group's time range when the
+ *    container is first mounted (if the group has none yet) and whenever
+ *    the prop changes
+ *  * hovering or selecting something in a chart that supports highlighting
+ *    or selection highlights or selects it in the other charts of the group
+ *    that show the same kind of thing: the `{event, column}` points, bars,
+ *    candles and cells of `<ScatterChart>`s, `<BarChart>`s,
+ *    `<CandlestickChart>`s and `<HeatmapChart>`s, the events of
+ *    `<BoxChart>`s and `<BandChart>`s, or the columns of `<LineChart>`s and
+ *    `<AreaChart>`s
+ *
+ * The containers' `onTrackerChanged`, `onTimeRangeChanged`,
+ * `onHighlightChange` and `onSelectionChange` callbacks are still called,
+ * so you can observe the group, but you no longer need to pass the values
+ * back in as props.
+ */
+export default class ChartSync extends React.Component {
+    constructor(props) {
+        super(props);
+        this.groups = {};
+        this.registry = {
+            group: id => {
+                if (!_.has(this.groups, id)) {
+                    this.groups[id] = new SyncGroup();
+                }
+                return this.groups[id];
+            }
+        };
+    }
+
+    getChildContext() {
+        return { chartSync: this.registry };
+    }
+
+    render() {
+        return this.props.children;
+    }
+}
+
+ChartSync.childContextTypes = {
+    chartSync: PropTypes.object
+};
+
+ChartSync.propTypes = {
+    /**
+     * The tree containing the `<ChartContainer>`s to synchronize
+     */
+    children: PropTypes.node
+};
@@ -54,6 +54,13 @@ import React from "react";
  * #### width
  *
  * A the width your chart will render into
+ *
+ * If your chart may be bound to a `<YAxis>` with a `min` or `max` of "auto",
+ * the axis range is found from the values in your chart's `columns` prop
+ * (or `column` prop) for the events in view. If your chart draws something
+ * else, such as stacked values, give its class a static
+ * `valueExtent(props, events)` method which returns the `[min, max]` it
+ * will draw for those events.
  */
 export default class Charts extends React.Component {
     render() {
@@ -0,0 +1,65 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import React from "react";
+import PropTypes from "prop-types";
+import { area } from "d3-shape";
+import { TimeSeries } from "pondjs";
+
+import { Styler } from "../js/styler";
+import { capWidth, errorShapes, errorStyle } from "../js/errors";
+
+/**
+ * Renders the error bars or confidence ribbon of a column of a chart, from
+ * the companion columns given in its `errors`. This is used by the
+ * `<LineChart>` and `<ScatterChart>`, which pass on their own props.
+ */
+const ErrorBars = props => {
+    const { column, errors } = props;
+    if (!errors || !errors[column]) {
+        return null;
+    }
+
+    const { bars, ribbons } = errorShapes(props, column);
+    const style = errorStyle(props.errorStyle || props.style, column);
+    const cap = capWidth(errors, column) / 2;
+
+    const ribbonPath = area()
+        .x(d => d.x)
+        .y0(d => d.y0)
+        .y1(d => d.y1);
+
+    return (
+        <g pointerEvents="none">
+            {ribbons.map((ribbon, i) => (
+                <path key={`ribbon-${i}`} d={ribbonPath(ribbon)} style={style.ribbon} />
+            ))}
+            {bars.map(({ x, y0, y1 }, i) => {
+                const d = cap
+                    ? `M${x},${y0}L${x},${y1}M${x - cap},${y0}L${x + cap},${y0}M${x -
+                          cap},${y1}L${x + cap},${y1}`
+                    : `M${x},${y0}L${x},${y1}`;
+                return <path key={`bar-${i}`} d={d} style={style.bar} />;
+            })}
+        </g>
+    );
+};
+
+ErrorBars.propTypes = {
+    series: PropTypes.instanceOf(TimeSeries).isRequired,
+    column: PropTypes.string.isRequired,
+    errors: PropTypes.object,
+    errorStyle: PropTypes.oneOfType([PropTypes.object, PropTypes.instanceOf(Styler)]),
+    style: PropTypes.any,
+    timeScale: PropTypes.func,
+    yScale: PropTypes.func
+};
+
+export default ErrorBars;
@@ -14,6 +14,8 @@ import React from "react";
 import PropTypes from "prop-types";
 import { TimeSeries, Event } from "pondjs";
 
+import { visibleEvents } from "../js/util";
+
 /**
  * Renders an event view that shows the supplied set of events along a time axis.
  * The events should be supplied as a Pond TimeSeries.
@@ -66,7 +68,7 @@ export default class EventChart extends React.Component {
 
         // Create and array of markers, one for each event
         let i = 0;
-        for (const event of series.events()) {
+        for (const event of visibleEvents(series, scale)) {
             const begin = event.begin();
             const end = event.end();
             const beginPos = scale(begin) >= 0 ? scale(begin) : 0;
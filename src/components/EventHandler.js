@@ -8,13 +8,20 @@
  *  LICENSE file in the root directory of this source tree.
  */
 
+import _ from "underscore";
 import React from "react";
 import ReactDOM from "react-dom"; // eslint-disable-line
 import PropTypes from "prop-types";
 
 import { TimeRange } from "pondjs";
 
-import { getElementOffset } from "../js/util";
+import { constrainPan, constrainZoom, getElementOffset } from "../js/util";
+
+// How long, in ms, a touch must be held without moving to show the tracker
+const LONG_PRESS_TIME = 500;
+
+// How far, in pixels, a touch can move before it's considered a drag
+const TOUCH_MOVE_THRESHOLD = 5;
 
 /**
  * Internal component which provides the top level event catcher for the charts.
@@ -23,6 +30,11 @@ import { getElementOffset } from "../js/util";
  *
  * The EventHandler is responsible for pan and zoom events as well as other click
  * and hover actions.
+ *
+ * On touch devices, a one finger drag pans, a two finger pinch zooms about the
+ * center of the pinch, and a long press shows the tracker, which then follows
+ * the finger until it is lifted. Touches are handled with Pointer Events where
+ * the browser supports them, otherwise with Touch Events.
  */
 export default class EventHandler extends React.Component {
     constructor(props) {
@@ -32,7 +44,8 @@ export default class EventHandler extends React.Component {
             isPanning: false,
             initialPanBegin: null,
             initialPanEnd: null,
-            initialPanPosition: null
+            initialPanPosition: null,
+            initialPanScale: null
         };
 
         this.handleScrollWheel = this.handleScrollWheel.bind(this);
@@ -41,10 +54,45 @@ export default class EventHandler extends React.Component {
         this.handleMouseOut = this.handleMouseOut.bind(this);
         this.handleMouseMove = this.handleMouseMove.bind(this);
         this.handleContextMenu = this.handleContextMenu.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleTouchStart = this.handleTouchStart.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+
+        // Active touches, mapping each touch id to its page position
+        this.touches = {};
+        this.gesture = null;
     }
 
     componentDidMount() {
         this.eventHandlerRef.addEventListener("wheel", this.handleScrollWheel, { passive: false });
+        if (window.PointerEvent) {
+            this.eventHandlerRef.addEventListener("pointerdown", this.handlePointerDown);
+            this.eventHandlerRef.addEventListener("pointermove", this.handlePointerMove);
+            this.eventHandlerRef.addEventListener("pointerup", this.handlePointerUp);
+            this.eventHandlerRef.addEventListener("pointercancel", this.handlePointerUp);
+        } else {
+            const options = { passive: false };
+            this.eventHandlerRef.addEventListener("touchstart", this.handleTouchStart, options);
+            this.eventHandlerRef.addEventListener("touchmove", this.handleTouchMove, options);
+            this.eventHandlerRef.addEventListener("touchend", this.handleTouchEnd);
+            this.eventHandlerRef.addEventListener("touchcancel", this.handleTouchEnd);
+        }
+    }
+
+    componentWillUnmount() {
+        clearTimeout(this.longPressTimer);
+        this.eventHandlerRef.removeEventListener("wheel", this.handleScrollWheel);
+        this.eventHandlerRef.removeEventListener("pointerdown", this.handlePointerDown);
+        this.eventHandlerRef.removeEventListener("pointermove", this.handlePointerMove);
+        this.eventHandlerRef.removeEventListener("pointerup", this.handlePointerUp);
+        this.eventHandlerRef.removeEventListener("pointercancel", this.handlePointerUp);
+        this.eventHandlerRef.removeEventListener("touchstart", this.handleTouchStart);
+        this.eventHandlerRef.removeEventListener("touchmove", this.handleTouchMove);
+        this.eventHandlerRef.removeEventListener("touchend", this.handleTouchEnd);
+        this.eventHandlerRef.removeEventListener("touchcancel", this.handleTouchEnd);
     }
 
     // get the event mouse position relative to the event rect
@@ -77,50 +125,42 @@ export default class EventHandler extends React.Component {
 
         const xy = this.getOffsetMousePosition(e);
 
-        const begin = this.props.scale.domain()[0].getTime();
-        const end = this.props.scale.domain()[1].getTime();
         const center = this.props.scale.invert(xy[0]).getTime();
+        const [beginScaled, endScaled] = this.transformedRange(this.props.scale, xy[0], scale);
 
-        let beginScaled = center - parseInt((center - begin) * scale, 10);
-        let endScaled = center + parseInt((end - center) * scale, 10);
-
-        // Duration constraint
-        let duration = (end - begin) * scale;
-
-        if (this.props.minDuration) {
-            const minDuration = parseInt(this.props.minDuration, 10);
-            if (duration < this.props.minDuration) {
-                beginScaled = center - ((center - begin) / (end - begin)) * minDuration;
-                endScaled = center + ((end - center) / (end - begin)) * minDuration;
-            }
-        }
-
-        if (this.props.minTime && this.props.maxTime) {
-            const maxDuration = this.props.maxTime.getTime() - this.props.minTime.getTime();
-            if (duration > maxDuration) {
-                duration = maxDuration;
-            }
-        }
-
-        // Range constraint
-        if (this.props.minTime && beginScaled < this.props.minTime.getTime()) {
-            beginScaled = this.props.minTime.getTime();
-            endScaled = beginScaled + duration;
-        }
-
-        if (this.props.maxTime && endScaled > this.props.maxTime.getTime()) {
-            endScaled = this.props.maxTime.getTime();
-            beginScaled = endScaled - duration;
+        if (this.props.onZoom) {
+            this.props.onZoom(this.constrainZoom(beginScaled, endScaled, center));
         }
+    }
 
-        const newBegin = new Date(beginScaled);
-        const newEnd = new Date(endScaled);
+    /**
+     * Returns the [begin, end] times of the view of the scale `s` after it is
+     * zoomed by `factor` about the pixel `x` and then moved by `dx` pixels.
+     * This is done in pixels, rather than time, so that panning and zooming
+     * also work with a time scale that skips excluded periods.
+     */
+    transformedRange(s, x, factor, dx = 0) {
+        const [x0, x1] = s.range();
+        return [
+            s.invert(x + (x0 - x) * factor - dx).getTime(),
+            s.invert(x + (x1 - x) * factor - dx).getTime()
+        ];
+    }
 
-        const newTimeRange = new TimeRange(newBegin, newEnd);
+    /**
+     * Applies the minDuration, minTime and maxTime constraints to a time range
+     * that has been zoomed about the time `center`, returning a new TimeRange
+     */
+    constrainZoom(begin, end, center) {
+        return constrainZoom(begin, end, center, this.props);
+    }
 
-        if (this.props.onZoom) {
-            this.props.onZoom(newTimeRange);
-        }
+    /**
+     * Applies the minTime and maxTime constraints to a panned time range,
+     * keeping its duration, and returns a new TimeRange
+     */
+    constrainPan(begin, end) {
+        return constrainPan(begin, end, this.props);
     }
 
     handleMouseDown(e) {
@@ -158,7 +198,8 @@ export default class EventHandler extends React.Component {
                 isPanning: true,
                 initialPanBegin: begin,
                 initialPanEnd: end,
-                initialPanPosition: xy0
+                initialPanPosition: xy0,
+                initialPanScale: this.props.scale.copy()
             });
         }
 
@@ -222,7 +263,8 @@ export default class EventHandler extends React.Component {
                 isPanning: false,
                 initialPanBegin: null,
                 initialPanEnd: null,
-                initialPanPosition: null
+                initialPanPosition: null,
+                initialPanScale: null
             });
         }
     }
@@ -248,27 +290,15 @@ export default class EventHandler extends React.Component {
         }
         if (this.state.isPanning) {
             const xy0 = this.state.initialPanPosition;
-            const timeOffset =
-                this.props.scale.invert(xy[0]).getTime() -
-                this.props.scale.invert(xy0[0]).getTime();
-
-            let newBegin = parseInt(this.state.initialPanBegin - timeOffset, 10);
-            let newEnd = parseInt(this.state.initialPanEnd - timeOffset, 10);
-            const duration = parseInt(this.state.initialPanEnd - this.state.initialPanBegin, 10);
-
-            if (this.props.minTime && newBegin < this.props.minTime.getTime()) {
-                newBegin = this.props.minTime.getTime();
-                newEnd = newBegin + duration;
-            }
-
-            if (this.props.maxTime && newEnd > this.props.maxTime.getTime()) {
-                newEnd = this.props.maxTime.getTime();
-                newBegin = newEnd - duration;
-            }
+            const [newBegin, newEnd] = this.transformedRange(
+                this.state.initialPanScale,
+                0,
+                1,
+                xy[0] - xy0[0]
+            );
 
-            const newTimeRange = new TimeRange(newBegin, newEnd);
             if (this.props.onZoom) {
-                this.props.onZoom(newTimeRange);
+                this.props.onZoom(this.constrainPan(newBegin, newEnd));
             }
         } else if (this.props.onMouseMove) {
             const mousePosition = this.getOffsetMousePosition(e);
@@ -286,6 +316,170 @@ export default class EventHandler extends React.Component {
         }
     }
 
+    //
+    // Touch handling
+    //
+
+    handlePointerDown(e) {
+        if (e.pointerType === "mouse") {
+            return;
+        }
+        this.touches[e.pointerId] = [e.pageX, e.pageY];
+        this.startGesture();
+    }
+
+    handlePointerMove(e) {
+        if (!_.has(this.touches, e.pointerId)) {
+            return;
+        }
+        e.preventDefault();
+        this.touches[e.pointerId] = [e.pageX, e.pageY];
+        this.moveGesture();
+    }
+
+    handlePointerUp(e) {
+        if (!_.has(this.touches, e.pointerId)) {
+            return;
+        }
+        delete this.touches[e.pointerId];
+        this.endGesture();
+    }
+
+    handleTouchStart(e) {
+        _.forEach(e.changedTouches, touch => {
+            this.touches[touch.identifier] = [touch.pageX, touch.pageY];
+        });
+        this.startGesture();
+    }
+
+    handleTouchMove(e) {
+        if (this.gesture) {
+            e.preventDefault();
+        }
+        _.forEach(e.changedTouches, touch => {
+            this.touches[touch.identifier] = [touch.pageX, touch.pageY];
+        });
+        this.moveGesture();
+    }
+
+    handleTouchEnd(e) {
+        _.forEach(e.changedTouches, touch => {
+            delete this.touches[touch.identifier];
+        });
+        this.endGesture();
+    }
+
+    /**
+     * Called when a touch begins. One touch starts a pan, which turns into
+     * tracking if the touch is held without moving. Two touches start a pinch.
+     */
+    startGesture() {
+        clearTimeout(this.longPressTimer);
+
+        const points = _.values(this.touches);
+        const scale = this.props.scale.copy();
+
+        if (points.length === 1) {
+            this.gesture = { type: "pan", scale, start: points[0] };
+            this.longPressTimer = setTimeout(() => {
+                if (this.gesture && this.gesture.type === "pan") {
+                    this.gesture.type = "track";
+                    this.moveGesture();
+                }
+            }, LONG_PRESS_TIME);
+        } else if (points.length === 2) {
+            const [p0, p1] = points;
+            const center = this.getOffsetMousePosition({
+                pageX: (p0[0] + p1[0]) / 2,
+                pageY: (p0[1] + p1[1]) / 2
+            });
+            this.gesture = {
+                type: "pinch",
+                scale,
+                distance: Math.max(Math.abs(p1[0] - p0[0]), 1),
+                center: center[0]
+            };
+        } else {
+            this.gesture = null;
+        }
+    }
+
+    moveGesture() {
+        const gesture = this.gesture;
+        const points = _.values(this.touches);
+        if (!gesture) {
+            return;
+        }
+
+        if (gesture.type === "track") {
+            const [x, y] = this.getOffsetMousePosition({
+                pageX: points[0][0],
+                pageY: points[0][1]
+            });
+            if (this.props.onMouseMove) {
+                this.props.onMouseMove(x, y);
+            }
+        } else if (gesture.type === "pan") {
+            const [x0, y0] = gesture.start;
+            const [x, y] = points[0];
+            if (
+                !gesture.moved &&
+                Math.abs(x - x0) < TOUCH_MOVE_THRESHOLD &&
+                Math.abs(y - y0) < TOUCH_MOVE_THRESHOLD
+            ) {
+                return;
+            }
+            gesture.moved = true;
+            clearTimeout(this.longPressTimer);
+
+            if (this.props.enablePanZoom) {
+                const [newBegin, newEnd] = this.transformedRange(gesture.scale, 0, 1, x - x0);
+                if (this.props.onZoom) {
+                    this.props.onZoom(this.constrainPan(newBegin, newEnd));
+                }
+            }
+        } else if (gesture.type === "pinch") {
+            if (!this.props.enablePanZoom && !this.props.enableDragZoom) {
+                return;
+            }
+
+            // Zoom by the ratio of the finger spread, keeping the time that
+            // was at the center of the pinch under the center of the fingers
+            const [p0, p1] = points;
+            const factor = gesture.distance / Math.max(Math.abs(p1[0] - p0[0]), 1);
+            const [cx] = this.getOffsetMousePosition({
+                pageX: (p0[0] + p1[0]) / 2,
+                pageY: (p0[1] + p1[1]) / 2
+            });
+            const [newBegin, newEnd] = this.transformedRange(
+                gesture.scale,
+                gesture.center,
+                factor,
+                (cx - gesture.center) * factor
+            );
+            const center = gesture.scale.invert(gesture.center).getTime();
+
+            if (this.props.onZoom) {
+                this.props.onZoom(this.constrainZoom(newBegin, newEnd, center));
+            }
+        }
+    }
+
+    endGesture() {
+        const wasTracking = this.gesture && this.gesture.type === "track";
+
+        // Lifting one finger of a pinch continues as a pan with the other
+        this.startGesture();
+        if (this.gesture && this.gesture.type === "pan") {
+            clearTimeout(this.longPressTimer);
+            this.gesture.moved = true;
+        }
+
+        if (wasTracking && this.props.onMouseOut) {
+            this.props.onMouseOut();
+        }
+    }
+
     //
     // Render
     //
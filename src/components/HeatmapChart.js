@@ -0,0 +1,439 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+import merge from "merge";
+import React from "react";
+import PropTypes from "prop-types";
+import { TimeSeries, TimeEvent, IndexedEvent, TimeRangeEvent, Event } from "pondjs";
+
+import EventMarker from "./EventMarker";
+import colorScale, { valueDomain } from "../js/colors";
+import { visibleRange } from "../js/util";
+
+const defaultStyle = {
+    normal: { stroke: "none" },
+    highlighted: { stroke: "#333", strokeWidth: 1 },
+    selected: { stroke: "#000", strokeWidth: 2 },
+    muted: { stroke: "none", opacity: 0.4 }
+};
+
+/**
+ * Renders a heatmap of the columns of a TimeSeries, such as a histogram
+ * per minute with a column per latency bucket, or the status of a set of
+ * hosts over time. Each column is drawn as a row of cells, with the first
+ * column at the bottom, and the rows evenly divide the height of the chart.
+ * Each cell spans the time range of its event. For `TimeEvent`s, which have
+ * no duration, a cell extends to the next event.
+ *
+ * Numeric values are colored with a
+ * [d3-scale-chromatic](https://github.com/d3/d3-scale-chromatic)
+ * interpolator, given by `colorScheme`, over the `colorDomain`:
+ *
+ * ```
+ * <ChartRow height="150">
+ *     <Charts>
+ *         <HeatmapChart
+ *             series={latency}
+ *             columns={["lt10ms", "lt50ms", "lt100ms", "lt500ms", "gt500ms"]}
+ *             colorScheme="YlOrRd"
+ *             colorDomain={[0, 500]}
+ *         />
+ *     </Charts>
+ * </ChartRow>
+ * ```
+ *
+ * Alternatively, when the values are categories, such as "up", "degraded"
+ * and "down", supply them as `categories` and each is given the next color
+ * of the `colorScheme`, such as "Set1".
+ *
+ * The heatmap doesn't use a y-scale, so it doesn't need an `axis`. Its rows
+ * may be labelled by placing a `<LabelAxis>` beside it, and its colors
+ * explained with a `<HeatmapLegend>` given the same scheme and domain, or
+ * without a `colorDomain` the same `series` and `columns`.
+ *
+ * ### Interactivity
+ *
+ * Cells can be selected and highlighted. The `onSelectionChange` and
+ * `onHighlightChange` callbacks are called with an object containing the
+ * `event` and the `column` of the cell, which can be passed back in as
+ * `selected` and `highlighted`. When an `info` prop is supplied, hovering
+ * over a cell shows the info box, connected to the center of the cell.
+ */
+export default class HeatmapChart extends React.Component {
+    handleHover(e, event, column) {
+        const cell = { event, column };
+        if (this.props.onHighlightChange) {
+            this.props.onHighlightChange(cell);
+        }
+    }
+
+    handleHoverLeave() {
+        if (this.props.onHighlightChange) {
+            this.props.onHighlightChange(null);
+        }
+    }
+
+    handleClick(e, event, column) {
+        const cell = { event, column };
+        if (this.props.onSelectionChange) {
+            this.props.onSelectionChange(cell);
+        }
+        e.stopPropagation();
+    }
+
+    isCell(cell, event, column) {
+        return cell && column === cell.column && Event.is(cell.event, event);
+    }
+
+    /**
+     * Returns the style used for drawing the cell of the event and column,
+     * on top of its fill color
+     */
+    style(event, column) {
+        const styleMap = this.props.style || {};
+        const isHighlighted = this.isCell(this.props.highlighted, event, column);
+        const isSelected = this.isCell(this.props.selected, event, column);
+
+        let mode = "normal";
+        if (isSelected) {
+            mode = "selected";
+        } else if (isHighlighted) {
+            mode = "highlighted";
+        } else if (this.props.selected) {
+            mode = "muted";
+        }
+        return merge(true, defaultStyle[mode], styleMap[mode] ? styleMap[mode] : {});
+    }
+
+    /**
+     * The color scale for the values of the cells. Without a `colorDomain`
+     * numeric values are colored over the extent of the whole series, so
+     * that a cell keeps its color as the chart is panned and zoomed.
+     */
+    colorScale() {
+        const { series, columns, categories, colorDomain } = this.props;
+        const scheme = this.props.colorScheme || (categories ? "Category10" : "Viridis");
+        if (categories) {
+            return colorScale(scheme, null, categories);
+        }
+        return colorScale(scheme, colorDomain || valueDomain(series, columns));
+    }
+
+    renderCells() {
+        const { series, timeScale, columns, height } = this.props;
+        const spacing = +this.props.spacing;
+        const color = this.colorScale();
+        const rowHeight = height / columns.length;
+        const rowTop = i => height - (i + 1) * rowHeight;
+
+        const cells = [];
+        let eventMarker;
+
+        const [begin, end] = visibleRange(series, timeScale);
+        _.range(begin, end).forEach(i => {
+            const event = series.at(i);
+
+            let t0;
+            let t1;
+            if (event instanceof TimeEvent) {
+                t0 = event.timestamp();
+                if (i + 1 < series.size()) {
+                    t1 = series.at(i + 1).timestamp();
+                } else if (i > 0) {
+                    const previous = series.at(i - 1).timestamp();
+                    t1 = new Date(2 * t0.getTime() - previous.getTime());
+                } else {
+                    t1 = t0;
+                }
+            } else {
+                t0 = event.begin();
+                t1 = event.end();
+            }
+            const x = timeScale(t0) + spacing;
+            const width = Math.max(timeScale(t1) - timeScale(t0) - spacing * 2, 1);
+            const key = `${series.name()}-${t0.getTime()}`;
+
+            columns.forEach((column, j) => {
+                const value = event.get(column);
+                const isDrawn = this.props.categories
+                    ? _.contains(this.props.categories, value)
+                    : _.isFinite(value);
+                if (!isDrawn) {
+                    return;
+                }
+
+                const style = merge(true, { fill: color(value) }, this.style(event, column));
+                const cellProps = { key: `${key}-${column}` };
+                if (this.props.onSelectionChange) {
+                    cellProps.onClick = e => this.handleClick(e, event, column);
+                }
+                if (this.props.onHighlightChange) {
+                    cellProps.onMouseMove = e => this.handleHover(e, event, column);
+                    cellProps.onMouseLeave = () => this.handleHoverLeave();
+                }
+
+                cells.push(
+                    <rect
+                        {...cellProps}
+                        x={x}
+                        y={rowTop(j) + spacing}
+                        width={width}
+                        height={Math.max(rowHeight - spacing * 2, 1)}
+                        style={style}
+                    />
+                );
+
+                // Event marker if info provided and hovering
+                if (this.props.info && this.isCell(this.props.highlighted, event, column)) {
+                    eventMarker = (
+                        <EventMarker
+                            {...this.props}
+                            event={event}
+                            column={column}
+                            offsetX={event instanceof TimeEvent ? width / 2 + spacing : 0}
+                            yValueFunc={() => j}
+                            yScale={row => rowTop(row) + rowHeight / 2}
+                        />
+                    );
+                }
+            });
+        });
+
+        return (
+            <g>
+                {cells}
+                {eventMarker}
+            </g>
+        );
+    }
+
+    render() {
+        return <g>{this.renderCells()}</g>;
+    }
+}
+
+HeatmapChart.propTypes = {
+    /**
+     * Show or hide this chart
+     */
+    visible: PropTypes.bool,
+
+    /**
+     * What [Pond TimeSeries](https://esnet-pondjs.appspot.com/#/timeseries)
+     * data to visualize
+     */
+    series: PropTypes.instanceOf(TimeSeries).isRequired,
+
+    /**
+     * Reference to an axis. The heatmap doesn't use a y-scale, so this
+     * is optional.
+     */
+    axis: PropTypes.string, // eslint-disable-line
+
+    /**
+     * The columns of the series to draw, as rows of cells from the bottom
+     * of the chart to the top
+     *
+     * NOTE : Columns can't have periods because periods
+     * represent a path to deep data in the underlying events
+     * (i.e. reference into nested data structures)
+     */
+    columns: PropTypes.arrayOf(PropTypes.string).isRequired,
+
+    /**
+     * When the values of the columns are categories rather than numbers,
+     * the list of categories. Each category is given the next color of the
+     * `colorScheme` and values not in the list aren't drawn.
+     */
+    categories: PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])),
+
+    /**
+     * The colors of the cells. For numeric values this is the name of a
+     * d3-scale-chromatic interpolator, such as "Viridis" or "RdYlBu", or an
+     * interpolator function mapping 0 to 1 to a color. For `categories` it
+     * is the name of a d3-scale-chromatic scheme, such as "Category10" or
+     * "Set2", or a list of colors. Defaults to "Viridis", or "Category10"
+     * for categories.
+     */
+    colorScheme: PropTypes.oneOfType([
+        PropTypes.string,
+        PropTypes.func,
+        PropTypes.arrayOf(PropTypes.string)
+    ]),
+
+    /**
+     * The values, as [min, max], at either end of the `colorScheme`. Values
+     * outside of it are given the color at the nearest end. Defaults to the
+     * extent of the columns over the whole series.
+     */
+    colorDomain: PropTypes.arrayOf(PropTypes.number),
+
+    /**
+     * The gap, in pixels, to leave around each cell
+     */
+    spacing: PropTypes.number,
+
+    /**
+     * The style of the cells, drawn on top of their color, for each state
+     * a cell may be in. For example:
+     *
+     * ```
+     * style = {
+     *     normal: { stroke: "none" },
+     *     highlighted: { stroke: "#333", strokeWidth: 1 },
+     *     selected: { stroke: "#000", strokeWidth: 2 },
+     *     muted: { opacity: 0.4 }
+     * }
+     * ```
+     */
+    style: PropTypes.shape({
+        normal: PropTypes.object, // eslint-disable-line
+        highlighted: PropTypes.object, // eslint-disable-line
+        selected: PropTypes.object, // eslint-disable-line
+        muted: PropTypes.object // eslint-disable-line
+    }),
+
+    /**
+     * The values to show in the info box. This is an array of
+     * objects, with each object specifying the label and value
+     * to be shown in the info box.
+     */
+    info: PropTypes.arrayOf(
+        PropTypes.shape({
+            label: PropTypes.string, //eslint-disable-line
+            value: PropTypes.string //eslint-disable-line
+        })
+    ),
+
+    /**
+     * The style of the info box itself. Typically you'd want to
+     * specify a fill color, and stroke color / width here.
+     */
+    infoStyle: PropTypes.object, //eslint-disable-line
+
+    /**
+     * The width of the info box
+     */
+    infoWidth: PropTypes.number, //eslint-disable-line
+
+    /**
+     * The height of the info box
+     */
+    infoHeight: PropTypes.number, //eslint-disable-line
+
+    /**
+     * The vertical offset in pixels of the EventMarker info box from the
+     * top of the chart.
+     */
+    infoOffsetY: PropTypes.number,
+
+    /**
+     * Alter the format of the timestamp shown on the info box.
+     * This may be either a function or a string. If you provide a function
+     * that will be passed an Index and should return a string. For example:
+     * ```
+     *     index => moment(index.begin()).format("Do MMM 'YY")
+     * ```
+     * Alternatively you can pass in a d3 format string. That will be applied
+     * to the begin time of the Index range.
+     */
+    infoTimeFormat: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+
+    /**
+     * The radius of the infoBox dot at the end of the marker
+     */
+    markerRadius: PropTypes.number,
+
+    /**
+     * The style of the infoBox dot at the end of the marker
+     */
+    markerStyle: PropTypes.object,
+
+    /**
+     * The selected cell, which will be rendered in the "selected" style.
+     * If a cell is selected, all other cells will be rendered in the
+     * "muted" style.
+     *
+     * See also `onSelectionChange`
+     */
+    selected: PropTypes.shape({
+        event: PropTypes.oneOfType([
+            PropTypes.instanceOf(TimeEvent),
+            PropTypes.instanceOf(IndexedEvent),
+            PropTypes.instanceOf(TimeRangeEvent)
+        ]),
+        column: PropTypes.string
+    }),
+
+    /**
+     * A callback that will be called when the selection changes. It will be
+     * called with an object containing the event and column.
+     */
+    onSelectionChange: PropTypes.func,
+
+    /**
+     * The highlighted cell, which will be rendered in the "highlighted" style.
+     *
+     * See also `onHighlightChange`
+     */
+    highlighted: PropTypes.shape({
+        event: PropTypes.oneOfType([
+            PropTypes.instanceOf(TimeEvent),
+            PropTypes.instanceOf(IndexedEvent),
+            PropTypes.instanceOf(TimeRangeEvent)
+        ]),
+        column: PropTypes.string
+    }),
+
+    /**
+     * A callback that will be called when the hovered over cell changes.
+     * It will be called with an object containing the event and column.
+     */
+    onHighlightChange: PropTypes.func,
+
+    /**
+     * [Internal] The timeScale supplied by the surrounding ChartContainer
+     */
+    timeScale: PropTypes.func,
+
+    /**
+     * [Internal] The width supplied by the surrounding ChartContainer
+     */
+    width: PropTypes.number,
+
+    /**
+     * [Internal] The height supplied by the surrounding ChartContainer
+     */
+    height: PropTypes.number
+};
+
+HeatmapChart.defaultProps = {
+    visible: true,
+    spacing: 0,
+    infoStyle: {
+        stroke: "#999",
+        fill: "white",
+        opacity: 0.9,
+        pointerEvents: "none"
+    },
+    stemStyle: {
+        stroke: "#999",
+        cursor: "crosshair",
+        pointerEvents: "none"
+    },
+    markerStyle: {
+        fill: "#999"
+    },
+    markerRadius: 2,
+    infoWidth: 90,
+    infoHeight: 30,
+    infoOffsetY: 20
+};
@@ -0,0 +1,222 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+import merge from "merge";
+import React from "react";
+import PropTypes from "prop-types";
+import { format } from "d3-format";
+import { scaleLinear } from "d3-scale";
+import { TimeSeries } from "pondjs";
+
+import colorScale, { valueDomain } from "../js/colors";
+
+const defaultStyle = {
+    label: { fontSize: 11, fill: "#8B7E7E" },
+    tick: { stroke: "#8B7E7E" }
+};
+
+// The number of steps the color ramp is drawn with
+const STEPS = 64;
+
+/**
+ * Renders a legend for the colors of a `<HeatmapChart>`, outside of the
+ * `<ChartContainer>`, as its own svg. Give it the same `colorScheme` and
+ * `colorDomain`, or `categories`, as the chart. If the chart has no
+ * `colorDomain`, give the legend its `series` and `columns` instead, so
+ * that the legend covers the same extent of the values as the chart.
+ *
+ * For numeric values the legend is a ramp of the colors across the domain
+ * with ticks below it:
+ *
+ * ```
+ * <HeatmapLegend colorScheme="YlOrRd" colorDomain={[0, 500]} format=",.0f" />
+ * ```
+ *
+ * or
+ *
+ * ```
+ * <HeatmapLegend colorScheme="YlOrRd" series={series} columns={["a", "b"]} />
+ * ```
+ *
+ * For categories it is a swatch of the color of each category followed by
+ * its name.
+ */
+export default class HeatmapLegend extends React.Component {
+    /**
+     * The values, as [min, max], at either end of the ramp
+     */
+    domain() {
+        const { colorDomain, series, columns } = this.props;
+        if (colorDomain) {
+            return colorDomain;
+        }
+        return series && columns ? valueDomain(series, columns) : [0, 1];
+    }
+
+    renderRamp(color, labelStyle, tickStyle) {
+        const { width } = this.props;
+        const rampHeight = this.props.height - 15;
+        const step = width / STEPS;
+        const x = scaleLinear()
+            .domain(this.domain())
+            .range([0, width]);
+        let fmt = x.tickFormat(this.props.ticks);
+        if (_.isFunction(this.props.format)) {
+            fmt = this.props.format;
+        } else if (this.props.format) {
+            fmt = format(this.props.format);
+        }
+
+        const ramp = _.range(STEPS).map(i => {
+            const value = x.invert((i + 0.5) * step);
+            return (
+                <rect
+                    key={i}
+                    x={i * step}
+                    y={0}
+                    width={step + 0.5}
+                    height={rampHeight}
+                    style={{ fill: color(value) }}
+                />
+            );
+        });
+
+        const ticks = x.ticks(this.props.ticks).map((value, i) => {
+            const pos = x(value);
+            let anchor = "middle";
+            if (pos < 10) {
+                anchor = "start";
+            } else if (pos > width - 10) {
+                anchor = "end";
+            }
+            return (
+                <g key={i} transform={`translate(${pos},0)`}>
+                    <line y1={rampHeight} y2={rampHeight + 3} style={tickStyle} />
+                    <text
+                        y={rampHeight + 13}
+                        style={merge(true, labelStyle, { textAnchor: anchor })}
+                    >
+                        {fmt(value)}
+                    </text>
+                </g>
+            );
+        });
+
+        return (
+            <g>
+                {ramp}
+                {ticks}
+            </g>
+        );
+    }
+
+    renderCategories(color, labelStyle) {
+        const { categories, height } = this.props;
+        const size = Math.min(height, 12);
+        const y = (height - size) / 2;
+        const swatchWidth = this.props.width / categories.length;
+        return categories.map((category, i) => (
+            <g key={category} transform={`translate(${i * swatchWidth},0)`}>
+                <rect x={0} y={y} width={size} height={size} style={{ fill: color(category) }} />
+                <text x={size + 4} y={height / 2} dy="0.35em" style={labelStyle}>
+                    {category}
+                </text>
+            </g>
+        ));
+    }
+
+    render() {
+        const { categories, width, height } = this.props;
+        const style = this.props.style || {};
+        const labelStyle = merge(true, defaultStyle.label, style.label ? style.label : {});
+        const tickStyle = merge(true, defaultStyle.tick, style.tick ? style.tick : {});
+        const scheme = this.props.colorScheme || (categories ? "Category10" : "Viridis");
+        const color = colorScale(scheme, categories ? null : this.domain(), categories);
+        return (
+            <svg width={width} height={height} style={{ display: "block", overflow: "visible" }}>
+                {categories
+                    ? this.renderCategories(color, labelStyle)
+                    : this.renderRamp(color, labelStyle, tickStyle)}
+            </svg>
+        );
+    }
+}
+
+HeatmapLegend.propTypes = {
+    /**
+     * The colors, as for the `colorScheme` of the `<HeatmapChart>`
+     */
+    colorScheme: PropTypes.oneOfType([
+        PropTypes.string,
+        PropTypes.func,
+        PropTypes.arrayOf(PropTypes.string)
+    ]),
+
+    /**
+     * The values, as [min, max], at either end of the `colorScheme`, as for
+     * the `colorDomain` of the `<HeatmapChart>`
+     */
+    colorDomain: PropTypes.arrayOf(PropTypes.number),
+
+    /**
+     * The series of the `<HeatmapChart>`, whose values over its `columns`
+     * give the domain of the legend when it has no `colorDomain`, just as
+     * they do for the chart
+     */
+    series: PropTypes.instanceOf(TimeSeries),
+
+    /**
+     * The columns of the `<HeatmapChart>`, used with its `series`
+     */
+    columns: PropTypes.arrayOf(PropTypes.string),
+
+    /**
+     * The categories, as for the `<HeatmapChart>`. When supplied the legend
+     * shows a swatch for each category rather than a ramp.
+     */
+    categories: PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])),
+
+    /**
+     * The d3 format string, or a function, used to format the tick values.
+     * Defaults to a format suited to the ticks.
+     */
+    format: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+
+    /**
+     * The approximate number of ticks below the ramp
+     */
+    ticks: PropTypes.number,
+
+    /**
+     * The style of the tick labels and category names, as `label`, and of
+     * the tick marks, as `tick`
+     */
+    style: PropTypes.shape({
+        label: PropTypes.object, // eslint-disable-line
+        tick: PropTypes.object // eslint-disable-line
+    }),
+
+    /**
+     * The width of the legend, in pixels
+     */
+    width: PropTypes.number,
+
+    /**
+     * The height of the legend, in pixels, including the tick labels
+     */
+    height: PropTypes.number
+};
+
+HeatmapLegend.defaultProps = {
+    ticks: 5,
+    width: 200,
+    height: 30
+};
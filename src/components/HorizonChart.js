@@ -0,0 +1,313 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+import merge from "merge";
+import React from "react";
+import PropTypes from "prop-types";
+import { area } from "d3-shape";
+import { format } from "d3-format";
+import { interpolateRgb } from "d3-interpolate";
+import { scaleLinear } from "d3-scale";
+import { TimeSeries } from "pondjs";
+
+import SyncedTracker from "./SyncedTracker";
+import curves from "../js/curve";
+import { Styler } from "../js/styler";
+import { visibleEvents } from "../js/util";
+
+const defaultStyle = {
+    positive: { fill: "#4682B4" },
+    negative: { fill: "#D62728" },
+    label: { fontSize: 11, fill: "#333", pointerEvents: "none" }
+};
+
+/**
+ * Renders a horizon chart of a column of a TimeSeries, which shows the
+ * shape of the data in a fraction of the height of a line or area chart.
+ * This makes it suited to dashboards with many short rows, such as one
+ * 30px `<ChartRow>` per host.
+ *
+ * The range of values is divided into a number of `bands`. Each band is
+ * drawn as an area over the full height of the chart, one on top of the
+ * other, in a darker shade of the color than the band below it. Negative
+ * values are drawn in their own color, either "mirrored", so that they
+ * rise from the bottom like the positive values, or "offset", so that they
+ * hang down from the top.
+ *
+ * The values folded into the bands are those of the y-scale of the chart's
+ * axis, if it has one, from zero up to the larger of the magnitudes of the
+ * axis' min and max. So an axis `min={-10}` and `max={30}` with 3 bands
+ * gives bands of 10, each filling the height of the chart, and a value of
+ * 25 fills the first two and most of the third. The axis may be hidden,
+ * e.g. with a width of 0, and may use "auto" for its min and max. Without
+ * an axis the extent of the whole column is used.
+ *
+ * ```
+ * <ChartRow height="30" axisMargin={0}>
+ *     <YAxis id="cpu" min={0} max={100} width={0} type="linear" />
+ *     <Charts>
+ *         <HorizonChart axis="cpu" series={host} column="cpu" bands={4} label="host1" />
+ *     </Charts>
+ * </ChartRow>
+ * ```
+ *
+ * The color of the bands may be given as the `style`, or as a `Styler`,
+ * where a column's `color` is used for the positive bands and its
+ * `negative` color for the negative bands.
+ *
+ * When the `<ChartContainer>` shows a tracker, the chart shows its value
+ * at the tracker's time, alongside its `label`.
+ */
+export default class HorizonChart extends React.Component {
+    /**
+     * The style of the positive and negative values and of the label
+     */
+    style() {
+        let style = {};
+        if (this.props.style instanceof Styler) {
+            style = this.props.style.horizonChartStyle()[this.props.column] || {};
+        } else if (this.props.style) {
+            style = this.props.style;
+        }
+        return {
+            positive: merge(true, defaultStyle.positive, style.positive || {}),
+            negative: merge(true, defaultStyle.negative, style.negative || {}),
+            label: merge(true, defaultStyle.label, style.label || {})
+        };
+    }
+
+    /**
+     * The size of each band, in the units of the column
+     */
+    bandSize() {
+        const { series, column, transition, bands } = this.props;
+        let domain;
+        if (transition) {
+            domain = transition.latestScale().domain();
+        } else {
+            domain = [series.min(column), series.max(column)];
+        }
+        const extent = _.max(domain.map(v => (_.isFinite(v) ? Math.abs(v) : 0)));
+        return extent > 0 ? extent / bands : 1;
+    }
+
+    /**
+     * Returns the shade of the `color` for `band`, from light for the
+     * lowest band to the full color for the highest
+     */
+    shade(color, band) {
+        return interpolateRgb("#FFFFFF", color)((band + 1) / this.props.bands);
+    }
+
+    renderBands() {
+        const { series, column, timeScale, height, bands, mode } = this.props;
+        const style = this.style();
+        const bandSize = this.bandSize();
+        const y = scaleLinear()
+            .domain([0, bandSize])
+            .range([0, height])
+            .clamp(true);
+
+        const points = visibleEvents(series, timeScale).map(event => ({
+            x: timeScale(event.timestamp()),
+            value: event.get(column)
+        }));
+
+        const paths = [];
+        ["positive", "negative"].forEach(sign => {
+            const magnitude = p => (sign === "positive" ? p.value : -p.value);
+            const fromTop = sign === "negative" && mode === "offset";
+            _.range(bands).forEach(band => {
+                const size = p => y(Math.max(magnitude(p) - band * bandSize, 0));
+                const path = area()
+                    .curve(curves[this.props.interpolation])
+                    .defined(p => _.isFinite(p.value))
+                    .x(p => p.x)
+                    .y0(fromTop ? 0 : height)
+                    .y1(p => (fromTop ? size(p) : height - size(p)))(points);
+                const bandStyle = merge(true, style[sign], {
+                    fill: this.shade(style[sign].fill, band),
+                    stroke: "none"
+                });
+                paths.push(
+                    <path key={`${sign}-${band}`} d={path} style={bandStyle} pointerEvents="none" />
+                );
+            });
+        });
+
+        return <g>{paths}</g>;
+    }
+
+    renderLabel(trackerTime) {
+        const { series, column, timeScale, height, label } = this.props;
+        const labelStyle = this.style().label;
+        let text = label || "";
+        let x = 4;
+
+        if (trackerTime) {
+            const index = series.bisect(trackerTime);
+            const event = _.isNumber(index) ? series.at(index) : null;
+            const value = event ? event.get(column) : null;
+            if (_.isFinite(value)) {
+                const fmt = _.isFunction(this.props.format)
+                    ? this.props.format
+                    : format(this.props.format);
+                text = label ? `${label}: ${fmt(value)}` : fmt(value);
+                x = timeScale(trackerTime) + 4;
+            }
+        }
+
+        if (!text) {
+            return null;
+        }
+        return (
+            <text x={x} y={height / 2} dy="0.35em" style={labelStyle}>
+                {text}
+            </text>
+        );
+    }
+
+    render() {
+        return (
+            <g>
+                {this.renderBands()}
+                <SyncedTracker
+                    group={this.props.sync}
+                    time={this.props.trackerTime}
+                    render={trackerTime => this.renderLabel(trackerTime)}
+                />
+            </g>
+        );
+    }
+}
+
+HorizonChart.propTypes = {
+    /**
+     * Show or hide this chart
+     */
+    visible: PropTypes.bool,
+
+    /**
+     * What [Pond TimeSeries](https://esnet-pondjs.appspot.com/#/timeseries)
+     * data to visualize
+     */
+    series: PropTypes.instanceOf(TimeSeries).isRequired,
+
+    /**
+     * Reference to the axis whose y-scale gives the values folded into
+     * the bands. Without an axis the extent of the column is used.
+     */
+    axis: PropTypes.string, // eslint-disable-line
+
+    /**
+     * The column of the series to draw
+     */
+    column: PropTypes.string,
+
+    /**
+     * The number of bands the values are folded into
+     */
+    bands: PropTypes.number,
+
+    /**
+     * How negative values are drawn: "mirror", rising from the bottom of
+     * the chart like the positive values, or "offset", hanging down from
+     * the top
+     */
+    mode: PropTypes.oneOf(["mirror", "offset"]),
+
+    /**
+     * A label for the chart, drawn at its left, or alongside the value at
+     * the tracker's time
+     */
+    label: PropTypes.string,
+
+    /**
+     * The d3 format string, or a function, used to format the value at the
+     * tracker's time
+     */
+    format: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+
+    /**
+     * The style of the chart. The `fill` of `positive` and `negative` gives
+     * the color of the highest band of positive and negative values, with
+     * the bands below it in lighter shades. The `label` style is used for
+     * the label and value. For example:
+     *
+     * ```
+     * style = {
+     *     positive: { fill: "steelblue" },
+     *     negative: { fill: "firebrick" },
+     *     label: { fontSize: 10, fill: "#555" }
+     * }
+     * ```
+     *
+     * You can also supply a `Styler`, in which case the `color` of the
+     * column is used for positive values and its `negative` color, if any,
+     * for negative values.
+     */
+    style: PropTypes.oneOfType([PropTypes.object, PropTypes.instanceOf(Styler)]),
+
+    /**
+     * Any of D3's interpolation modes.
+     */
+    interpolation: PropTypes.oneOf([
+        "curveBasis",
+        "curveBasisOpen",
+        "curveBundle",
+        "curveCardinal",
+        "curveCardinalOpen",
+        "curveCatmullRom",
+        "curveCatmullRomOpen",
+        "curveLinear",
+        "curveMonotoneX",
+        "curveMonotoneY",
+        "curveNatural",
+        "curveRadial",
+        "curveStep",
+        "curveStepAfter",
+        "curveStepBefore"
+    ]),
+
+    /**
+     * [Internal] The time of the tracker, supplied by the ChartRow
+     */
+    trackerTime: PropTypes.instanceOf(Date),
+
+    /**
+     * [Internal] The sync group of the chart, if any, supplied by the ChartRow
+     */
+    sync: PropTypes.object,
+
+    /**
+     * [Internal] The timeScale supplied by the surrounding ChartContainer
+     */
+    timeScale: PropTypes.func,
+
+    /**
+     * [Internal] The y-scale transition supplied by the ChartRow
+     */
+    transition: PropTypes.object,
+
+    /**
+     * [Internal] The height supplied by the surrounding ChartContainer
+     */
+    height: PropTypes.number
+};
+
+HorizonChart.defaultProps = {
+    visible: true,
+    column: "value",
+    bands: 3,
+    mode: "mirror",
+    format: ".2f",
+    interpolation: "curveLinear"
+};
@@ -14,6 +14,7 @@ import React from "react";
 import PropTypes from "prop-types";
 
 import { Styler } from "../js/styler";
+import { soloHidden, toggleHidden, visibilityGroup } from "../js/visibility";
 
 const defaultStyle = {
     symbol: {
@@ -133,11 +134,44 @@ const defaultStyle = {
  * is similar to providing an object, except your function will
  * be called with the columnName and you should return the map
  * containing symbol, label and value styles.
+ *
+ * ## Hiding columns
+ *
+ * With `toggleVisibility`, clicking a legend item hides that column, or
+ * shows it again, and shift-clicking it shows only that column, or shows
+ * all of them again if it was the only one shown. Hidden items are drawn
+ * in their muted style, which for a Styler comes from its `legendStyle()`.
+ *
+ * The charts leave out the hidden columns, and an axis with a min or max
+ * of "auto" is fitted to just the columns shown. Charts follow the legend
+ * when either:
+ *
+ *  * the legend and the charts have the same Styler as their `style`,
+ *  * the keys passed to the legend's `onVisibilityChange` callback are
+ *    given to the charts' `<ChartContainer>`s as their `hidden` prop, or
+ *  * the legend and the charts' `<ChartContainer>`s have the same
+ *    `legendGroup`, within a `<ChartSync>`:
+ *
+ * ```
+ * <ChartSync>
+ *     <Legend legendGroup="traffic" toggleVisibility categories={categories} />
+ *     <ChartContainer legendGroup="traffic" timeRange={timerange}>
+ *         ...
+ *     </ChartContainer>
+ * </ChartSync>
+ * ```
+ *
+ * The `onVisibilityChange` callback is called with the keys of the hidden
+ * items whenever they change. They may also be set with the `hidden` prop,
+ * in which case that should be updated from the callback.
  */
 
 class LegendItem extends React.Component {
     handleClick(e, key) {
         e.stopPropagation();
+        if (this.props.onToggle) {
+            this.props.onToggle(key, e.shiftKey);
+        }
         if (this.props.onSelectionChange) {
             this.props.onSelectionChange(key);
         }
@@ -257,113 +291,146 @@ class LegendItem extends React.Component {
     }
 }
 
-export default class Legend extends React.Component {
-    handleClick(e, key) {
-        e.stopPropagation();
-        if (this.props.onSelectionChange) {
-            this.props.onSelectionChange(key);
+/**
+ * For each category item we get the users style preference. This
+ * can be supplied in a number of ways:
+ *  * Typically you would get the legend style from a Style instance
+ *  * Alternatively, you can pass in a style object which has your
+ *    category in it and the associated style
+ *  * Finally, the provided style can also be a function
+ */
+function providedStyle(style, category, type) {
+    let styleMap = {};
+    if (style) {
+        if (style instanceof Styler) {
+            styleMap = style.legendStyle(category.key, type);
+        } else if (_.isFunction(style)) {
+            styleMap = style(category.key);
+        } else if (_.isObject(style)) {
+            styleMap = style ? style[category.key] : defaultStyle;
         }
     }
+    return styleMap || {};
+}
 
-    handleHover(e, key) {
-        if (this.props.onHighlightChange) {
-            this.props.onHighlightChange(key);
+/**
+ * For each category this function takes the current selected and
+ * highlighted item of the legend's props, along with the disabled or
+ * hidden state of the item, and returns the mode it should be rendered
+ * in: normal, selected, highlighted, or muted
+ */
+export function styleMode(props, category, hidden = []) {
+    const isHighlighted = props.highlight && category.key === props.highlight;
+    const isSelected = props.selection && category.key === props.selection;
+    const isDisabled = category.disabled || _.contains(hidden, category.key);
+
+    let mode = "normal";
+    if (props.selection) {
+        if (isSelected) {
+            mode = "selected";
+        } else if (isHighlighted) {
+            mode = "highlighted";
+        } else {
+            mode = "muted";
         }
+    } else if (isHighlighted) {
+        mode = "highlighted";
+    } else if (isDisabled) {
+        mode = "muted";
     }
+    return mode;
+}
 
-    handleHoverLeave() {
-        if (this.props.onHighlightChange) {
-            this.props.onHighlightChange(null);
+/**
+ * Returns the style of the "symbol", "label" or "value" of the category's
+ * item, for the legend's props and the keys of its hidden items. The style
+ * of the symbol depends on its `symbolType`.
+ */
+export function itemStyle(props, category, part, hidden, symbolType) {
+    const styleMap = providedStyle(
+        props.style,
+        category,
+        part === "symbol" ? symbolType : undefined
+    );
+    const mode = styleMode(props, category, hidden);
+    return merge(true, defaultStyle[mode], styleMap[part] ? styleMap[part][mode] : {});
+}
+
+export default class Legend extends React.Component {
+    constructor(props, context) {
+        super(props, context);
+        this.handleToggle = this.handleToggle.bind(this);
+
+        // The hidden items are shared with the legend group or the charts
+        // using the same Styler, if any, and otherwise kept in our state
+        this.legend = visibilityGroup(props, context);
+        this.state = {
+            hidden: this.legend ? this.legend.get("hidden") : []
+        };
+    }
+
+    componentDidMount() {
+        if (this.legend) {
+            this.unsubscribe = this.legend.subscribe("hidden", hidden => this.setState({ hidden }));
         }
     }
 
-    /**
-     * For each category item we get the users stle preference. This
-     * can be supplied in a number of ways:
-     *  * Typically you would get the legend stle from a Style instance
-     *  * Alternatively, you can pass in a style object which has your
-     *    category in it and the associated style
-     *  * Finally, the provided style can also be a function
-     */
-    providedStyle(category, type) {
-        let style = {};
-        if (this.props.style) {
-            if (this.props.style instanceof Styler) {
-                style = this.props.style.legendStyle(category.key, type);
-            } else if (_.isFunction(this.props.style)) {
-                style = this.props.style(category.key);
-            } else if (_.isObject(this.props.style)) {
-                style = this.props.style ? this.props.style[category.key] : defaultStyle;
-            }
+    componentWillUnmount() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
         }
-        return style;
     }
 
     /**
-     * For each category this function takes the current
-     * selected and highlighted item, along with the disabled
-     * state of the item, and returns the mode it should be
-     * rendered in: normal, selected, highlighted, or muted
+     * The keys of the hidden items, given by the `hidden` prop or else
+     * those of the legend group, the Styler or our own
      */
-    styleMode(category) {
-        const isHighlighted = this.props.highlight && category.key === this.props.highlight;
-        const isSelected = this.props.selection && category.key === this.props.selection;
-        const isDisabled = category.disabled;
-
-        let mode = "normal";
-        if (this.props.selection) {
-            if (isSelected) {
-                mode = "selected";
-            } else if (isHighlighted) {
-                mode = "highlighted";
-            } else {
-                mode = "muted";
-            }
-        } else if (isHighlighted) {
-            mode = "highlighted";
-        } else if (isDisabled) {
-            mode = "muted";
+    hidden() {
+        return this.props.hidden || this.state.hidden;
+    }
+
+    handleToggle(key, solo) {
+        const keys = this.props.categories.map(category => category.key);
+        const hidden = solo
+            ? soloHidden(this.hidden(), key, keys)
+            : toggleHidden(this.hidden(), key);
+        if (this.legend) {
+            this.legend.set("hidden", hidden);
+        } else {
+            this.setState({ hidden });
+        }
+        if (this.props.onVisibilityChange) {
+            this.props.onVisibilityChange(hidden);
         }
-        return mode;
     }
 
-    symbolStyle(category, type) {
-        const styleMap = this.providedStyle(category, type);
-        const styleMode = this.styleMode(category);
-        return merge(
-            true,
-            defaultStyle[styleMode],
-            styleMap.symbol ? styleMap.symbol[styleMode] : {}
-        );
+    handleClick(e, key) {
+        e.stopPropagation();
+        if (this.props.onSelectionChange) {
+            this.props.onSelectionChange(key);
+        }
     }
 
-    labelStyle(category) {
-        const styleMap = this.providedStyle(category);
-        const styleMode = this.styleMode(category);
-        return merge(
-            true,
-            defaultStyle[styleMode],
-            styleMap.label ? styleMap.label[styleMode] : {}
-        );
+    handleHover(e, key) {
+        if (this.props.onHighlightChange) {
+            this.props.onHighlightChange(key);
+        }
     }
 
-    valueStyle(category) {
-        const styleMap = this.providedStyle(category);
-        const styleMode = this.styleMode(category);
-        return merge(
-            true,
-            defaultStyle[styleMode],
-            styleMap.value ? styleMap.value[styleMode] : {}
-        );
+    handleHoverLeave() {
+        if (this.props.onHighlightChange) {
+            this.props.onHighlightChange(null);
+        }
     }
 
     render() {
         const { type = "swatch", symbolWidth, symbolHeight } = this.props;
         const items = this.props.categories.map(category => {
             const { key, label, value, symbolType = type } = category;
-            const symbolStyle = this.symbolStyle(category, symbolType);
-            const labelStyle = this.labelStyle(category);
-            const valueStyle = this.valueStyle(category);
+            const hidden = this.hidden();
+            const symbolStyle = itemStyle(this.props, category, "symbol", hidden, symbolType);
+            const labelStyle = itemStyle(this.props, category, "label", hidden);
+            const valueStyle = itemStyle(this.props, category, "value", hidden);
             return (
                 <LegendItem
                     key={key}
@@ -379,6 +446,7 @@ export default class Legend extends React.Component {
                     valueStyle={valueStyle}
                     onSelectionChange={this.props.onSelectionChange}
                     onHighlightChange={this.props.onHighlightChange}
+                    onToggle={this.props.toggleVisibility ? this.handleToggle : null}
                 />
             );
         });
@@ -489,6 +557,30 @@ Legend.propTypes = {
      */
     onHighlightChange: PropTypes.func,
 
+    /**
+     * Hide or show an item's column in the charts when it is clicked, or
+     * show only that column when it is shift-clicked. See above.
+     */
+    toggleVisibility: PropTypes.bool,
+
+    /**
+     * The id of the group of `<ChartContainer>`s, within a `<ChartSync>`,
+     * which hide the columns hidden by this legend
+     */
+    legendGroup: PropTypes.string,
+
+    /**
+     * Callback will be called with the keys of the hidden items whenever an
+     * item is hidden or shown
+     */
+    onVisibilityChange: PropTypes.func,
+
+    /**
+     * The keys of the hidden items. By default the legend keeps track of
+     * these itself, or shares them with its `legendGroup` or Styler.
+     */
+    hidden: PropTypes.arrayOf(PropTypes.string),
+
     /**
      * Defines whether to stack legend items vertically or not
      */
@@ -500,6 +592,10 @@ Legend.propTypes = {
     marginBottom: PropTypes.string
 };
 
+Legend.contextTypes = {
+    chartSync: PropTypes.object
+};
+
 Legend.defaultProps = {
     style: {},
     labelStyle: {},
@@ -508,5 +604,6 @@ Legend.defaultProps = {
     symbolWidth: 16,
     symbolHeight: 16,
     stack: false,
+    toggleVisibility: false,
     marginBottom: "20px"
 };
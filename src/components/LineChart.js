@@ -9,16 +9,40 @@
  */
 
 import _ from "underscore";
+import { bisector } from "d3-array";
 import { line } from "d3-shape";
 import merge from "merge";
 import React from "react";
 import PropTypes from "prop-types";
 import { TimeSeries } from "pondjs";
 
+import ErrorBars from "./ErrorBars";
 import { Styler } from "../js/styler";
-import { scaleAsString } from "../js/util";
+import { scaleAsString, getElementOffset, visibleEvents } from "../js/util";
+import { prepareCanvas, paint, distanceToSegment } from "../js/canvas";
+import downsample from "../js/downsample";
+import { drawErrors } from "../js/errors";
 import curves from "../js/curve";
 
+// How close, in pixels, the cursor needs to be to a line drawn on the
+// canvas to hover or select it. This matches the width of the SVG hit path.
+const HIT_DISTANCE = 4;
+
+const bisectX = bisector(d => d.x).left;
+
+/**
+ * The style of the line beyond a threshold: the line's own style with the
+ * threshold's `color` and `style` applied over it
+ */
+function thresholdStyle(style, threshold) {
+    return merge(
+        true,
+        style,
+        threshold.color ? { stroke: threshold.color } : {},
+        threshold.style ? threshold.style : {}
+    );
+}
+
 const defaultStyle = {
     normal: { stroke: "steelblue", fill: "none", strokeWidth: 1 },
     highlighted: { stroke: "#5a98cb", fill: "none", strokeWidth: 1 },
@@ -51,28 +75,107 @@ const defaultStyle = {
     </ChartRow>
   </ChartContainer>
  * ```
+ *
+ * ### Canvas rendering
+ *
+ * For series with a very large number of points, set `renderer="canvas"`. The
+ * lines are then drawn into a canvas layered within the chart area rather than
+ * as SVG paths, using the same styles. Hovering and clicking on the lines
+ * still calls `onHighlightChange` and `onSelectionChange`. The canvas is
+ * only drawn in the browser, so server rendering leaves it empty, and
+ * `exportSvg()` embeds it as an image.
+ *
+ * ### Error bars
+ *
+ * Where each point has an uncertainty, given by companion columns holding
+ * its low and high values, the `errors` prop draws these under the line,
+ * either as vertical error bars or as a shaded confidence ribbon:
+ *
+ * ```
+ * <LineChart
+ *     columns={["value"]}
+ *     errors={{ value: { low: "value_lo", high: "value_hi", display: "ribbon" } }}
+ *     style={styler(["value"])}
+ *     ...
+ * />
+ * ```
+ *
+ * The error bars and ribbons are drawn in the colors of the columns when
+ * the `style` (or `errorStyle`) is a `Styler`.
+ *
+ * ### Thresholds
+ *
+ * A line can change color where it crosses threshold values, using the
+ * `thresholds` prop. For example, to draw the "cpu" column green below 70,
+ * amber from 70 to 90 and red above 90:
+ *
+ * ```
+ * const style = styler([{ key: "cpu", color: "green" }]);
+ * const thresholds = {
+ *     cpu: [{ value: 70, color: "#F5A623" }, { value: 90, color: "red" }]
+ * };
+ *
+ * <LineChart columns={["cpu"]} style={style} thresholds={thresholds} ... />
+ * ```
+ *
+ * Below the lowest threshold the line has its usual style. The line is
+ * split exactly where it crosses each threshold, whatever the
+ * `interpolation`, and the normal, highlighted, selected and muted styles
+ * still apply, with just the color (and any other `style` given for the
+ * threshold) changed.
  */
 export default class LineChart extends React.Component {
+    constructor(props) {
+        super(props);
+        this.handleCanvasHover = this.handleCanvasHover.bind(this);
+        this.handleCanvasHoverLeave = this.handleCanvasHoverLeave.bind(this);
+        this.handleCanvasClick = this.handleCanvasClick.bind(this);
+        this.clipId = _.uniqueId("threshold_");
+    }
+
+    componentDidMount() {
+        if (this.props.renderer === "canvas") {
+            this.drawCanvas();
+        }
+    }
+
+    componentDidUpdate() {
+        if (this.props.renderer === "canvas") {
+            this.drawCanvas();
+        }
+    }
+
     shouldComponentUpdate(nextProps) {
         const newSeries = nextProps.series;
         const oldSeries = this.props.series;
 
         const width = nextProps.width;
+        const height = nextProps.height;
         const timeScale = nextProps.timeScale;
         const yScale = nextProps.yScale;
         const interpolation = nextProps.interpolation;
         const highlight = nextProps.highlight;
         const selection = nextProps.selection;
         const columns = nextProps.columns;
+        const renderer = nextProps.renderer;
+        const downsampleMode = nextProps.downsample;
+        const thresholds = nextProps.thresholds;
+        const errors = nextProps.errors;
+        const errorStyle = nextProps.errorStyle;
 
         // What changed?
         const widthChanged = this.props.width !== width;
+        const heightChanged = this.props.height !== height;
         const timeScaleChanged = scaleAsString(this.props.timeScale) !== scaleAsString(timeScale);
         const yAxisScaleChanged = this.props.yScale !== yScale;
         const interpolationChanged = this.props.interpolation !== interpolation;
         const highlightChanged = this.props.highlight !== highlight;
         const selectionChanged = this.props.selection !== selection;
         const columnsChanged = this.props.columns !== columns;
+        const rendererChanged = this.props.renderer !== renderer;
+        const downsampleChanged = this.props.downsample !== downsampleMode;
+        const thresholdsChanged = this.props.thresholds !== thresholds;
+        const errorsChanged = this.props.errors !== errors || this.props.errorStyle !== errorStyle;
 
         let seriesChanged = false;
         if (oldSeries.size() !== newSeries.size()) {
@@ -83,13 +186,18 @@ export default class LineChart extends React.Component {
 
         return (
             widthChanged ||
+            heightChanged ||
             seriesChanged ||
             timeScaleChanged ||
             yAxisScaleChanged ||
             interpolationChanged ||
             highlightChanged ||
             selectionChanged ||
-            columnsChanged
+            columnsChanged ||
+            rendererChanged ||
+            downsampleChanged ||
+            thresholdsChanged ||
+            errorsChanged
         );
     }
 
@@ -167,7 +275,50 @@ export default class LineChart extends React.Component {
         return style;
     }
 
-    renderPath(data, column, key) {
+    /**
+     * Returns the bands of the chart, between the thresholds for the column,
+     * as a list of {top, bottom, style}, where top and bottom are the pixel
+     * extent of the band and style is the style of the line within it.
+     * Returns null if the column has no thresholds.
+     */
+    thresholdBands(column) {
+        const { thresholds, yScale, height } = this.props;
+        const list = _.sortBy(thresholds && thresholds[column] ? thresholds[column] : [], "value");
+        if (list.length === 0) {
+            return null;
+        }
+
+        // Pixel positions beyond the chart for values of -/+ infinity,
+        // depending on the direction of the y axis
+        const value = list[0].value;
+        const upwards = yScale(value + 1) < yScale(value);
+        const pixel = v => {
+            if (_.isFinite(v)) {
+                return yScale(v);
+            }
+            const positive = v > 0;
+            return positive === upwards ? -height : height * 2;
+        };
+
+        const style = this.pathStyle(column);
+        const bands = [];
+        let from = -Infinity;
+        let bandStyle = style;
+        list.forEach(threshold => {
+            bands.push({ from, to: threshold.value, style: bandStyle });
+            from = threshold.value;
+            bandStyle = thresholdStyle(style, threshold);
+        });
+        bands.push({ from, to: Infinity, style: bandStyle });
+
+        return bands.map(band => {
+            const y0 = pixel(band.from);
+            const y1 = pixel(band.to);
+            return { top: Math.min(y0, y1), bottom: Math.max(y0, y1), style: band.style };
+        });
+    }
+
+    renderPath(data, column, key, bands, clipIds) {
         const hitStyle = {
             stroke: "white",
             fill: "none",
@@ -183,9 +334,19 @@ export default class LineChart extends React.Component {
             .x(d => this.props.timeScale(d.x))
             .y(d => this.props.yScale(d.y))(data);
 
+        // With thresholds, the line is drawn once for each band, clipped to
+        // that band, so that it changes style exactly where it crosses
+        const paths = bands ? (
+            bands.map((band, i) => (
+                <path key={i} d={path} style={band.style} clipPath={`url(#${clipIds[i]})`} />
+            ))
+        ) : (
+            <path d={path} style={this.pathStyle(column)} />
+        );
+
         return (
             <g key={key}>
-                <path d={path} style={this.pathStyle(column)} />
+                {paths}
                 <path
                     d={path}
                     style={hitStyle}
@@ -197,59 +358,226 @@ export default class LineChart extends React.Component {
         );
     }
 
-    renderLines() {
-        return _.map(this.props.columns, column => this.renderLine(column));
+    /**
+     * Reduces the points of a line to roughly the pixel resolution of
+     * the timeScale, as specified by the downsample prop
+     */
+    reducePoints(points) {
+        if (this.props.downsample === "none") {
+            return points;
+        }
+        const xs = points.map(d => this.props.timeScale(d.x));
+        const ys = points.map(d => d.y);
+        const indices = downsample(this.props.downsample, xs, ys);
+        return indices.length === points.length ? points : indices.map(i => points[i]);
     }
 
-    renderLine(column) {
-        const pathLines = [];
-        let count = 1;
-        if (this.props.breakLine) {
-            // Remove nulls and NaNs from the line by generating a break in the line
-            let currentPoints = null;
-            for (const d of this.props.series.events()) {
-                const timestamp = new Date(
-                    d.begin().getTime() + (d.end().getTime() - d.begin().getTime()) / 2
-                );
-                const value = d.get(column);
-                const badPoint = _.isNull(value) || _.isNaN(value) || !_.isFinite(value);
-                if (!badPoint) {
-                    if (!currentPoints) currentPoints = [];
-                    currentPoints.push({ x: timestamp, y: value });
-                } else if (currentPoints) {
-                    if (currentPoints.length > 1) {
-                        pathLines.push(this.renderPath(currentPoints, column, count));
-                        count += 1;
-                    }
-                    currentPoints = null;
+    /**
+     * Returns the lines to draw for the column, as a list of lists of
+     * {x, y} points. Only the events visible within the timeScale are used.
+     * Bad values either break the line or are skipped, depending on the
+     * breakLine prop.
+     */
+    linePoints(column) {
+        const lines = [];
+        let currentPoints = null;
+        for (const d of visibleEvents(this.props.series, this.props.timeScale)) {
+            const timestamp = new Date(
+                d.begin().getTime() + (d.end().getTime() - d.begin().getTime()) / 2
+            );
+            const value = d.get(column);
+            const badPoint = _.isNull(value) || _.isNaN(value) || !_.isFinite(value);
+            if (!badPoint) {
+                if (!currentPoints) currentPoints = [];
+                currentPoints.push({ x: timestamp, y: value });
+            } else if (this.props.breakLine && currentPoints) {
+                // Remove nulls and NaNs from the line by generating a break in the line
+                if (currentPoints.length > 1) {
+                    lines.push(currentPoints);
                 }
+                currentPoints = null;
             }
-            if (currentPoints && currentPoints.length > 1) {
-                pathLines.push(this.renderPath(currentPoints, column, count));
-                count += 1;
+        }
+        if (currentPoints && (currentPoints.length > 1 || !this.props.breakLine)) {
+            lines.push(currentPoints);
+        }
+        return lines.map(points => this.reducePoints(points));
+    }
+
+    renderLines() {
+        return _.map(this.props.columns, (column, i) => this.renderLine(column, i));
+    }
+
+    renderLine(column, index) {
+        const bands = this.thresholdBands(column);
+        const clipIds = bands ? bands.map((band, i) => `${this.clipId}_${index}_${i}`) : null;
+        const clipPaths = bands ? (
+            <defs>
+                {bands.map((band, i) => (
+                    <clipPath key={i} id={clipIds[i]}>
+                        <rect
+                            x={0}
+                            y={band.top}
+                            width={this.props.width}
+                            height={band.bottom - band.top}
+                        />
+                    </clipPath>
+                ))}
+            </defs>
+        ) : null;
+        const pathLines = this.linePoints(column).map((points, i) =>
+            this.renderPath(points, column, i + 1, bands, clipIds)
+        );
+        return (
+            <g key={column}>
+                {clipPaths}
+                <ErrorBars {...this.props} column={column} />
+                {pathLines}
+            </g>
+        );
+    }
+
+    //
+    // Canvas rendering
+    //
+
+    drawCanvas() {
+        const { width, height, timeScale, yScale } = this.props;
+        const context = prepareCanvas(this.canvas, width, height);
+
+        // Keep the lines in pixel coordinates for hit testing
+        this.canvasLines = {};
+
+        _.forEach(this.props.columns, column => {
+            if (this.props.errors && this.props.errors[column]) {
+                drawErrors(context, this.props, column);
             }
-        } else {
-            // Ignore nulls and NaNs in the line
-            const cleanedPoints = [];
-            for (const d of this.props.series.events()) {
-                const timestamp = new Date(
-                    d.begin().getTime() + (d.end().getTime() - d.begin().getTime()) / 2
-                );
-                const value = d.get(column);
-                const badPoint = _.isNull(value) || _.isNaN(value) || !_.isFinite(value);
-                if (!badPoint) {
-                    cleanedPoints.push({ x: timestamp, y: value });
+
+            const style = this.pathStyle(column);
+            const bands = this.thresholdBands(column);
+            this.canvasLines[column] = this.linePoints(column).map(points => {
+                const draw = () => {
+                    context.beginPath();
+                    line()
+                        .curve(curves[this.props.interpolation])
+                        .x(d => timeScale(d.x))
+                        .y(d => yScale(d.y))
+                        .context(context)(points);
+                };
+                if (bands) {
+                    bands.forEach(band => {
+                        context.save();
+                        context.beginPath();
+                        context.rect(0, band.top, width, band.bottom - band.top);
+                        context.clip();
+                        draw();
+                        paint(context, band.style);
+                        context.restore();
+                    });
+                } else {
+                    draw();
+                    paint(context, style);
+                }
+                return points.map(d => ({ x: timeScale(d.x), y: yScale(d.y) }));
+            });
+        });
+    }
+
+    /**
+     * Returns the column of the line drawn on the canvas nearest to the
+     * position (x, y), or null if none is within the HIT_DISTANCE
+     */
+    columnNear(x, y) {
+        let nearest = null;
+        let minDistance = HIT_DISTANCE;
+        _.forEach(this.canvasLines, (lines, column) => {
+            lines.forEach(points => {
+                // Only test the segments which span the cursor position
+                const i0 = Math.max(bisectX(points, x - HIT_DISTANCE) - 1, 0);
+                const i1 = Math.min(bisectX(points, x + HIT_DISTANCE), points.length - 1);
+                for (let i = i0; i < i1; i += 1) {
+                    const p0 = points[i];
+                    const p1 = points[i + 1];
+                    const distance = distanceToSegment(x, y, p0.x, p0.y, p1.x, p1.y);
+                    if (distance < minDistance) {
+                        nearest = column;
+                        minDistance = distance;
+                    }
                 }
+            });
+        });
+        return nearest;
+    }
+
+    // get the event mouse position relative to the event rect
+    getOffsetMousePosition(e) {
+        const offset = getElementOffset(this.eventrect);
+        const x = e.pageX - offset.left;
+        const y = e.pageY - offset.top;
+        return [Math.round(x), Math.round(y)];
+    }
+
+    handleCanvasHover(e) {
+        const [x, y] = this.getOffsetMousePosition(e);
+        const column = this.columnNear(x, y);
+        if (column !== this.hoverColumn) {
+            this.hoverColumn = column;
+            this.eventrect.style.cursor = column ? "crosshair" : "default";
+            if (this.props.onHighlightChange) {
+                this.props.onHighlightChange(column);
             }
+        }
+    }
 
-            pathLines.push(this.renderPath(cleanedPoints, column, count));
-            count += 1;
+    handleCanvasHoverLeave() {
+        if (this.hoverColumn) {
+            this.hoverColumn = null;
+            this.handleHoverLeave();
         }
+    }
+
+    handleCanvasClick(e) {
+        const [x, y] = this.getOffsetMousePosition(e);
+        const column = this.columnNear(x, y);
+        if (column) {
+            this.handleClick(e, column);
+        }
+    }
 
-        return <g key={column}>{pathLines}</g>;
+    renderCanvas() {
+        const { width, height } = this.props;
+        return (
+            <g>
+                <foreignObject x={0} y={0} width={width} height={height} pointerEvents="none">
+                    <canvas
+                        ref={c => {
+                            this.canvas = c;
+                        }}
+                        style={{ width, height, display: "block" }}
+                    />
+                </foreignObject>
+                <rect
+                    key="line-hit-rect"
+                    ref={c => {
+                        this.eventrect = c;
+                    }}
+                    style={{ opacity: 0.0 }}
+                    x={0}
+                    y={0}
+                    width={width}
+                    height={height}
+                    onClick={this.handleCanvasClick}
+                    onMouseMove={this.handleCanvasHover}
+                    onMouseLeave={this.handleCanvasHoverLeave}
+                />
+            </g>
+        );
     }
 
     render() {
+        if (this.props.renderer === "canvas") {
+            return this.renderCanvas();
+        }
         return <g>{this.renderLines()}</g>;
     }
 }
@@ -274,9 +602,9 @@ LineChart.propTypes = {
 
     /**
      * Which columns from the series to draw.
-     * 
-     * NOTE : Columns can't have periods because periods 
-     * represent a path to deep data in the underlying events 
+     *
+     * NOTE : Columns can't have periods because periods
+     * represent a path to deep data in the underlying events
      * (i.e. reference into nested data structures)
      */
     columns: PropTypes.arrayOf(PropTypes.string),
@@ -346,6 +674,75 @@ LineChart.propTypes = {
      */
     breakLine: PropTypes.bool,
 
+    /**
+     * Values at which the lines change color, keyed by column. Each is a list
+     * of thresholds, which are objects with:
+     *
+     *  * `value` - the value of the threshold
+     *  * `color` - the color of the line above this value
+     *  * `style` - optionally, other styles for the line above this value,
+     *    such as a `strokeDasharray`
+     *
+     * Below the lowest threshold the line has the column's own style. See
+     * "Thresholds" above.
+     */
+    thresholds: PropTypes.objectOf(
+        PropTypes.arrayOf(
+            PropTypes.shape({
+                value: PropTypes.number.isRequired,
+                color: PropTypes.string,
+                style: PropTypes.object
+            })
+        )
+    ),
+
+    /**
+     * Error bars or a confidence ribbon for columns, from the companion
+     * columns holding the low and high values of each point. This maps
+     * each column to an object with:
+     *
+     *  * `low` and `high` - the columns of the low and high values
+     *  * `display` - "bars" (the default) or "ribbon"
+     *  * `capWidth` - the width in pixels of the caps of the bars (6)
+     *
+     * See "Error bars" above.
+     */
+    errors: PropTypes.objectOf(
+        PropTypes.shape({
+            low: PropTypes.string.isRequired,
+            high: PropTypes.string.isRequired,
+            display: PropTypes.oneOf(["bars", "ribbon"]),
+            capWidth: PropTypes.number
+        })
+    ),
+
+    /**
+     * The style of the error bars and ribbons. This is an object with a key
+     * for each column, each with a `bar` and `ribbon` style, or a `Styler`.
+     * If this isn't given but the `style` is a `Styler`, that is used.
+     */
+    errorStyle: PropTypes.oneOfType([PropTypes.object, PropTypes.instanceOf(Styler)]),
+
+    /**
+     * How the lines are drawn, either as SVG paths ("svg", the default), or
+     * into a canvas ("canvas"). The canvas is much faster for very large
+     * series, but is exported by the ChartContainer as an image rather than
+     * as paths, and is empty when rendered on the server.
+     */
+    renderer: PropTypes.oneOf(["svg", "canvas"]),
+
+    /**
+     * Reduce the number of points drawn to roughly the pixel resolution of
+     * the chart before the line is generated. This makes very large series
+     * render much faster. Either:
+     *  * "lttb" - Largest-Triangle-Three-Buckets, which keeps about one
+     *    point per pixel while keeping the visual shape of the line
+     *  * "minmax" - keeps the first, last, minimum and maximum point within
+     *    each pixel, so every spike is preserved
+     *  * "none" - draw every point (the default)
+     */
+    downsample: PropTypes.oneOf(["lttb", "minmax", "none"]),
+
     /**
      * The selected item, which will be rendered in the "selected" style.
      * If a line is selected, all other lines will be rendered in the "muted" style.
@@ -386,7 +783,12 @@ LineChart.propTypes = {
     /**
      * [Internal] The width supplied by the surrounding ChartContainer
      */
-    width: PropTypes.number
+    width: PropTypes.number,
+
+    /**
+     * [Internal] The height supplied by the surrounding ChartContainer
+     */
+    height: PropTypes.number
 };
 
 LineChart.defaultProps = {
@@ -394,5 +796,7 @@ LineChart.defaultProps = {
     columns: ["value"],
     smooth: true,
     interpolation: "curveLinear",
-    breakLine: true
+    breakLine: true,
+    renderer: "svg",
+    downsample: "none"
 };
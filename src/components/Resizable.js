@@ -8,49 +8,79 @@
  *  LICENSE file in the root directory of this source tree.
  */
 
+import _ from "underscore";
 import React from "react";
 import PropTypes from "prop-types";
 
 /**
- * This takes a single child and inserts a prop 'width' on it that is the
- * current width of the this container. This is handy if you want to surround
- * a chart or other svg diagram and have this drive the chart width.
+ * This takes a single child and inserts a prop `width` on it that is the
+ * current width of this container, and with `fillHeight` a prop `height`
+ * that is its current height. This is handy if you want to surround a chart
+ * or other svg diagram and have this drive the chart size.
+ *
+ * The container is watched with a `ResizeObserver`, so the child is resized
+ * whenever the container changes size, including when it is in a panel
+ * which is opened or closed, a tab or a CSS grid cell. In browsers without
+ * `ResizeObserver` only resizes of the window are followed.
+ *
+ * To have a `<ChartContainer>` fill the height too, set `fillHeight`, give
+ * the `<Resizable>` a height (e.g. with `style` or `className`) and give the
+ * rows percentage heights. See the `height` prop of `<ChartContainer>`.
  */
 export default class Resizable extends React.Component {
     constructor(props) {
         super(props);
-        this.state = { width: 0 };
+        this.state = { width: 0, height: 0 };
         this.handleResize = this.handleResize.bind(this);
     }
 
     componentDidMount() {
-        window.addEventListener("resize", this.handleResize);
+        if (window.ResizeObserver) {
+            this.observer = new window.ResizeObserver(this.handleResize);
+            this.observer.observe(this.container);
+        } else {
+            window.addEventListener("resize", this.handleResize);
+        }
         this.handleResize();
     }
 
     componentWillUnmount() {
-        window.removeEventListener("resize", this.handleResize);
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        } else {
+            window.removeEventListener("resize", this.handleResize);
+        }
     }
 
     handleResize() {
         if (this.container) {
-            this.setState({
-                width: this.container.offsetWidth
-            });
+            const width = this.container.offsetWidth;
+            const height = this.container.offsetHeight;
+            if (width !== this.state.width || height !== this.state.height) {
+                this.setState({ width, height });
+            }
         }
     }
 
     render() {
+        const { fillHeight, ...props } = this.props;
+        const { width, height } = this.state;
         const child = React.Children.only(this.props.children);
-        const childElement = this.state.width
-            ? React.cloneElement(child, { width: this.state.width })
-            : null;
+
+        // The height is only injected when asked for and measured, and never
+        // replaces a height given to the child itself
+        const childProps = { width };
+        if (fillHeight && height && _.isUndefined(child.props.height)) {
+            childProps.height = height;
+        }
+        const childElement = width ? React.cloneElement(child, childProps) : null;
         return (
             <div
                 ref={c => {
                     this.container = c;
                 }}
-                {...this.props}
+                {...props}
             >
                 {childElement}
             </div>
@@ -59,5 +89,16 @@ export default class Resizable extends React.Component {
 }
 
 Resizable.propTypes = {
+    /**
+     * Also inject the height of the container into the child, as its
+     * `height`. The container needs a height of its own, otherwise it
+     * takes the height of the child.
+     */
+    fillHeight: PropTypes.bool,
+
     children: PropTypes.node
 };
+
+Resizable.defaultProps = {
+    fillHeight: false
+};
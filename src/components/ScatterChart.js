@@ -15,9 +15,17 @@ import PropTypes from "prop-types";
 import ReactDOM from "react-dom"; // eslint-disable-line
 import { TimeSeries, Event } from "pondjs";
 
+import ErrorBars from "./ErrorBars";
 import EventMarker from "./EventMarker";
-import { getElementOffset } from "../js/util";
+import { lineHeight } from "./ValueList";
+import { getElementOffset, visibleEvents } from "../js/util";
 import { Styler } from "../js/styler";
+import { prepareCanvas, paint } from "../js/canvas";
+import { drawErrors, errorInfo } from "../js/errors";
+
+// Extra distance, in pixels, beyond a point's radius within which a click
+// on the canvas will select that point
+const HIT_DISTANCE = 2;
 
 const defaultStyle = {
     normal: { fill: "steelblue", opacity: 0.8 },
@@ -69,6 +77,31 @@ const defaultStyle = {
  * This enables you to control the drawing of the box and connecting lines. Using
  * the `infoWidth` and `infoHeight` props you can control the size of the box, which
  * is fixed.
+ *
+ * ### Error bars
+ *
+ * Where each point has an uncertainty, given by companion columns holding
+ * its low and high values, the `errors` prop draws these as vertical error
+ * bars or as a shaded ribbon, and adds the range to the info box:
+ *
+ * ```
+ * <ScatterChart
+ *     axis="temp"
+ *     series={series}
+ *     columns={["value"]}
+ *     errors={{ value: { low: "value_lo", high: "value_hi" } }}
+ *     style={styler(["value"])}
+ * />
+ * ```
+ *
+ * ### Canvas rendering
+ *
+ * For series with a very large number of points, set `renderer="canvas"`. The
+ * points are then drawn into a canvas layered within the chart area rather than
+ * as SVG circles, using the same styles. `onMouseNear` and `onSelectionChange`
+ * are still called as the user hovers over and clicks on the points. The
+ * canvas is only drawn in the browser, so server rendering leaves it empty,
+ * and `exportSvg()` embeds it as an image.
  */
 export default class ScatterChart extends React.Component {
     constructor(props) {
@@ -76,6 +109,19 @@ export default class ScatterChart extends React.Component {
 
         this.handleHover = this.handleHover.bind(this);
         this.handleHoverLeave = this.handleHoverLeave.bind(this);
+        this.handleCanvasClick = this.handleCanvasClick.bind(this);
+    }
+
+    componentDidMount() {
+        if (this.props.renderer === "canvas") {
+            this.drawCanvas();
+        }
+    }
+
+    componentDidUpdate() {
+        if (this.props.renderer === "canvas") {
+            this.drawCanvas();
+        }
     }
 
     // get the event mouse position relative to the event rect
@@ -103,7 +149,7 @@ export default class ScatterChart extends React.Component {
         let point;
         let minDistance = Infinity;
         for (const column of this.props.columns) {
-            for (const event of this.props.series.events()) {
+            for (const event of visibleEvents(this.props.series, this.props.timeScale)) {
                 const t = event.timestamp();
                 const value = event.get(column);
                 const px = this.props.timeScale(t);
@@ -127,6 +173,24 @@ export default class ScatterChart extends React.Component {
         }
     }
 
+    handleCanvasClick(e) {
+        const [x, y] = this.getOffsetMousePosition(e);
+
+        let point;
+        let minDistance = Infinity;
+        for (const p of this.canvasPoints) {
+            const distance = Math.sqrt((p.x - x) * (p.x - x) + (p.y - y) * (p.y - y));
+            if (distance <= p.radius + HIT_DISTANCE && distance < minDistance) {
+                point = p;
+                minDistance = distance;
+            }
+        }
+
+        if (point) {
+            this.handleClick(e, point.event, point.column);
+        }
+    }
+
     //
     // Internal methods
     //
@@ -195,23 +259,20 @@ export default class ScatterChart extends React.Component {
     // Render
     //
 
-    renderScatter() {
+    /**
+     * Calls the callback for each point in the scatter chart, along with
+     * the position and radius of the point in pixels
+     */
+    forEachPoint(callback) {
         const { series, timeScale, yScale } = this.props;
-        const points = [];
-        let hoverOverlay;
-
-        // if selectionChange is enabled, pointerEvents should be enabled as well
-        const pointerEvents = this.props.onSelectionChange ? "auto" : "none";
-
         this.props.columns.forEach(column => {
             let key = 1;
-            for (const event of series.events()) {
+            for (const event of visibleEvents(series, timeScale)) {
                 const t = new Date(
                     event.begin().getTime() + (event.end().getTime() - event.begin().getTime()) / 2
                 );
                 const value = event.get(column);
                 const badPoint = _.isNull(value) || _.isNaN(value) || _.isUndefined(value);
-                const style = this.style(column, event);
 
                 if (!badPoint) {
                     const x = timeScale(t);
@@ -221,57 +282,124 @@ export default class ScatterChart extends React.Component {
                         ? this.props.radius(event, column)
                         : +this.props.radius;
 
-                    const isHighlighted =
-                        this.props.highlight &&
-                        Event.is(this.props.highlight.event, event) &&
-                        column === this.props.highlight.column;
-
-                    // Hover info. Note that we just pass all of our props down
-                    // into the EventMarker here, but the interesting ones are:
-                    // * the info values themselves
-                    // * the infoStyle
-                    // * infoWidth and infoHeight
-                    if (isHighlighted && this.props.info) {
-                        hoverOverlay = (
-                            <EventMarker
-                                {...this.props}
-                                event={event}
-                                column={column}
-                                marker="circle"
-                                markerRadius={0}
-                            />
-                        );
-                    }
+                    callback(event, column, { x, y, radius, key });
+                    key += 1;
+                }
+            }
+        });
+    }
 
-                    points.push(
-                        <circle
-                            key={`${column}-${key}`}
-                            cx={x}
-                            cy={y}
-                            r={radius}
-                            style={style}
-                            pointerEvents={pointerEvents}
-                            onMouseMove={this.handleHover}
-                            onClick={e => this.handleClick(e, event, column)}
-                        />
-                    );
+    drawCanvas() {
+        const context = prepareCanvas(this.canvas, this.props.width, this.props.height);
 
-                    key += 1;
+        // Error bars and ribbons go under the points
+        if (this.props.errors) {
+            this.props.columns.forEach(column => {
+                if (this.props.errors[column]) {
+                    drawErrors(context, this.props, column);
                 }
+            });
+        }
+
+        // Keep the points in pixel coordinates for hit testing
+        this.canvasPoints = [];
+        this.forEachPoint((event, column, { x, y, radius }) => {
+            context.beginPath();
+            context.arc(x, y, radius, 0, 2 * Math.PI);
+            paint(context, this.style(column, event));
+            this.canvasPoints.push({ event, column, x, y, radius });
+        });
+    }
+
+    renderScatter() {
+        const points = [];
+        let hoverOverlay;
+
+        // if selectionChange is enabled, pointerEvents should be enabled as well
+        const pointerEvents = this.props.onSelectionChange ? "auto" : "none";
+
+        this.forEachPoint((event, column, { x, y, radius, key }) => {
+            const isHighlighted =
+                this.props.highlight &&
+                Event.is(this.props.highlight.event, event) &&
+                column === this.props.highlight.column;
+
+            // Hover info. Note that we just pass all of our props down
+            // into the EventMarker here, but the interesting ones are:
+            // * the info values themselves
+            // * the infoStyle
+            // * infoWidth and infoHeight
+            if (isHighlighted && this.props.info) {
+                // The info includes the error range, if any, on a line of its own
+                const info = errorInfo(this.props.info, this.props.errors, event, column);
+                const extraLines = info.length - this.props.info.length;
+                const extraHeight = extraLines * lineHeight(this.props.infoStyle);
+                hoverOverlay = (
+                    <EventMarker
+                        {...this.props}
+                        info={info}
+                        infoHeight={this.props.infoHeight + extraHeight}
+                        event={event}
+                        column={column}
+                        marker="circle"
+                        markerRadius={0}
+                    />
+                );
+            }
+
+            // When rendering to a canvas only the hover info is rendered as SVG
+            if (this.props.renderer !== "canvas") {
+                points.push(
+                    <circle
+                        key={`${column}-${key}`}
+                        cx={x}
+                        cy={y}
+                        r={radius}
+                        style={this.style(column, event)}
+                        pointerEvents={pointerEvents}
+                        onMouseMove={this.handleHover}
+                        onClick={e => this.handleClick(e, event, column)}
+                    />
+                );
             }
         });
 
+        // When rendering to a canvas the error bars are drawn there too
+        const errors =
+            this.props.errors && this.props.renderer !== "canvas"
+                ? this.props.columns.map(column => (
+                      <ErrorBars key={`errors-${column}`} {...this.props} column={column} />
+                  ))
+                : null;
+
         return (
             <g>
+                {errors}
                 {points}
                 {hoverOverlay}
             </g>
         );
     }
 
+    renderCanvas() {
+        const { width, height } = this.props;
+        return (
+            <foreignObject x={0} y={0} width={width} height={height} pointerEvents="none">
+                <canvas
+                    ref={c => {
+                        this.canvas = c;
+                    }}
+                    style={{ width, height, display: "block" }}
+                />
+            </foreignObject>
+        );
+    }
+
     render() {
+        const isCanvas = this.props.renderer === "canvas";
         return (
             <g>
+                {isCanvas ? this.renderCanvas() : null}
                 <rect
                     key="scatter-hit-rect"
                     ref={c => {
@@ -284,6 +412,9 @@ export default class ScatterChart extends React.Component {
                     height={this.props.height}
                     onMouseMove={this.handleHover}
                     onMouseLeave={this.handleHoverLeave}
+                    onClick={
+                        isCanvas && this.props.onSelectionChange ? this.handleCanvasClick : null
+                    }
                 />
                 {this.renderScatter()}
             </g>
@@ -373,6 +504,51 @@ ScatterChart.propTypes = {
      */
     style: PropTypes.oneOfType([PropTypes.object, PropTypes.func]),
 
+    /**
+     * Error bars or a confidence ribbon for columns, from the companion
+     * columns holding the low and high values of each point. This maps
+     * each column to an object with:
+     *
+     *  * `low` and `high` - the columns of the low and high values
+     *  * `display` - "bars" (the default) or "ribbon"
+     *  * `capWidth` - the width in pixels of the caps of the bars (6)
+     *  * `label` and `format` - the label ("Range") and d3 format string or
+     *    function (".2f") used to add the range to the `info` box
+     *
+     * For example:
+     * ```
+     * errors={{ value: { low: "value_lo", high: "value_hi", display: "ribbon" } }}
+     * ```
+     */
+    errors: PropTypes.objectOf(
+        PropTypes.shape({
+            low: PropTypes.string.isRequired,
+            high: PropTypes.string.isRequired,
+            display: PropTypes.oneOf(["bars", "ribbon"]),
+            capWidth: PropTypes.number,
+            label: PropTypes.string,
+            format: PropTypes.oneOfType([PropTypes.string, PropTypes.func])
+        })
+    ),
+
+    /**
+     * The style of the error bars and ribbons. This is an object with a key
+     * for each column, each with a `bar` and `ribbon` style, e.g.
+     * `{value: {bar: {stroke: "steelblue"}, ribbon: {fill: "steelblue", opacity: 0.2}}}`.
+     * A `Styler` may be used instead, to draw them in the colors of the
+     * columns. If this isn't given but the `style` is a `Styler`, that is
+     * used.
+     */
+    errorStyle: PropTypes.oneOfType([PropTypes.object, PropTypes.instanceOf(Styler)]),
+
+    /**
+     * How the points are drawn, either as SVG circles ("svg", the default), or
+     * into a canvas ("canvas"). The canvas is much faster for very large
+     * series, but is exported by the ChartContainer as an image rather than
+     * as circles, and is empty when rendered on the server.
+     */
+    renderer: PropTypes.oneOf(["svg", "canvas"]),
+
     /**
      * The style of the info box and connecting lines. The style should
      * be an object of the form { line, box }. Line and box are both objects
@@ -472,6 +648,7 @@ ScatterChart.defaultProps = {
     visible: true,
     columns: ["value"],
     radius: 2.0,
+    renderer: "svg",
     infoStyle: {
         stroke: "#999",
         fill: "white",
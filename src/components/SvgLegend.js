@@ -0,0 +1,415 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+import merge from "merge";
+import React from "react";
+import PropTypes from "prop-types";
+
+import { itemStyle } from "./Legend";
+import { Styler } from "../js/styler";
+import { soloHidden, toggleHidden, visibilityGroup } from "../js/visibility";
+
+// The approximate width, in pixels, of a character of the labels, used to
+// lay out the items since svg text can't be measured before it's drawn
+const CHAR_WIDTH = 6.5;
+
+// The space, in pixels, between the items and around them within the box
+const SPACING = 10;
+const PADDING = 4;
+
+const defaultBoxStyle = { fill: "#FFFFFF", opacity: 0.8, stroke: "none" };
+
+/**
+ * Converts the CSS of a legend label or value, such as that of a Styler's
+ * `legendStyle()`, to the style of an svg text element
+ */
+function textStyle(style, fontSize) {
+    const { color, fill } = style;
+    return merge(true, _.omit(style, "color", "paddingRight", "fontSize"), {
+        fill: fill || color || "#333",
+        fontSize: _.isNumber(style.fontSize) ? style.fontSize : fontSize
+    });
+}
+
+/**
+ * A legend drawn in svg, so that it can be placed within a chart and is
+ * kept when the chart is exported as an image.
+ *
+ * Within the `<Charts>` of a `<ChartRow>` it is drawn over the plot area,
+ * in the corner given by its `position`, moved in from that corner by its
+ * `offsetX` and `offsetY`:
+ *
+ * ```
+ * <ChartRow height="150">
+ *     <YAxis id="traffic" ... />
+ *     <Charts>
+ *         <LineChart axis="traffic" series={traffic} columns={["in", "out"]} style={style} />
+ *         <SvgLegend type="line" style={style} categories={categories} position="top-left" />
+ *     </Charts>
+ * </ChartRow>
+ * ```
+ *
+ * Alternatively it can be given as the `legend` of the `<ChartContainer>`,
+ * where it is drawn in the title band above the rows.
+ *
+ * It takes the same `type`, `categories` and `style`, including a Styler,
+ * as a `<Legend>`, and is styled in the same way. Its highlight, selection
+ * and visibility props and callbacks, and its `legendGroup`, also work as
+ * they do for a `<Legend>`. With `stack` the items are placed one above
+ * the other rather than side by side. Since the width of the labels can't
+ * be measured, each item is sized from the length of its label, unless an
+ * `itemWidth` is given.
+ */
+export default class SvgLegend extends React.Component {
+    constructor(props, context) {
+        super(props, context);
+
+        // The hidden items are shared with the legend group or the charts
+        // using the same Styler, if any, and otherwise kept in our state, as
+        // for a <Legend>
+        this.legend = visibilityGroup(props, context);
+        this.state = {
+            hidden: this.legend ? this.legend.get("hidden") : []
+        };
+    }
+
+    componentDidMount() {
+        if (this.legend) {
+            this.unsubscribe = this.legend.subscribe("hidden", hidden => this.setState({ hidden }));
+        }
+    }
+
+    componentWillUnmount() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+        }
+    }
+
+    hidden() {
+        return this.props.hidden || this.state.hidden;
+    }
+
+    handleToggle(key, solo) {
+        const keys = this.props.categories.map(category => category.key);
+        const hidden = solo
+            ? soloHidden(this.hidden(), key, keys)
+            : toggleHidden(this.hidden(), key);
+        if (this.legend) {
+            this.legend.set("hidden", hidden);
+        } else {
+            this.setState({ hidden });
+        }
+        if (this.props.onVisibilityChange) {
+            this.props.onVisibilityChange(hidden);
+        }
+    }
+
+    handleItemClick(e, key) {
+        e.stopPropagation();
+        if (this.props.toggleVisibility) {
+            this.handleToggle(key, e.shiftKey);
+        }
+        if (this.props.onSelectionChange) {
+            this.props.onSelectionChange(key);
+        }
+    }
+
+    handleHover(key) {
+        if (this.props.onHighlightChange) {
+            this.props.onHighlightChange(key);
+        }
+    }
+
+    handleHoverLeave() {
+        if (this.props.onHighlightChange) {
+            this.props.onHighlightChange(null);
+        }
+    }
+
+    /**
+     * The width of the item of the category, in pixels
+     */
+    itemWidth(category) {
+        if (this.props.itemWidth) {
+            return this.props.itemWidth;
+        }
+        const chars = Math.max(`${category.label}`.length, `${category.value || ""}`.length);
+        return this.props.symbolWidth + PADDING + chars * CHAR_WIDTH + SPACING;
+    }
+
+    /**
+     * The height of each item, which makes room for a value below the label
+     * if any of the categories have one
+     */
+    itemHeight() {
+        const hasValues = _.some(this.props.categories, category => !_.isUndefined(category.value));
+        return Math.max(this.props.symbolHeight, hasValues ? 26 : 14);
+    }
+
+    renderSymbol(symbolType, style, itemHeight) {
+        const { symbolWidth, symbolHeight } = this.props;
+        const y = (itemHeight - symbolHeight) / 2;
+        switch (symbolType) {
+            case "line":
+                return (
+                    <line
+                        style={style}
+                        x1={0}
+                        y1={y + symbolHeight / 2}
+                        x2={symbolWidth}
+                        y2={y + symbolHeight / 2}
+                        stroke="black"
+                        strokeWidth="2"
+                    />
+                );
+            case "dot":
+                return (
+                    <circle
+                        style={style}
+                        cx={symbolWidth / 2}
+                        cy={y + symbolHeight / 2}
+                        r={(symbolWidth / 2) * 0.75}
+                    />
+                );
+            default:
+                return (
+                    <rect
+                        style={style}
+                        x={2}
+                        y={y + 2}
+                        width={symbolWidth - 4}
+                        height={symbolHeight - 4}
+                        rx={2}
+                        ry={2}
+                    />
+                );
+        }
+    }
+
+    renderItem(category, x, y, itemHeight) {
+        const { key, label, value, symbolType = this.props.type } = category;
+        const interactive =
+            this.props.toggleVisibility ||
+            this.props.onSelectionChange ||
+            this.props.onHighlightChange;
+        const textX = this.props.symbolWidth + PADDING;
+        const hasValue = !_.isUndefined(value);
+        const hidden = this.hidden();
+        const symbolStyle = itemStyle(this.props, category, "symbol", hidden, symbolType);
+        const labelStyle = itemStyle(this.props, category, "label", hidden);
+        const valueStyle = itemStyle(this.props, category, "value", hidden);
+        return (
+            <g
+                key={key}
+                transform={`translate(${x},${y})`}
+                style={{ cursor: interactive ? "pointer" : "default" }}
+                onClick={e => this.handleItemClick(e, key)}
+                onMouseDown={e => e.stopPropagation()}
+                onMouseUp={e => e.stopPropagation()}
+                onMouseMove={() => this.handleHover(key)}
+                onMouseLeave={() => this.handleHoverLeave()}
+            >
+                <rect
+                    width={this.itemWidth(category)}
+                    height={itemHeight}
+                    style={{ fill: "none" }}
+                    pointerEvents="all"
+                />
+                {this.renderSymbol(symbolType, symbolStyle, itemHeight)}
+                <text
+                    x={textX}
+                    y={hasValue ? 11 : itemHeight / 2}
+                    dy={hasValue ? null : "0.35em"}
+                    style={textStyle(labelStyle, 11)}
+                >
+                    {label}
+                </text>
+                {hasValue ? (
+                    <text x={textX} y={23} style={textStyle(valueStyle, 10)}>
+                        {value}
+                    </text>
+                ) : null}
+            </g>
+        );
+    }
+
+    render() {
+        const { categories, stack, position, offsetX, offsetY, width, height } = this.props;
+        const itemHeight = this.itemHeight();
+
+        let x = PADDING;
+        let y = PADDING;
+        const items = categories.map(category => {
+            const item = this.renderItem(category, x, y, itemHeight);
+            if (stack) {
+                y += itemHeight;
+            } else {
+                x += this.itemWidth(category);
+            }
+            return item;
+        });
+
+        const itemsWidth = stack
+            ? _.max(categories.map(category => this.itemWidth(category)))
+            : x - PADDING;
+        const itemsHeight = stack ? y - PADDING : itemHeight;
+        const boxWidth = itemsWidth + PADDING * 2;
+        const boxHeight = itemsHeight + PADDING * 2;
+
+        const [vertical, horizontal] = position.split("-");
+        const left = horizontal === "right" ? width - boxWidth - offsetX : offsetX;
+        const top = vertical === "bottom" ? height - boxHeight - offsetY : offsetY;
+        const boxStyle = merge(true, defaultBoxStyle, this.props.boxStyle || {});
+
+        return (
+            <g transform={`translate(${left},${top})`}>
+                <rect width={boxWidth} height={boxHeight} style={boxStyle} rx={2} ry={2} />
+                {items}
+            </g>
+        );
+    }
+}
+
+SvgLegend.propTypes = {
+    /**
+     * The overall style of the legend items, either a color "swatch", a
+     * colored "line", or a "dot", as for a `<Legend>`
+     */
+    type: PropTypes.oneOf(["swatch", "line", "dot"]),
+
+    /**
+     * The style of the items, as for a `<Legend>`
+     */
+    style: PropTypes.oneOfType([PropTypes.object, PropTypes.func, PropTypes.instanceOf(Styler)]),
+
+    /**
+     * The items of the legend, each with a `key` and `label`, and optionally
+     * a `value`, `symbolType` and `disabled`, as for a `<Legend>`
+     */
+    categories: PropTypes.arrayOf(
+        PropTypes.shape({
+            key: PropTypes.string.isRequired, // eslint-disable-line
+            label: PropTypes.string.isRequired, // eslint-disable-line
+            value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]), // eslint-disable-line
+            symbolType: PropTypes.oneOf(["swatch", "line", "dot"]), // eslint-disable-line
+            disabled: PropTypes.bool // eslint-disable-line
+        })
+    ).isRequired,
+
+    /**
+     * The width and height of the symbols, in pixels
+     */
+    symbolWidth: PropTypes.number,
+    symbolHeight: PropTypes.number,
+
+    /**
+     * Place the items one above the other rather than side by side
+     */
+    stack: PropTypes.bool,
+
+    /**
+     * The key of the highlighted item
+     */
+    highlight: PropTypes.string,
+
+    /**
+     * The key of the selected item
+     */
+    selection: PropTypes.string,
+
+    /**
+     * Callback called with the key of an item when it is clicked
+     */
+    onSelectionChange: PropTypes.func,
+
+    /**
+     * Callback called with the key of an item when the mouse moves over it,
+     * and with null when it leaves
+     */
+    onHighlightChange: PropTypes.func,
+
+    /**
+     * Hide or show an item's column in the charts when it is clicked, or
+     * show only that column when it is shift-clicked, as for a `<Legend>`
+     */
+    toggleVisibility: PropTypes.bool,
+
+    /**
+     * The id of the group of `<ChartContainer>`s, within a `<ChartSync>`,
+     * which hide the columns hidden by this legend
+     */
+    legendGroup: PropTypes.string,
+
+    /**
+     * Callback called with the keys of the hidden items whenever an item is
+     * hidden or shown
+     */
+    onVisibilityChange: PropTypes.func,
+
+    /**
+     * The keys of the hidden items. By default the legend keeps track of
+     * these itself, or shares them with its `legendGroup` or Styler.
+     */
+    hidden: PropTypes.arrayOf(PropTypes.string),
+
+    /**
+     * The corner of the chart, or of the title band of the `<ChartContainer>`,
+     * in which the legend is placed
+     */
+    position: PropTypes.oneOf(["top-left", "top-right", "bottom-left", "bottom-right"]),
+
+    /**
+     * How far in from the `position`'s corner, in pixels, the legend is placed
+     */
+    offsetX: PropTypes.number,
+    offsetY: PropTypes.number,
+
+    /**
+     * The width of each item, in pixels. By default this is estimated from
+     * the length of the item's label.
+     */
+    itemWidth: PropTypes.number,
+
+    /**
+     * The style of the box behind the items
+     */
+    boxStyle: PropTypes.object,
+
+    /**
+     * [Internal] The width of the chart, supplied by the ChartRow or the
+     * ChartContainer
+     */
+    width: PropTypes.number,
+
+    /**
+     * [Internal] The height of the chart, supplied by the ChartRow or the
+     * ChartContainer
+     */
+    height: PropTypes.number
+};
+
+SvgLegend.contextTypes = {
+    chartSync: PropTypes.object
+};
+
+SvgLegend.defaultProps = {
+    type: "swatch",
+    style: {},
+    symbolWidth: 16,
+    symbolHeight: 16,
+    stack: false,
+    toggleVisibility: false,
+    position: "top-right",
+    offsetX: 5,
+    offsetY: 5,
+    width: 0,
+    height: 0
+};
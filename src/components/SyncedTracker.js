@@ -0,0 +1,63 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import React from "react";
+import PropTypes from "prop-types";
+
+/**
+ * Internal component which renders the tracker layer of a chart. When the
+ * chart belongs to a sync group, this subscribes to the group's tracker so
+ * that a change in tracker position re-renders only this layer. Otherwise
+ * it renders the `time` it is given.
+ */
+export default class SyncedTracker extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = {
+            time: props.group ? props.group.get("tracker") : null
+        };
+    }
+
+    componentDidMount() {
+        if (this.props.group) {
+            this.unsubscribe = this.props.group.subscribe("tracker", time =>
+                this.setState({ time })
+            );
+        }
+    }
+
+    componentWillUnmount() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+        }
+    }
+
+    render() {
+        const time = this.props.group ? this.state.time : this.props.time;
+        return this.props.render(time) || null;
+    }
+}
+
+SyncedTracker.propTypes = {
+    /**
+     * The SyncGroup of the chart, if any
+     */
+    group: PropTypes.object,
+
+    /**
+     * The tracker time when the chart isn't synchronized
+     */
+    time: PropTypes.instanceOf(Date),
+
+    /**
+     * Returns the tracker element for a time, which may be null
+     */
+    render: PropTypes.func.isRequired
+};
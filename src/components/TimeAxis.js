@@ -12,19 +12,15 @@ import _ from "underscore";
 import merge from "merge";
 import moment from "moment";
 import React from "react";
-import ReactDOM from "react-dom"; // eslint-disable-line
 import PropTypes from "prop-types";
-import { axisBottom } from "d3-axis";
-import { select } from "d3-selection";
-import "d3-selection-multi";
 import { timeDay, utcDay, timeMonth, utcMonth, timeYear, utcYear } from "d3-time";
 import { timeFormat } from "d3-time-format";
 
 import "moment-duration-format";
 
-function scaleAsString(scale) {
-    return `${scale.domain().toString()}-${scale.range().toString()}`;
-}
+import { toReactStyle } from "../js/util";
+
+const TICK_PADDING = 3;
 
 const defaultStyle = {
     values: {
@@ -48,172 +44,109 @@ const defaultStyle = {
  * Renders a horizontal time axis. This is used internally by the ChartContainer
  * as a result of you specifying the timerange for the chart. Please see the API
  * docs for ChartContainer for more information.
+ *
+ * The ticks, labels and grid lines are generated from the d3 time scale and
+ * rendered as regular React elements, so the axis is also rendered when the
+ * chart is rendered on the server (e.g. with `ReactDOMServer.renderToStaticMarkup()`).
  */
 export default class TimeAxis extends React.Component {
-    componentDidMount() {
-        const { scale, format, showGrid, gridHeight } = this.props;
-        this.renderTimeAxis(scale, format, showGrid, gridHeight);
-    }
-
-    componentWillReceiveProps(nextProps) {
-        const { scale, utc, format, showGrid, gridHeight } = nextProps;
-        if (
-            scaleAsString(this.props.scale) !== scaleAsString(scale) ||
-            this.props.utc !== utc ||
-            this.props.showGrid !== showGrid ||
-            this.props.gridHeight !== gridHeight
-        ) {
-            this.renderTimeAxis(scale, format, showGrid, gridHeight);
-        }
-    }
-
-    // Force the component not to update because d3 will control the
-    // DOM from this point down.
-    shouldComponentUpdate() {
-        // eslint-disable-line
-        return false;
-    }
-
     mergeStyles(style) {
         return {
             valueStyle: merge(
                 true,
                 defaultStyle.values,
-                this.props.style.values ? this.props.style.values : {}
+                this.props.style.values ? toReactStyle(this.props.style.values) : {}
             ),
             tickStyle: merge(
                 true,
                 defaultStyle.ticks,
-                this.props.style.ticks ? this.props.style.ticks : {}
+                this.props.style.ticks ? toReactStyle(this.props.style.ticks) : {}
             )
         };
     }
 
-    renderTimeAxis(scale, format, showGrid, gridHeight) {
-        let axis;
-
-        const tickSize = showGrid ? -gridHeight : 10;
-        const utc = this.props.utc;
-        const tickCount = this.props.tickCount;
-        const style = this.mergeStyles(this.props.style);
-        const { tickStyle, valueStyle } = style;
-
-        if (tickCount > 0) {
-            if (format === "day") {
-                axis = axisBottom(scale)
-                    .tickArguments([utc ? utcDay : timeDay, 1, tickCount])
-                    .tickFormat(timeFormat("%d"))
-                    .tickSizeOuter(0);
-            } else if (format === "month") {
-                axis = axisBottom(scale)
-                    .tickArguments([utc ? utcMonth : timeMonth, 1, tickCount])
-                    .tickFormat(timeFormat("%B"))
-                    .tickSizeOuter(0);
-            } else if (format === "year") {
-                axis = axisBottom(scale)
-                    .tickArguments([utc ? utcYear : timeYear, 1, tickCount])
-                    .tickFormat(timeFormat("%Y"))
-                    .tickSizeOuter(0);
-            } else if (format === "relative") {
-                axis = axisBottom(scale)
-                    .ticks(tickCount)
-                    .tickFormat(d => moment.duration(+d).format())
-                    .tickSizeOuter(0);
-            } else if (_.isString(format)) {
-                axis = axisBottom(scale)
-                    .ticks(tickCount)
-                    .tickFormat(timeFormat(format))
-                    .tickSizeOuter(0);
-            } else if (_.isFunction(format)) {
-                axis = axisBottom(scale)
-                    .ticks(tickCount)
-                    .tickFormat(format)
-                    .tickSizeOuter(0);
-            } else {
-                axis = axisBottom(scale)
-                    .ticks(tickCount)
-                    .tickSize(0);
-            }
+    /**
+     * Returns the tick values and the function used to format each of
+     * them, based on the scale, format, utc and tickCount props.
+     */
+    ticks() {
+        const { scale, format, utc, tickCount } = this.props;
+
+        let tickArguments = tickCount > 0 ? [tickCount] : [];
+        let tickFormat;
+        if (format === "day") {
+            tickArguments = [utc ? utcDay : timeDay, 1];
+            tickFormat = timeFormat("%d");
+        } else if (format === "month") {
+            tickArguments = [utc ? utcMonth : timeMonth, 1];
+            tickFormat = timeFormat("%B");
+        } else if (format === "year") {
+            tickArguments = [utc ? utcYear : timeYear, 1];
+            tickFormat = timeFormat("%Y");
+        } else if (format === "relative") {
+            tickFormat = d => moment.duration(+d).format();
+        } else if (_.isString(format)) {
+            tickFormat = timeFormat(format);
+        } else if (_.isFunction(format)) {
+            tickFormat = format;
         } else {
-            if (format === "day") {
-                axis = axisBottom(scale)
-                    .tickArguments([utc ? utcDay : timeDay, 1])
-                    .tickFormat(timeFormat("%d"))
-                    .tickSizeOuter(0);
-            } else if (format === "month") {
-                axis = axisBottom(scale)
-                    .tickArguments([utc ? utcMonth : timeMonth, 1])
-                    .tickFormat(timeFormat("%B"))
-                    .tickSizeOuter(0);
-            } else if (format === "year") {
-                axis = axisBottom(scale)
-                    .tickArguments([utc ? utcYear : timeYear, 1])
-                    .tickFormat(timeFormat("%Y"))
-                    .tickSizeOuter(0);
-            } else if (format === "relative") {
-                axis = axisBottom(scale)
-                    .tickFormat(d => moment.duration(+d).format())
-                    .tickSizeOuter(0);
-            } else if (_.isString(format)) {
-                axis = axisBottom(scale)
-                    .tickFormat(timeFormat(format))
-                    .tickSizeOuter(0);
-            } else if (_.isFunction(format)) {
-                axis = axisBottom(scale)
-                    .tickFormat(format)
-                    .tickSizeOuter(0);
-            } else {
-                axis = axisBottom(scale).tickSize(0);
-            }
+            tickFormat = scale.tickFormat(...tickArguments);
         }
 
-        // Remove the old axis from under this DOM node
-        select(ReactDOM.findDOMNode(this))
-            .selectAll("*")
-            .remove(); // eslint-disable-line
-        //
-        // Draw the new axis
-        //
-        select(ReactDOM.findDOMNode(this)) // eslint-disable-line
-            .append("g")
-            .attr("class", "x axis")
-            .style("stroke", "none")
-            .styles(valueStyle)
-            .call(axis.tickSize(tickSize));
-
-        if (this.props.angled) {
-            select(ReactDOM.findDOMNode(this)) // eslint-disable-line
-                .select("g")
-                .selectAll(".tick")
-                .select("text")
-                .styles(valueStyle)
-                .style("text-anchor", "end")
-                .attr("dx", "-1.2em")
-                .attr("dy", "0em")
-                .attr("transform", function(d) {
-                    return "rotate(-65)";
-                });
-        } else {
-            select(ReactDOM.findDOMNode(this)) // eslint-disable-line
-                .select("g")
-                .selectAll(".tick")
-                .select("text")
-                .styles(valueStyle);
-        }
-        select(ReactDOM.findDOMNode(this)) // eslint-disable-line
-            .select("g")
-            .selectAll(".tick")
-            .select("line")
-            .styles(tickStyle);
-
-        select(ReactDOM.findDOMNode(this))
-            .select("g")
-            .select("path")
-            .remove();
+        return {
+            values: scale.ticks(...tickArguments),
+            tickFormat
+        };
+    }
+
+    renderTick(d, tickSize, tickFormat, tickStyle, valueStyle) {
+        const { scale, angled } = this.props;
+        const spacing = Math.max(tickSize, 0) + TICK_PADDING;
+
+        const textProps = angled
+            ? {
+                  dx: "-1.2em",
+                  dy: "0em",
+                  transform: "rotate(-65)",
+                  style: { ...valueStyle, textAnchor: "end" }
+              }
+            : {
+                  dy: "0.71em",
+                  style: valueStyle
+              };
+
+        return (
+            <g key={+d} className="tick" transform={`translate(${scale(d) + 0.5},0)`}>
+                <line y2={tickSize} stroke="currentColor" style={tickStyle} />
+                <text y={spacing} fill="currentColor" {...textProps}>
+                    {tickFormat(d)}
+                </text>
+            </g>
+        );
     }
 
     render() {
-        return <g />;
+        const { showGrid, gridHeight } = this.props;
+        const tickSize = showGrid ? -gridHeight : 10;
+        const { tickStyle, valueStyle } = this.mergeStyles(this.props.style);
+        const { values, tickFormat } = this.ticks();
+
+        return (
+            <g>
+                <g
+                    className="x axis"
+                    fill="none"
+                    fontSize={10}
+                    fontFamily="sans-serif"
+                    textAnchor="middle"
+                    style={{ stroke: "none", ...valueStyle }}
+                >
+                    {values.map(d =>
+                        this.renderTick(d, tickSize, tickFormat, tickStyle, valueStyle)
+                    )}
+                </g>
+            </g>
+        );
     }
 }
 
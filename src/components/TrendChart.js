@@ -0,0 +1,357 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+import React from "react";
+import PropTypes from "prop-types";
+import { TimeSeries } from "pondjs";
+
+import AreaChart from "./AreaChart";
+import LineChart from "./LineChart";
+import trend from "../js/trend";
+import { Styler } from "../js/styler";
+import { visibleEvents } from "../js/util";
+
+const defaultStyle = {
+    line: {
+        normal: { stroke: "#555", fill: "none", strokeWidth: 1.5, strokeDasharray: "4,2" },
+        highlighted: { stroke: "#333", fill: "none", strokeWidth: 1.5, strokeDasharray: "4,2" },
+        selected: { stroke: "#333", fill: "none", strokeWidth: 1.5, strokeDasharray: "4,2" },
+        muted: { stroke: "#555", fill: "none", opacity: 0.4, strokeWidth: 1.5 }
+    },
+    area: {
+        normal: { fill: "#999", stroke: "none", opacity: 0.2 },
+        highlighted: { fill: "#999", stroke: "none", opacity: 0.3 },
+        selected: { fill: "#999", stroke: "none", opacity: 0.3 },
+        muted: { fill: "#999", stroke: "none", opacity: 0.1 }
+    }
+};
+
+const noOutline = {
+    normal: { stroke: "none" },
+    highlighted: { stroke: "none" },
+    selected: { stroke: "none" },
+    muted: { stroke: "none" }
+};
+
+/**
+ * Returns a TimeSeries of the trend of the chart's column over the events,
+ * with a "trend" column, and "upper" and "lower" columns for bands. Each
+ * point is at the middle of its event, where a LineChart would draw it.
+ * Returns null if there are fewer than two values.
+ */
+function trendSeries(props, events) {
+    const xs = [];
+    const ys = [];
+    events.forEach(event => {
+        const value = event.get(props.column);
+        if (_.isFinite(value)) {
+            xs.push((event.begin().getTime() + event.end().getTime()) / 2);
+            ys.push(value);
+        }
+    });
+    if (xs.length < 2) {
+        return null;
+    }
+
+    const options = _.pick(props, "window", "bandwidth", "sigma");
+    const result = trend(props.type, xs, ys, options);
+    const columns = result.upper ? ["time", "trend", "upper", "lower"] : ["time", "trend"];
+    const points = xs.map(
+        (x, i) =>
+            result.upper
+                ? [x, result.trend[i], result.upper[i], result.lower[i]]
+                : [x, result.trend[i]]
+    );
+    return new TimeSeries({ name: `${props.column}-${props.type}`, columns, points });
+}
+
+/**
+ * Returns the events over which the trend is computed, either those within
+ * the timeScale, or the whole series, depending on the chart's `range`
+ */
+function trendEvents(props) {
+    const { series, timeScale, range } = props;
+    if (range === "visible") {
+        return visibleEvents(series, timeScale);
+    }
+    return _.range(series.size()).map(i => series.at(i));
+}
+
+// The trends computed for each series, by the options they were computed
+// with, so that the trend isn't recomputed every time the chart is drawn or
+// its row's scales are updated. Only the latest trend over the visible
+// events is kept for each of the options.
+const trendCache = new WeakMap();
+
+/**
+ * Returns the trend of the chart, as for `trendSeries()`, from the cache if
+ * it has already been computed. A trend over the "visible" range is over
+ * the `events`, or the events within the chart's timeScale if not given.
+ */
+function cachedTrendSeries(props, events) {
+    const { series, column, type, window, bandwidth, sigma, range } = props;
+    const key = [column, type, window, bandwidth, sigma, range].join("|");
+    let visible = null;
+    let span = "";
+    if (range === "visible") {
+        visible = events || trendEvents(props);
+        span = visible.length
+            ? [
+                  visible[0].begin().getTime(),
+                  _.last(visible)
+                      .end()
+                      .getTime(),
+                  visible.length
+              ].join("|")
+            : "";
+    }
+
+    if (!trendCache.has(series)) {
+        trendCache.set(series, {});
+    }
+    const cache = trendCache.get(series);
+    if (!_.has(cache, key) || cache[key].span !== span) {
+        cache[key] = { span, trend: trendSeries(props, visible || trendEvents(props)) };
+    }
+    return cache[key].trend;
+}
+
+/**
+ * Overlays a trend of a column of a TimeSeries, computed by the chart
+ * itself, on the other charts of a row. The `type` of trend is one of:
+ *
+ *  * "movingAverage" - the mean of each trailing `window` of points
+ *  * "ewma" - an exponentially weighted moving average, whose weights have
+ *    the same center of mass as a moving average over the `window`
+ *  * "linear" - a least squares linear regression line
+ *  * "loess" - a LOESS regression, which fits each point with the nearest
+ *    `bandwidth` fraction of the points
+ *  * "bands" - the moving average over the `window` with a band of
+ *    ±`sigma` standard deviations around it
+ *
+ * The trend is computed over the whole series, or with `range="visible"`
+ * over just the events within the chart's time range, so that it is
+ * recomputed as the chart is panned and zoomed. The trend line is drawn
+ * as a `<LineChart>` and the band as an `<AreaChart>`, on the same `axis`
+ * as the data:
+ *
+ * ```
+ * <Charts>
+ *     <ScatterChart axis="y" series={series} columns={["value"]} />
+ *     <TrendChart axis="y" series={series} column="value" type="bands" window={20} />
+ *     <TrendChart axis="y" series={series} column="value" type="loess" />
+ * </Charts>
+ * ```
+ */
+export default class TrendChart extends React.Component {
+    /**
+     * The extent of the trend, and its band, over the events, used when
+     * the chart's axis has a min or max of "auto"
+     */
+    static valueExtent(props, events) {
+        if (!events.length) {
+            return null;
+        }
+        const computed = cachedTrendSeries(props, events);
+        if (!computed) {
+            return null;
+        }
+        const begin = events[0].begin().getTime();
+        const end = _.last(events)
+            .end()
+            .getTime();
+        const values = [];
+        for (const event of computed.events()) {
+            const t = event.timestamp().getTime();
+            if (t >= begin && t <= end) {
+                values.push(event.get("trend"), event.get("upper"), event.get("lower"));
+            }
+        }
+        const finite = values.filter(_.isFinite);
+        return finite.length ? [_.min(finite), _.max(finite)] : null;
+    }
+
+    style() {
+        const { style, column } = this.props;
+        if (style instanceof Styler) {
+            return {
+                line: style.lineChartStyle()[column] || defaultStyle.line,
+                area: (style.areaChartStyle()[column] || defaultStyle).area
+            };
+        }
+        return {
+            line: (style && style.line) || defaultStyle.line,
+            area: (style && style.area) || defaultStyle.area
+        };
+    }
+
+    render() {
+        const computed = cachedTrendSeries(this.props);
+        if (!computed) {
+            return <g />;
+        }
+
+        const style = this.style();
+        const chartProps = _.pick(
+            this.props,
+            "axis",
+            "interpolation",
+            "timeScale",
+            "yScale",
+            "width",
+            "height"
+        );
+
+        return (
+            <g pointerEvents="none">
+                {this.props.type === "bands" ? (
+                    <AreaChart
+                        {...chartProps}
+                        series={computed}
+                        columns={{ between: ["upper", "lower"] }}
+                        style={{
+                            upper: { line: noOutline, area: style.area },
+                            lower: { line: noOutline, area: style.area }
+                        }}
+                    />
+                ) : null}
+                <LineChart
+                    {...chartProps}
+                    series={computed}
+                    columns={["trend"]}
+                    style={{ trend: style.line }}
+                />
+            </g>
+        );
+    }
+}
+
+TrendChart.propTypes = {
+    /**
+     * Show or hide this chart
+     */
+    visible: PropTypes.bool,
+
+    /**
+     * What [Pond TimeSeries](https://esnet-pondjs.appspot.com/#/timeseries)
+     * data to compute the trend of
+     */
+    series: PropTypes.instanceOf(TimeSeries).isRequired,
+
+    /**
+     * Reference to the axis which provides the vertical scale for drawing,
+     * which would usually be the axis of the data itself
+     */
+    axis: PropTypes.string.isRequired, // eslint-disable-line
+
+    /**
+     * The column of the series to compute the trend of
+     */
+    column: PropTypes.string,
+
+    /**
+     * The trend to compute: "movingAverage", "ewma", "linear", "loess" or
+     * "bands". See above.
+     */
+    type: PropTypes.oneOf(["movingAverage", "ewma", "linear", "loess", "bands"]),
+
+    /**
+     * The number of points in the window of a "movingAverage", "ewma" or
+     * "bands" trend
+     */
+    window: PropTypes.number,
+
+    /**
+     * The fraction of the points used to fit each point of a "loess" trend
+     */
+    bandwidth: PropTypes.number,
+
+    /**
+     * The number of standard deviations either side of the moving average
+     * for the "bands" trend
+     */
+    sigma: PropTypes.number,
+
+    /**
+     * Whether the trend is computed over the "full" series, or over just
+     * the "visible" events within the chart's time range
+     */
+    range: PropTypes.oneOf(["full", "visible"]),
+
+    /**
+     * The style of the trend line, as `line`, and of the band, as `area`.
+     * Each has a style for the normal, highlighted, selected and muted
+     * states, as for a column of an `<AreaChart>`:
+     *
+     * ```
+     * style = {
+     *     line: { normal: { stroke: "orange", strokeWidth: 2 }, ... },
+     *     area: { normal: { fill: "orange", opacity: 0.2 }, ... }
+     * }
+     * ```
+     *
+     * A `Styler` may be used instead, in which case the line and area styles
+     * of the `column` are used.
+     */
+    style: PropTypes.oneOfType([PropTypes.object, PropTypes.instanceOf(Styler)]),
+
+    /**
+     * Any of D3's interpolation modes, for the trend line and band
+     */
+    interpolation: PropTypes.oneOf([
+        "curveBasis",
+        "curveBasisOpen",
+        "curveBundle",
+        "curveCardinal",
+        "curveCardinalOpen",
+        "curveCatmullRom",
+        "curveCatmullRomOpen",
+        "curveLinear",
+        "curveMonotoneX",
+        "curveMonotoneY",
+        "curveNatural",
+        "curveRadial",
+        "curveStep",
+        "curveStepAfter",
+        "curveStepBefore"
+    ]),
+
+    /**
+     * [Internal] The timeScale supplied by the surrounding ChartContainer
+     */
+    timeScale: PropTypes.func,
+
+    /**
+     * [Internal] The yScale supplied by the associated YAxis
+     */
+    yScale: PropTypes.func,
+
+    /**
+     * [Internal] The width supplied by the surrounding ChartContainer
+     */
+    width: PropTypes.number,
+
+    /**
+     * [Internal] The height supplied by the surrounding ChartContainer
+     */
+    height: PropTypes.number
+};
+
+TrendChart.defaultProps = {
+    visible: true,
+    column: "value",
+    type: "movingAverage",
+    window: 10,
+    bandwidth: 0.3,
+    sigma: 2,
+    range: "full",
+    interpolation: "curveLinear"
+};
@@ -32,6 +32,9 @@ const defaultTextStyleCentered = {
     pointerEvents: "none"
 };
 
+// The spacing of the lines of values, in ems
+const LINE_SPACING = 1.2;
+
 function mergeStyles(style, isCentered) {
     return {
         boxStyle: merge(true, defaultBoxStyle, style.box ? style.box : {}),
@@ -43,6 +46,15 @@ function mergeStyles(style, isCentered) {
     };
 }
 
+/**
+ * The height, in pixels, of each line of values of a ValueList with the
+ * given style, such as the `infoStyle` of an `<EventMarker>`
+ */
+export function lineHeight(style) {
+    const { labelStyle } = mergeStyles(style || {}, false);
+    return parseFloat(labelStyle.fontSize) * LINE_SPACING;
+}
+
 /**
  * Renders a list of values in svg
  *
@@ -63,7 +75,7 @@ const ValueList = props => {
         if (align === "left") {
             return (
                 <g key={i}>
-                    <text x={10} y={5} dy={`${(i + 1) * 1.2}em`} style={labelStyle}>
+                    <text x={10} y={5} dy={`${(i + 1) * LINE_SPACING}em`} style={labelStyle}>
                         <tspan style={{ fontWeight: 700 }}>{`${item.label}: `}</tspan>
                         <tspan>{`${item.value}`}</tspan>
                     </text>
@@ -74,7 +86,7 @@ const ValueList = props => {
         const posx = parseInt(props.width / 2, 10);
         return (
             <g key={i}>
-                <text x={posx} y={5} dy={`${(i + 1) * 1.2}em`} style={labelStyle}>
+                <text x={posx} y={5} dy={`${(i + 1) * LINE_SPACING}em`} style={labelStyle}>
                     <tspan style={{ fontWeight: 700 }}>{`${item.label}: `}</tspan>
                     <tspan>{`${item.value}`}</tspan>
                 </text>
@@ -8,22 +8,17 @@
  *  LICENSE file in the root directory of this source tree.
  */
 
-import "d3-transition";
 import _ from "underscore";
 import merge from "merge";
 import React from "react";
-import ReactDOM from "react-dom"; // eslint-disable-line
 import PropTypes from "prop-types";
 import { range } from "d3-array";
-import { axisLeft, axisRight } from "d3-axis";
-import { easeSinOut } from "d3-ease";
 import { format } from "d3-format";
-import { select } from "d3-selection";
-import "d3-selection-multi";
 
-import { scaleAsString } from "../js/util";
+import { toReactStyle } from "../js/util";
 
 const MARGIN = 0;
+const TICK_PADDING = 3;
 
 const defaultStyle = {
     label: {
@@ -99,98 +94,22 @@ const defaultStyle = {
  *  appear to the left of the charts and the second will appear right of the charts.
  *  Each of the line charts uses its `axis` prop to identify the axis ("aud" or "euro")
  *  it will use for its vertical scale.
+ *
+ * ## Automatic range
+ *
+ * Either `min` or `max` (or both) may be set to "auto", in which case that
+ * end of the axis is set from the data of the charts which use the axis.
+ * Only the events within the current time range are considered, so the
+ * axis rescales, animating over its `transition` time, as the chart is
+ * panned and zoomed. The `includeZero` prop extends the range to include
+ * zero, and `autoPadding` adds space above and below the data as a
+ * fraction of its range:
+ *
+ * ```js
+ * <YAxis id="traffic" min="auto" max="auto" includeZero autoPadding={0.1} />
+ * ```
  */
 export default class YAxis extends React.Component {
-    componentDidMount() {
-        this.renderAxis(
-            this.props.align,
-            this.props.scale,
-            +this.props.width,
-            +this.props.height,
-            this.props.showGrid,
-            +this.props.chartExtent,
-            this.props.hideAxisLine,
-            this.props.absolute,
-            this.props.type,
-            this.props.format,
-            this.props.label,
-            this.props.tickCount,
-            this.props.min,
-            this.props.max
-        );
-    }
-
-    componentWillReceiveProps(nextProps) {
-        const {
-            scale,
-            align,
-            width,
-            height,
-            chartExtent,
-            absolute,
-            format,
-            type,
-            showGrid,
-            hideAxisLine,
-            label,
-            tickCount,
-            min,
-            max
-        } = nextProps;
-
-        if (scaleAsString(this.props.scale) !== scaleAsString(scale)) {
-            this.updateAxis(
-                align,
-                scale,
-                width,
-                height,
-                showGrid,
-                chartExtent,
-                hideAxisLine,
-                absolute,
-                type,
-                format,
-                label,
-                tickCount,
-                min,
-                max
-            );
-        } else if (
-            this.props.format !== format ||
-            this.props.align !== align ||
-            this.props.width !== width ||
-            this.props.height !== height ||
-            this.props.type !== type ||
-            this.props.absolute !== absolute ||
-            this.props.chartExtent !== chartExtent ||
-            this.props.showGrid !== showGrid ||
-            this.props.hideAxisLine !== hideAxisLine
-        ) {
-            this.renderAxis(
-                align,
-                scale,
-                +width,
-                +height,
-                showGrid,
-                chartExtent,
-                hideAxisLine,
-                absolute,
-                type,
-                format,
-                label,
-                tickCount,
-                min,
-                max
-            );
-        } else if (this.props.label !== label) {
-            this.updateLabel(label);
-        }
-    }
-
-    shouldComponentUpdate() {
-        return false;
-    }
-
     yformat(fmt) {
         if (_.isString(fmt)) {
             return format(fmt);
@@ -206,220 +125,105 @@ export default class YAxis extends React.Component {
             labelStyle: merge(
                 true,
                 defaultStyle.label,
-                this.props.style.label ? this.props.style.label : {}
+                this.props.style.label ? toReactStyle(this.props.style.label) : {}
             ),
             valueStyle: merge(
                 true,
                 defaultStyle.values,
-                this.props.style.values ? this.props.style.values : {}
+                this.props.style.values ? toReactStyle(this.props.style.values) : {}
             ),
             axisStyle: merge(
                 true,
                 defaultStyle.axis,
-                this.props.style.axis ? this.props.style.axis : {}
+                this.props.style.axis ? toReactStyle(this.props.style.axis) : {}
             ),
             tickStyle: merge(
                 true,
                 defaultStyle.ticks,
-                this.props.style.ticks ? this.props.style.ticks : {}
+                this.props.style.ticks ? toReactStyle(this.props.style.ticks) : {}
             )
         };
     }
 
-    postSelect(style, hideAxisLine, height) {
-        const { valueStyle, tickStyle, axisStyle } = style;
-        select(ReactDOM.findDOMNode(this))
-            .select("g")
-            .selectAll(".tick")
-            .select("text")
-            .styles(valueStyle);
-
-        select(ReactDOM.findDOMNode(this))
-            .select("g")
-            .selectAll(".tick")
-            .select("line")
-            .styles(tickStyle);
-
-        select(ReactDOM.findDOMNode(this))
-            .select("g")
-            .selectAll(".domain")
-            .remove();
-
-        if (!hideAxisLine) {
-            select(ReactDOM.findDOMNode(this))
-                .select("g")
-                .append("line")
-                .styles(axisStyle)
-                .attr("x1", 0)
-                .attr("y1", 0)
-                .attr("x2", 0)
-                .attr("y2", height);
-        }
-    }
+    /**
+     * Returns the tick values and the function used to format each of
+     * them, based on the axis type, scale, tickCount and min/max props.
+     */
+    ticks() {
+        const { type, absolute, scale, height, tickCount, min, max } = this.props;
+        const yformat = this.yformat(this.props.format);
+        const tickFormat = d => (absolute ? yformat(Math.abs(d)) : yformat(d));
 
-    generator(type, absolute, yformat, axis, scale, height, tickCount, min, max) {
-        let axisGenerator;
         if (type === "linear" || type === "power") {
             if (tickCount > 0) {
                 const stepSize = (max - min) / (tickCount - 1);
-                axisGenerator = axis(scale)
-                    .tickValues(range(min, max + max / 10000, stepSize))
-                    .tickFormat(d => {
-                        if (absolute) {
-                            return yformat(Math.abs(d));
-                        }
-                        return yformat(d);
-                    })
-                    .tickSizeOuter(0);
-            } else {
-                if (height <= 200) {
-                    axisGenerator = axis(scale)
-                        .ticks(4)
-                        .tickFormat(d => {
-                            if (absolute) {
-                                return yformat(Math.abs(d));
-                            }
-                            return yformat(d);
-                        })
-                        .tickSizeOuter(0);
-                } else {
-                    axisGenerator = axis(scale)
-                        .tickFormat(d => {
-                            if (absolute) {
-                                return yformat(Math.abs(d));
-                            }
-                            return yformat(d);
-                        })
-                        .tickSizeOuter(0);
-                }
+                return { values: range(min, max + max / 10000, stepSize), tickFormat };
             }
+            return { values: scale.ticks(+height <= 200 ? 4 : 10), tickFormat };
         } else if (type === "log") {
             if (min === 0) {
                 throw Error("In a log scale, minimum value can't be 0");
             }
-            axisGenerator = axis(scale)
-                .ticks(10, ".2s")
-                .tickSizeOuter(0);
+            return { values: scale.ticks(10), tickFormat: scale.tickFormat(10, ".2s") };
         }
-        return axisGenerator;
+        return { values: [], tickFormat };
     }
 
-    renderAxis(
-        align,
-        scale,
-        width,
-        height,
-        showGrid,
-        chartExtent,
-        hideAxisLine,
-        absolute,
-        type,
-        fmt,
-        label,
-        tickCount,
-        min,
-        max
-    ) {
-        const yformat = this.yformat(fmt);
-        const axis = align === "left" ? axisLeft : axisRight;
-        const style = this.mergeStyles(this.props.style);
-        const { labelStyle, valueStyle } = style;
-        const tickSize = showGrid && this.props.isInnerAxis ? -chartExtent : 5;
-        const x = align === "left" ? width - MARGIN : 0;
-        const labelOffset =
-            align === "left" ? this.props.labelOffset - 50 : 40 + this.props.labelOffset;
-
-        // Axis generator
-        const axisGenerator = this.generator(
-            type,
-            absolute,
-            yformat,
-            axis,
-            scale,
-            height,
-            tickCount,
-            min,
-            max
+    renderTick(d, tickSize, tickFormat, tickStyle, valueStyle) {
+        // While the scale is transitioning, ticks are positioned with the
+        // interpolated scaler supplied by the ChartRow
+        const position = this.props.scaler || this.props.scale;
+        const k = this.props.align === "left" ? -1 : 1;
+        const spacing = Math.max(tickSize, 0) + TICK_PADDING;
+        return (
+            <g key={d} className="tick" transform={`translate(0,${position(d) + 0.5})`}>
+                <line x2={k * tickSize} stroke="currentColor" style={tickStyle} />
+                <text x={k * spacing} dy="0.32em" fill="currentColor" style={valueStyle}>
+                    {tickFormat(d)}
+                </text>
+            </g>
         );
-
-        // Remove the old axis from under this DOM node
-        select(ReactDOM.findDOMNode(this))
-            .selectAll("*")
-            .remove();
-
-        // Add the new axis
-        this.axis = select(ReactDOM.findDOMNode(this))
-            .append("g")
-            .attr("transform", `translate(${x},0)`)
-            .attr("class", "yaxis")
-            .styles(valueStyle)
-            .call(axisGenerator.tickSize(tickSize))
-            .append("text")
-            .text(label || this.props.label)
-            .styles(labelStyle)
-            .attr("transform", "rotate(-90)")
-            .attr("class", "yaxislabel")
-            .attr("y", labelOffset)
-            .attr("dy", ".71em")
-            .attr("text-anchor", "end");
-
-        this.postSelect(style, hideAxisLine, height);
     }
 
-    updateAxis(
-        align,
-        scale,
-        width,
-        height,
-        showGrid,
-        chartExtent,
-        hideAxisLine,
-        absolute,
-        type,
-        fmt,
-        label,
-        tickCount,
-        min,
-        max
-    ) {
-        const yformat = this.yformat(fmt);
-        const axis = align === "left" ? axisLeft : axisRight;
-        const style = this.mergeStyles(this.props.style);
+    render() {
+        const { align, width, height, showGrid, chartExtent, hideAxisLine, label } = this.props;
+        const { labelStyle, valueStyle, axisStyle, tickStyle } = this.mergeStyles(this.props.style);
         const tickSize = showGrid && this.props.isInnerAxis ? -chartExtent : 5;
-
-        const axisGenerator = this.generator(
-            type,
-            absolute,
-            yformat,
-            axis,
-            scale,
-            height,
-            tickCount,
-            min,
-            max
+        const x = align === "left" ? +width - MARGIN : 0;
+        const labelOffset =
+            align === "left" ? this.props.labelOffset - 50 : 40 + this.props.labelOffset;
+        const { values, tickFormat } = this.ticks();
+
+        return (
+            <g>
+                <g
+                    className="yaxis"
+                    transform={`translate(${x},0)`}
+                    fill="none"
+                    fontSize={10}
+                    fontFamily="sans-serif"
+                    textAnchor={align === "left" ? "end" : "start"}
+                    style={valueStyle}
+                >
+                    {values.map(d =>
+                        this.renderTick(d, tickSize, tickFormat, tickStyle, valueStyle)
+                    )}
+                    <text
+                        className="yaxislabel"
+                        transform="rotate(-90)"
+                        y={labelOffset}
+                        dy=".71em"
+                        textAnchor="end"
+                        style={labelStyle}
+                    >
+                        {label}
+                    </text>
+                    {!hideAxisLine ? (
+                        <line style={axisStyle} x1={0} y1={0} x2={0} y2={+height} />
+                    ) : null}
+                </g>
+            </g>
         );
-
-        // Transition the existing axis
-        select(ReactDOM.findDOMNode(this))
-            .select(".yaxis")
-            .transition()
-            .duration(this.props.transition)
-            .ease(easeSinOut)
-            .call(axisGenerator.tickSize(tickSize));
-
-        this.updateLabel(label);
-
-        this.postSelect(style, hideAxisLine, height);
-    }
-
-    updateLabel(label) {
-        select(ReactDOM.findDOMNode(this))
-            .select(".yaxislabel")
-            .text(label);
-    }
-
-    render() {
-        return <g />;
     }
 }
 
@@ -432,6 +236,8 @@ YAxis.defaultProps = {
     hideAxisLine: false,
     type: "linear", // linear, log, or power
     absolute: false, // Display scale always positive
+    autoPadding: 0,
+    includeZero: false,
     format: ".2s", // Format string for d3.format
     labelOffset: 0, // Offset the label position
     transition: 100, // Axis transition time
@@ -463,13 +269,26 @@ YAxis.propTypes = {
 
     /**
      * Minimum value, which combined with "max", define the scale of the axis.
+     * May be "auto" to use the minimum of the data within the time range.
      */
-    min: PropTypes.number.isRequired, // eslint-disable-line
+    min: PropTypes.oneOfType([PropTypes.number, PropTypes.oneOf(["auto"])]).isRequired, // eslint-disable-line
 
     /**
      * Maximum value, which combined with "min", define the scale of the axis.
+     * May be "auto" to use the maximum of the data within the time range.
+     */
+    max: PropTypes.oneOfType([PropTypes.number, PropTypes.oneOf(["auto"])]).isRequired, // eslint-disable-line
+
+    /**
+     * When `min` or `max` is "auto", the space to leave beyond the data, as
+     * a fraction of the range of the data. e.g. 0.1 pads by 10%.
+     */
+    autoPadding: PropTypes.number, // eslint-disable-line
+
+    /**
+     * When `min` or `max` is "auto", extend the range to include zero
      */
-    max: PropTypes.number.isRequired, // eslint-disable-line
+    includeZero: PropTypes.bool, // eslint-disable-line
 
     /**
      * A d3 scale for the y-axis which you can use to transform your data in the y direction.
@@ -487,8 +306,8 @@ YAxis.propTypes = {
      * "label", "values", "axis" and "ticks". Each of these is an inline CSS style applied
      * to the axis label, axis values, axis line and ticks respectively.
      *
-     * Note that these are passed into d3's styling, so are regular CSS property names
-     * and not React's camel case names (e.g. "stroke-dasharray" not strokeDasharray).
+     * Either React's camel case names (e.g. strokeDasharray) or regular CSS property
+     * names (e.g. "stroke-dasharray") may be used.
      */
     style: PropTypes.shape({
         label: PropTypes.object, // eslint-disable-line
@@ -548,6 +367,12 @@ YAxis.propTypes = {
      */
     scale: PropTypes.func,
 
+    /**
+     * [Internal] The animated scaler supplied by the ChartRow, used to
+     * position the ticks while the scale transitions
+     */
+    scaler: PropTypes.func,
+
     /**
      * [Internal] The height supplied by the surrounding ChartContainer
      */
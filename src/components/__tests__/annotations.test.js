@@ -0,0 +1,172 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import React from "react";
+import ReactDOMServer from "react-dom/server";
+import { scaleLinear, scaleTime } from "d3-scale";
+import { TimeRange } from "pondjs";
+
+import Annotations from "../Annotations";
+import ChartContainer from "../ChartContainer";
+import ChartRow from "../ChartRow";
+import Charts from "../Charts";
+import YAxis from "../YAxis";
+import { elements } from "./markup";
+
+const begin = Date.UTC(2018, 0, 1);
+const HOUR = 60 * 60 * 1000;
+
+// Two hours over the 520 pixels of the chart, so that an hour is 260
+// pixels, and a y axis from 0 to 10 over its 100 pixels
+const timeRange = new TimeRange(begin, begin + 2 * HOUR);
+const timeScale = scaleTime()
+    .domain([new Date(begin), new Date(begin + 2 * HOUR)])
+    .range([0, 520]);
+const yScale = scaleLinear()
+    .domain([0, 10])
+    .range([100, 0]);
+
+const note = { id: "n", type: "note", time: begin + HOUR, value: 5, text: "peak", dy: -12 };
+const arrow = { id: "a", type: "arrow", time: begin + HOUR, value: 5, text: "up", dx: 40, dy: -40 };
+const callout = { id: "c", type: "callout", time: begin, value: 2, text: "low", dx: 30, dy: -50 };
+
+function render(annotations) {
+    return ReactDOMServer.renderToStaticMarkup(
+        <ChartContainer timeRange={timeRange} width={600} utc>
+            <ChartRow height={100} axisMargin={0}>
+                <YAxis id="y" min={0} max={10} />
+                <Charts>
+                    <Annotations axis="y" annotations={annotations} />
+                </Charts>
+            </ChartRow>
+        </ChartContainer>
+    );
+}
+
+// An editable Annotations, outside of React, which keeps its state and is
+// given its annotations back as each change is made
+function editable(annotations) {
+    const chart = new Annotations({
+        ...Annotations.defaultProps,
+        axis: "y",
+        annotations,
+        editable: true,
+        timeScale,
+        yScale,
+        width: 520,
+        height: 100,
+        onAnnotationsChange: changed => {
+            chart.props = { ...chart.props, annotations: changed };
+        }
+    });
+    chart.updater = {
+        enqueueSetState: (instance, state) => Object.assign(instance.state, state)
+    };
+    return chart;
+}
+
+function keyDown(key, shiftKey = false) {
+    return { key, shiftKey, preventDefault: () => {}, stopPropagation: () => {} };
+}
+
+describe("Annotations", () => {
+    it("draws a note as its text above a dot at its anchor", () => {
+        const markup = render([note]);
+        const [text] = elements(markup, "text").filter(t => t["dominant-baseline"]);
+        assert.deepEqual([text.x, text.y], ["260", "38"]);
+        const [circle] = elements(markup, "circle");
+        assert.deepEqual([circle.cx, circle.cy, circle.r], ["260", "50", "2.5"]);
+        assert(markup.includes(">peak</tspan>"));
+    });
+
+    it("draws an arrow from the edge of its text to its anchor", () => {
+        const markup = render([arrow]);
+        const [line] = elements(markup, "line").filter(l => l.x1 !== undefined && l.x2 === "260");
+        assert.deepEqual([line.x1, line.y1, line.x2, line.y2].map(Number).map(v => +v.toFixed(1)), [
+            289.4,
+            20.6,
+            260,
+            50
+        ]);
+        assert.equal(elements(markup, "circle").length, 0);
+        const head = elements(markup, "path").find(p => p.d.startsWith("M260,50L"));
+        assert(head, "no arrow head at the anchor");
+    });
+
+    it("draws a callout as its text in a box", () => {
+        const markup = render([callout]);
+        const box = elements(markup, "rect").find(r => r.style.includes("fill:white"));
+        const w = (3 * 11 * 0.6) / 2 + 4;
+        const h = (11 * 1.2) / 2 + 4;
+        assert.deepEqual([box.x, box.y, box.width, box.height].map(Number), [
+            30 - w,
+            30 - h,
+            w * 2,
+            h * 2
+        ]);
+    });
+
+    it("shows the anchor and a delete button for a selected annotation", () => {
+        const chart = editable([arrow]);
+        chart.state.selected = "a";
+        const markup = ReactDOMServer.renderToStaticMarkup(<svg>{chart.render()}</svg>);
+        const circles = elements(markup, "circle");
+        assert.deepEqual([circles[0].cx, circles[0].cy, circles[0].r], ["260", "50", "4"]);
+        assert.equal(circles.length, 2);
+    });
+
+    it("moves the text of a selected annotation with the arrow keys", () => {
+        const chart = editable([arrow]);
+        chart.handleKeyDown(keyDown("ArrowRight"), "a");
+        chart.handleKeyDown(keyDown("ArrowUp", true), "a");
+        const [moved] = chart.props.annotations;
+        assert.deepEqual([moved.dx, moved.dy, moved.time, moved.value], [41, -50, arrow.time, 5]);
+    });
+
+    it("moves the anchor of an arrow, keeping its text where it is", () => {
+        const chart = editable([arrow]);
+        chart.move(arrow, "anchor", 26, 10);
+        const [moved] = chart.props.annotations;
+        assert.equal(moved.time, begin + HOUR + 6 * 60 * 1000);
+        assert.equal(moved.value, 4);
+        assert.deepEqual([moved.dx, moved.dy], [14, -50]);
+    });
+
+    it("moves the whole of a note by its text", () => {
+        const chart = editable([note]);
+        chart.move(note, "label", 0, -10);
+        const [moved] = chart.props.annotations;
+        assert.deepEqual([moved.value, moved.dy], [6, -12]);
+    });
+
+    it("edits the text of an annotation, removing it if the text is cleared", () => {
+        const chart = editable([note, arrow]);
+        chart.handleKeyDown(keyDown("Enter"), "n");
+        assert.deepEqual([chart.state.editing, chart.state.text], ["n", "peak"]);
+        chart.handleTextChange({ target: { value: "summit" } });
+        chart.finishEditing();
+        assert.equal(chart.props.annotations[0].text, "summit");
+        assert.equal(chart.state.editing, null);
+
+        chart.startEditing("a");
+        chart.handleTextChange({ target: { value: " " } });
+        chart.finishEditing();
+        assert.deepEqual(chart.props.annotations.map(a => a.id), ["n"]);
+    });
+
+    it("deletes a selected annotation with the Delete key", () => {
+        const chart = editable([note, arrow]);
+        chart.state.selected = "n";
+        chart.handleKeyDown(keyDown("Delete"), "n");
+        assert.deepEqual(chart.props.annotations.map(a => a.id), ["a"]);
+        assert.equal(chart.state.selected, null);
+    });
+});
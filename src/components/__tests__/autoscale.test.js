@@ -0,0 +1,92 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import _ from "underscore";
+import React from "react";
+import ReactDOMServer from "react-dom/server";
+import { TimeRange, TimeSeries } from "pondjs";
+
+import AreaChart from "../AreaChart";
+import ChartContainer from "../ChartContainer";
+import ChartRow from "../ChartRow";
+import Charts from "../Charts";
+import LineChart from "../LineChart";
+import YAxis from "../YAxis";
+import styler from "../../js/styler";
+
+const begin = Date.UTC(2018, 0, 1);
+const HOUR = 60 * 60 * 1000;
+
+// Rising from 20 to 44 over the day, with "b" twice "a"
+const series = new TimeSeries({
+    name: "rising",
+    columns: ["time", "a", "b"],
+    points: _.range(25).map(i => [begin + i * HOUR, 20 + i, 40 + 2 * i])
+});
+
+const morning = new TimeRange(begin, begin + 6 * HOUR);
+
+const line = <LineChart axis="y" series={series} columns={["a"]} />;
+
+// The markup of the chart, with the ids of its clip paths, which differ
+// between renders, left out
+function render(chart, axisProps, timeRange = series.range()) {
+    const markup = ReactDOMServer.renderToStaticMarkup(
+        <ChartContainer timeRange={timeRange} width={600} utc>
+            <ChartRow height={200}>
+                <YAxis id="y" format=",.0f" {...axisProps} />
+                <Charts>{chart}</Charts>
+            </ChartRow>
+        </ChartContainer>
+    );
+    return markup.replace(/clip_\d+/g, "clip");
+}
+
+// Asserts that the chart is drawn with an axis from min to max when the
+// axis has an automatic min and max
+function assertAutoRange(chart, [min, max], axisProps = {}, timeRange = undefined) {
+    assert.equal(
+        render(chart, { min: "auto", max: "auto", ...axisProps }, timeRange),
+        render(chart, { min, max }, timeRange)
+    );
+}
+
+describe("YAxis with an automatic min and max", () => {
+    it("fits the axis to the data", () => {
+        assertAutoRange(line, [20, 44]);
+    });
+
+    it("fits the axis to just the data within the time range", () => {
+        assertAutoRange(line, [20, 26], {}, morning);
+        assert.notEqual(
+            render(line, { min: "auto", max: "auto" }, morning),
+            render(line, { min: 20, max: 44 }, morning)
+        );
+    });
+
+    it("includes zero and pads the range when asked to", () => {
+        assertAutoRange(line, [0, 44], { includeZero: true });
+        assertAutoRange(line, [8, 56], { autoPadding: 0.5 });
+    });
+
+    it("fits the axis to the total of a stacked AreaChart", () => {
+        const area = (
+            <AreaChart
+                axis="y"
+                series={series}
+                columns={{ up: ["a", "b"] }}
+                style={styler(["a", "b"])}
+                stack
+            />
+        );
+        assertAutoRange(area, [0, 132]);
+    });
+});
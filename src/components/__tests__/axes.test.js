@@ -0,0 +1,60 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import React from "react";
+import ReactDOMServer from "react-dom/server";
+import { TimeSeries } from "pondjs";
+
+import ChartContainer from "../ChartContainer";
+import ChartRow from "../ChartRow";
+import Charts from "../Charts";
+import LineChart from "../LineChart";
+import YAxis from "../YAxis";
+import { tickLabels, tickLength } from "./markup";
+
+const series = new TimeSeries({
+    name: "traffic",
+    columns: ["time", "value"],
+    points: [[Date.UTC(2018, 0, 1), 1], [Date.UTC(2018, 0, 2), 2]]
+});
+
+function render(yAxisProps = {}) {
+    return ReactDOMServer.renderToStaticMarkup(
+        <ChartContainer timeRange={series.range()} width={600} utc>
+            <ChartRow height={150}>
+                <YAxis id="y" min={0} max={10} format=",.0f" {...yAxisProps} />
+                <Charts>
+                    <LineChart axis="y" series={series} columns={["value"]} />
+                </Charts>
+            </ChartRow>
+        </ChartContainer>
+    );
+}
+
+describe("Server rendered axes", () => {
+    it("draws the ticks and labels of the YAxis", () => {
+        const markup = render({ label: "Traffic" });
+        assert.deepEqual(tickLabels(markup, "yaxis"), ["0", "2", "4", "6", "8", "10"]);
+        assert(/class="yaxislabel"[^>]*>Traffic<\/text>/.test(markup));
+    });
+
+    it("draws the ticks and labels of the TimeAxis", () => {
+        const labels = tickLabels(render(), "x axis");
+        assert(labels.length > 2);
+        assert.equal(labels[0], "2018");
+        assert(labels.indexOf("12 PM") > 0);
+    });
+
+    it("draws the grid lines of the YAxis across the chart", () => {
+        assert(tickLength(render(), "yaxis") < 10);
+        assert(tickLength(render({ showGrid: true }), "yaxis") > 400);
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import React from "react";
+import ReactDOMServer from "react-dom/server";
+import { TimeSeries } from "pondjs";
+
+import BarChart from "../BarChart";
+import ChartContainer from "../ChartContainer";
+import ChartRow from "../ChartRow";
+import Charts from "../Charts";
+import YAxis from "../YAxis";
+import styler from "../../js/styler";
+import { elements, styleOf } from "./markup";
+
+// Two days, each 260 pixels wide in a 520 pixel wide chart
+const series = new TimeSeries({
+    name: "traffic",
+    columns: ["index", "in", "out"],
+    points: [["1d-17532", 2, 4], ["1d-17533", 6, 2]]
+});
+
+const style = styler([{ key: "in", color: "#ff0000" }, { key: "out", color: "#0000ff" }]);
+
+// The x, width, y and height of each bar of the column, with a y axis from
+// 0 to 10 over the 100 pixels of the row
+function bars(markup, color) {
+    return elements(markup, "rect")
+        .filter(rect => styleOf(rect, "fill") === color)
+        .map(rect => ["x", "width", "y", "height"].map(name => parseFloat(rect[name])));
+}
+
+function render(props) {
+    const markup = ReactDOMServer.renderToStaticMarkup(
+        <ChartContainer timeRange={series.range()} width={600} utc>
+            <ChartRow height={100} axisMargin={0}>
+                <YAxis id="y" min={0} max={10} />
+                <Charts>
+                    <BarChart
+                        axis="y"
+                        series={series}
+                        columns={["in", "out"]}
+                        style={style}
+                        minBarHeight={0}
+                        {...props}
+                    />
+                </Charts>
+            </ChartRow>
+        </ChartContainer>
+    );
+    return { in: bars(markup, "#ff0000"), out: bars(markup, "#0000ff") };
+}
+
+describe("BarChart layout", () => {
+    it("stacks the columns of each event", () => {
+        assert.deepEqual(render(), {
+            in: [[1, 258, 80, 20], [261, 258, 40, 60]],
+            out: [[1, 258, 40, 40], [261, 258, 20, 20]]
+        });
+    });
+
+    it("places grouped columns side by side, with the spacing between them", () => {
+        assert.deepEqual(render({ layout: "grouped" }), {
+            in: [[1, 128.5, 80, 20], [261, 128.5, 40, 60]],
+            out: [[130.5, 128.5, 60, 40], [390.5, 128.5, 80, 20]]
+        });
+    });
+
+    it("centers grouped bars of a given size within the event", () => {
+        assert.deepEqual(render({ layout: "grouped", size: 20, spacing: 10 }), {
+            in: [[105, 20, 80, 20], [365, 20, 40, 60]],
+            out: [[135, 20, 60, 40], [395, 20, 80, 20]]
+        });
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import React from "react";
+import ReactDOMServer from "react-dom/server";
+import { TimeSeries } from "pondjs";
+
+import CandlestickChart from "../CandlestickChart";
+import ChartContainer from "../ChartContainer";
+import ChartRow from "../ChartRow";
+import Charts from "../Charts";
+import YAxis from "../YAxis";
+import styler from "../../js/styler";
+import { elements, styleOf } from "./markup";
+
+// Two days, each 260 pixels wide in a 520 pixel wide chart, the first
+// closing up and the second down
+const series = new TimeSeries({
+    name: "prices",
+    columns: ["index", "open", "high", "low", "close"],
+    points: [["1d-17532", 2, 8, 1, 6], ["1d-17533", 5, 6, 2, 3]]
+});
+
+// The default colors of the up and down candles
+const COLORS = ["#4CAF50", "#E53935"];
+
+// The markup of the chart, with the ids of its clip paths, which differ
+// between renders, left out
+function render(props = {}, axisProps = { min: 0, max: 10 }) {
+    const markup = ReactDOMServer.renderToStaticMarkup(
+        <ChartContainer timeRange={series.range()} width={600} utc>
+            <ChartRow height={100} axisMargin={0}>
+                <YAxis id="y" {...axisProps} />
+                <Charts>
+                    <CandlestickChart axis="y" series={series} {...props} />
+                </Charts>
+            </ChartRow>
+        </ChartContainer>
+    );
+    return markup.replace(/clip_\d+/g, "clip");
+}
+
+// The wick of each candle, as [x, top, bottom], and its body, as
+// [x, y, width, height, fill], with a y axis from 0 to 10 over the 100
+// pixels of the row
+function candles(markup) {
+    const isCandle = element => COLORS.includes(styleOf(element, "stroke"));
+    const wicks = elements(markup, "line")
+        .filter(isCandle)
+        .map(line => [line.x1, line.y1, line.y2].map(Number));
+    const bodies = elements(markup, "rect")
+        .filter(isCandle)
+        .map(rect => [
+            ...["x", "y", "width", "height"].map(name => Number(rect[name])),
+            styleOf(rect, "fill")
+        ]);
+    return { wicks, bodies };
+}
+
+describe("CandlestickChart", () => {
+    it("draws a wick from the high to the low and a body from the open to the close", () => {
+        assert.deepEqual(candles(render()), {
+            wicks: [[130, 20, 90], [390, 40, 80]],
+            bodies: [[1, 40, 258, 40, "#4CAF50"], [261, 50, 258, 20, "#E53935"]]
+        });
+    });
+
+    it("draws candles of a given size, centered within the day", () => {
+        const { bodies } = candles(render({ size: 20 }));
+        assert.deepEqual(bodies.map(([x, , width]) => [x, width]), [[120, 20], [380, 20]]);
+    });
+
+    it("colors the candles with the 'up' and 'down' colors of a Styler", () => {
+        const style = styler([{ key: "up", color: "#0000ff" }, { key: "down", color: "#ff0000" }]);
+        const fills = elements(render({ style }), "rect")
+            .map(rect => styleOf(rect, "fill"))
+            .filter(fill => fill === "#0000ff" || fill === "#ff0000");
+        assert.deepEqual(fills, ["#0000ff", "#ff0000"]);
+    });
+
+    it("fits an automatic axis from the lowest low to the highest high", () => {
+        assert.equal(render({}, { min: "auto", max: "auto" }), render({}, { min: 1, max: 8 }));
+    });
+});
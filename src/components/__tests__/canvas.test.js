@@ -0,0 +1,159 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import React from "react";
+import ReactDOMServer from "react-dom/server";
+import { scaleLinear, scaleTime } from "d3-scale";
+import { TimeSeries } from "pondjs";
+
+import ChartContainer from "../ChartContainer";
+import ChartRow from "../ChartRow";
+import Charts from "../Charts";
+import LineChart from "../LineChart";
+import ScatterChart from "../ScatterChart";
+import YAxis from "../YAxis";
+import { elements, styleOf } from "./markup";
+
+const begin = Date.UTC(2018, 0, 1);
+const HOUR = 60 * 60 * 1000;
+
+// Three hourly points, 260 pixels apart, with a y axis from 0 to 10 over
+// the 100 pixels of the row
+const series = new TimeSeries({
+    name: "traffic",
+    columns: ["time", "value"],
+    points: [[begin, 2], [begin + HOUR, 6], [begin + 2 * HOUR, 4]]
+});
+
+const timeScale = scaleTime()
+    .domain([new Date(begin), new Date(begin + 2 * HOUR)])
+    .range([0, 520]);
+const yScale = scaleLinear()
+    .domain([0, 10])
+    .range([100, 0]);
+
+function render(chart) {
+    return ReactDOMServer.renderToStaticMarkup(
+        <ChartContainer timeRange={series.range()} width={600} utc>
+            <ChartRow height={100} axisMargin={0}>
+                <YAxis id="y" min={0} max={10} />
+                <Charts>{chart}</Charts>
+            </ChartRow>
+        </ChartContainer>
+    );
+}
+
+// A 2d context which records the calls made on it, along with the style
+// each path is filled or stroked with
+function recordingContext() {
+    const calls = [];
+    const context = { calls };
+    ["setTransform", "clearRect", "beginPath", "moveTo", "lineTo", "arc", "setLineDash"].forEach(
+        name => {
+            context[name] = (...args) => calls.push([name, ...args]);
+        }
+    );
+    context.fill = () => calls.push(["fill", context.fillStyle]);
+    context.stroke = () => calls.push(["stroke", context.strokeStyle, context.lineWidth]);
+    return context;
+}
+
+// Draws the chart, given its props, into a canvas with a recording context,
+// returning the chart, the canvas and the calls made
+function draw(ChartClass, props) {
+    const context = recordingContext();
+    const canvas = { width: 300, height: 150, getContext: () => context };
+    const chart = new ChartClass({
+        ...ChartClass.defaultProps,
+        series,
+        timeScale,
+        yScale,
+        width: 520,
+        height: 100,
+        renderer: "canvas",
+        ...props
+    });
+    chart.canvas = canvas;
+    chart.drawCanvas();
+    return { chart, canvas, calls: context.calls };
+}
+
+describe("Canvas rendering", () => {
+    before(() => {
+        global.window = { devicePixelRatio: 2 };
+    });
+
+    after(() => {
+        delete global.window;
+    });
+
+    it("renders a canvas the size of the chart in place of the SVG lines", () => {
+        const markup = render(
+            <LineChart axis="y" series={series} columns={["value"]} renderer="canvas" />
+        );
+        const [foreignObject] = elements(markup, "foreignObject");
+        assert.equal(foreignObject.width, "520");
+        assert.equal(foreignObject.height, "100");
+        const [canvas] = elements(markup, "canvas");
+        assert.equal(styleOf(canvas, "width"), "520px");
+        assert.equal(styleOf(canvas, "height"), "100px");
+        assert(!elements(markup, "path").some(path => styleOf(path, "stroke") === "steelblue"));
+    });
+
+    it("renders a canvas in place of the SVG circles of a ScatterChart", () => {
+        const svg = render(<ScatterChart axis="y" series={series} columns={["value"]} />);
+        const canvas = render(
+            <ScatterChart axis="y" series={series} columns={["value"]} renderer="canvas" />
+        );
+        assert.equal(elements(svg, "circle").length, 3);
+        assert.equal(elements(canvas, "circle").length, 0);
+        assert.equal(elements(canvas, "canvas").length, 1);
+    });
+
+    it("sizes the canvas to the device pixel ratio and draws in CSS pixels", () => {
+        const { canvas, calls } = draw(LineChart, { columns: ["value"] });
+        assert.equal(canvas.width, 1040);
+        assert.equal(canvas.height, 200);
+        assert.deepEqual(calls[0], ["setTransform", 2, 0, 0, 2, 0, 0]);
+    });
+
+    it("draws each line in its style", () => {
+        const { calls } = draw(LineChart, { columns: ["value"] });
+        const path = calls.filter(([name]) => ["moveTo", "lineTo", "stroke"].includes(name));
+        assert.deepEqual(path, [
+            ["moveTo", 0, 80],
+            ["lineTo", 260, 40],
+            ["lineTo", 520, 60],
+            ["stroke", "steelblue", 1]
+        ]);
+    });
+
+    it("finds the line nearest the cursor for hovering and clicking", () => {
+        const { chart } = draw(LineChart, { columns: ["value"] });
+        assert.equal(chart.columnNear(130, 60), "value");
+        assert.equal(chart.columnNear(130, 90), null);
+    });
+
+    it("draws each point of a ScatterChart as a circle", () => {
+        const { chart, calls } = draw(ScatterChart, { columns: ["value"], radius: 3 });
+        const arcs = calls.filter(([name]) => name === "arc");
+        assert.deepEqual(arcs, [
+            ["arc", 0, 80, 3, 0, 2 * Math.PI],
+            ["arc", 260, 40, 3, 0, 2 * Math.PI],
+            ["arc", 520, 60, 3, 0, 2 * Math.PI]
+        ]);
+        assert.deepEqual(chart.canvasPoints.map(({ x, y }) => [x, y]), [
+            [0, 80],
+            [260, 40],
+            [520, 60]
+        ]);
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import React from "react";
+import ReactDOMServer from "react-dom/server";
+import { TimeSeries } from "pondjs";
+
+import ChartContainer from "../ChartContainer";
+import ChartRow from "../ChartRow";
+import Charts from "../Charts";
+import LineChart from "../LineChart";
+import ScatterChart from "../ScatterChart";
+import YAxis from "../YAxis";
+import styler from "../../js/styler";
+import { elements, styleOf } from "./markup";
+
+const begin = Date.UTC(2018, 0, 1);
+const HOUR = 60 * 60 * 1000;
+
+// Five hourly points, 130 pixels apart, the third without a range
+const series = new TimeSeries({
+    name: "temperature",
+    columns: ["time", "value", "low", "high"],
+    points: [
+        [begin, 5, 4, 6],
+        [begin + HOUR, 5, 3, 7],
+        [begin + 2 * HOUR, 5, null, null],
+        [begin + 3 * HOUR, 5, 2, 9],
+        [begin + 4 * HOUR, 5, 4, 8]
+    ]
+});
+
+const style = styler([{ key: "value", color: "#ff0000" }]);
+
+// The paths of the error bars and ribbons, with a y axis from 0 to 10 over
+// the 100 pixels of the row
+function errorPaths(chart, axisProps = { min: 0, max: 10 }) {
+    const markup = ReactDOMServer.renderToStaticMarkup(
+        <ChartContainer timeRange={series.range()} width={600} utc>
+            <ChartRow height={100} axisMargin={0}>
+                <YAxis id="y" {...axisProps} />
+                <Charts>{chart}</Charts>
+            </ChartRow>
+        </ChartContainer>
+    );
+    const group = markup.match(/<g pointer-events="none">.*?<\/g>/);
+    return group ? elements(group[0], "path") : [];
+}
+
+function lineChart(errors) {
+    return <LineChart axis="y" series={series} columns={["value"]} style={style} errors={errors} />;
+}
+
+describe("Error bars", () => {
+    it("draws a capped bar from the low to the high value of each point", () => {
+        const paths = errorPaths(lineChart({ value: { low: "low", high: "high" } }));
+        assert.deepEqual(paths.map(path => path.d), [
+            "M0,60L0,40M-3,60L3,60M-3,40L3,40",
+            "M130,70L130,30M127,70L133,70M127,30L133,30",
+            "M390,80L390,10M387,80L393,80M387,10L393,10",
+            "M520,60L520,20M517,60L523,60M517,20L523,20"
+        ]);
+        assert.equal(styleOf(paths[0], "stroke"), "#ff0000");
+    });
+
+    it("draws bars without caps for a capWidth of 0", () => {
+        const paths = errorPaths(lineChart({ value: { low: "low", high: "high", capWidth: 0 } }));
+        assert.equal(paths[0].d, "M0,60L0,40");
+    });
+
+    it("draws a ribbon between the low and high values, broken where they are missing", () => {
+        const paths = errorPaths(
+            lineChart({ value: { low: "low", high: "high", display: "ribbon" } })
+        );
+        assert.deepEqual(paths.map(path => path.d), [
+            "M0,40L130,30L130,70L0,60Z",
+            "M390,10L520,20L520,60L390,80Z"
+        ]);
+        assert.equal(styleOf(paths[0], "fill"), "#ff0000");
+        assert.equal(styleOf(paths[0], "opacity"), "0.25");
+    });
+
+    it("includes the ranges in an automatic axis", () => {
+        const errors = { value: { low: "low", high: "high" } };
+        assert.deepEqual(
+            errorPaths(lineChart(errors), { min: "auto", max: "auto" }),
+            errorPaths(lineChart(errors), { min: 2, max: 9 })
+        );
+    });
+
+    it("draws the same error bars under the points of a ScatterChart", () => {
+        const errors = { value: { low: "low", high: "high" } };
+        const scatter = (
+            <ScatterChart
+                axis="y"
+                series={series}
+                columns={["value"]}
+                style={style}
+                errors={errors}
+            />
+        );
+        assert.deepEqual(errorPaths(scatter), errorPaths(lineChart(errors)));
+    });
+
+    it("leaves the error bars to the canvas when rendering to one", () => {
+        const errors = { value: { low: "low", high: "high" } };
+        const scatter = (
+            <ScatterChart
+                axis="y"
+                series={series}
+                columns={["value"]}
+                style={style}
+                errors={errors}
+                renderer="canvas"
+            />
+        );
+        assert.deepEqual(errorPaths(scatter), []);
+    });
+});
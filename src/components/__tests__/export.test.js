@@ -0,0 +1,153 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import React from "react";
+import ReactDOMServer from "react-dom/server";
+import { JSDOM } from "jsdom";
+import { TimeSeries } from "pondjs";
+
+import ChartContainer from "../ChartContainer";
+import ChartRow from "../ChartRow";
+import Charts from "../Charts";
+import Legend from "../Legend";
+import LineChart from "../LineChart";
+import YAxis from "../YAxis";
+import { serializeSvg } from "../../js/export";
+import { elements, styleOf } from "./markup";
+
+const series = new TimeSeries({
+    name: "traffic",
+    columns: ["time", "in"],
+    points: [[Date.UTC(2018, 0, 1), 1], [Date.UTC(2018, 0, 2), 3]]
+});
+
+// A chart 600 pixels wide and, with its time axis, 135 high
+function chart(props = {}) {
+    return (
+        <ChartContainer timeRange={series.range()} width={600}>
+            <ChartRow height={100} axisMargin={0}>
+                <YAxis id="y" min={0} max={10} />
+                <Charts>
+                    <LineChart axis="y" series={series} columns={["in"]} {...props} />
+                </Charts>
+            </ChartRow>
+        </ChartContainer>
+    );
+}
+
+const legend = <Legend type="line" categories={[{ key: "in", label: "In" }]} />;
+
+// Places the element at the box, relative to the page
+function place(element, left, top, width, height) {
+    element.getBoundingClientRect = () => ({
+        left,
+        top,
+        width,
+        height,
+        right: left + width,
+        bottom: top + height
+    });
+}
+
+// Renders the chart, with the props of its line, and the legend below it,
+// into a page and exports it
+function exportChart(options = {}, props = {}) {
+    document.body.innerHTML = ReactDOMServer.renderToStaticMarkup(
+        <div>
+            {chart(props)}
+            <div className="legend">{legend}</div>
+        </div>
+    );
+    const svg = document.querySelector("svg");
+    place(svg, 10, 10, 600, 135);
+    document.querySelectorAll("canvas").forEach(canvas => {
+        canvas.toDataURL = () => "data:image/png;base64,AAAA";
+    });
+    const legendNode = document.querySelector(".legend");
+    place(legendNode, 10, 145, 300, 20);
+    const legends = options.legends ? [legendNode] : [];
+    return serializeSvg(svg, { ...options, legends });
+}
+
+describe("Export", () => {
+    before(() => {
+        // jsdom neither computes the style of svg elements nor serializes
+        // them, so each element's style attribute is taken as its computed
+        // style, and its markup as its serialization
+        const { window } = new JSDOM("<!DOCTYPE html><body></body>");
+        window.getComputedStyle = element => ({
+            getPropertyValue: name => styleOf({ style: element.getAttribute("style") }, name) || ""
+        });
+        window.XMLSerializer = class {
+            serializeToString(node) {
+                return node.outerHTML;
+            }
+        };
+        global.window = window;
+        global.document = window.document;
+    });
+
+    after(() => {
+        delete global.window;
+        delete global.document;
+    });
+
+    it("exports a standalone svg the size of the chart, on a background", () =>
+        exportChart().then(svg => {
+            const [root] = elements(svg, "svg");
+            assert.equal(root.xmlns, "http://www.w3.org/2000/svg");
+            assert.deepEqual(
+                [root.width, root.height, root.viewBox],
+                ["600", "135", "0 0 600 135"]
+            );
+            assert.equal(root.style, undefined);
+
+            const [background] = elements(svg, "rect");
+            assert.deepEqual([background.width, background.height], ["600", "135"]);
+            assert.equal(styleOf(background, "fill"), "white");
+        }));
+
+    it("keeps the style of each element inline", () =>
+        exportChart().then(svg => {
+            const line = elements(svg, "path").find(
+                path => styleOf(path, "stroke") === "steelblue"
+            );
+            assert(line, "no line in the export");
+            assert.equal(styleOf(line, "fill"), "none");
+        }));
+
+    it("leaves out the background when it is null", () =>
+        Promise.all([exportChart(), exportChart({ background: null })]).then(([svg, clear]) => {
+            assert.equal(elements(clear, "rect").length, elements(svg, "rect").length - 1);
+        }));
+
+    it("grows the image to include the legends, drawn as svg", () =>
+        exportChart({ legends: true }).then(svg => {
+            const [root] = elements(svg, "svg");
+            assert.deepEqual([root.width, root.height], ["600", "155"]);
+            const [group] = elements(svg, "g").filter(g => g.class === "legend");
+            assert(group, "no legend in the export");
+            assert(/<text[^>]*>In<\/text>/.test(svg));
+        }));
+
+    it("embeds the canvas of a chart drawn into one as an image", () =>
+        exportChart({}, { renderer: "canvas" }).then(svg => {
+            assert.equal(elements(svg, "foreignObject").length, 0);
+            const [image] = elements(svg, "image");
+            assert.deepEqual(["x", "y", "width", "height", "xlink:href"].map(name => image[name]), [
+                "0",
+                "0",
+                "520",
+                "100",
+                "data:image/png;base64,AAAA"
+            ]);
+        }));
+});
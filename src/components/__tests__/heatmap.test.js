@@ -0,0 +1,138 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import React from "react";
+import ReactDOMServer from "react-dom/server";
+import { TimeSeries } from "pondjs";
+
+import ChartContainer from "../ChartContainer";
+import ChartRow from "../ChartRow";
+import Charts from "../Charts";
+import HeatmapChart from "../HeatmapChart";
+import HeatmapLegend from "../HeatmapLegend";
+import { elements, styleOf } from "./markup";
+
+const begin = Date.UTC(2018, 0, 1);
+const HOUR = 60 * 60 * 1000;
+
+// Two days, each 300 pixels wide in a chart without an axis, which takes
+// the whole 600 pixels, with values from 0 to 10
+const series = new TimeSeries({
+    name: "latency",
+    columns: ["index", "fast", "slow"],
+    points: [["1d-17532", 0, 5], ["1d-17533", 10, null]]
+});
+
+// A gray from black, at the bottom of the domain, to white at the top
+const grays = t => `hsl(0,0%,${t * 100}%)`;
+
+// The x, y, width and height of each cell, with its fill, for a chart 100
+// pixels high
+function cells(chart) {
+    const markup = ReactDOMServer.renderToStaticMarkup(
+        <ChartContainer timeRange={chart.props.series.range()} width={600} utc>
+            <ChartRow height={100} axisMargin={0}>
+                <Charts>{chart}</Charts>
+            </ChartRow>
+        </ChartContainer>
+    );
+    return elements(markup, "rect")
+        .filter(rect => styleOf(rect, "fill") && styleOf(rect, "fill").startsWith("hsl"))
+        .map(rect => [
+            ...["x", "y", "width", "height"].map(name => Number(rect[name])),
+            styleOf(rect, "fill")
+        ]);
+}
+
+describe("HeatmapChart", () => {
+    it("draws each column as a row of cells, the first at the bottom", () => {
+        const chart = (
+            <HeatmapChart series={series} columns={["fast", "slow"]} colorScheme={grays} />
+        );
+        assert.deepEqual(cells(chart), [
+            [0, 50, 300, 50, "hsl(0,0%,0%)"],
+            [0, 0, 300, 50, "hsl(0,0%,50%)"],
+            [300, 50, 300, 50, "hsl(0,0%,100%)"]
+        ]);
+    });
+
+    it("colors the cells over the colorDomain, clamped at either end", () => {
+        const chart = (
+            <HeatmapChart
+                series={series}
+                columns={["fast"]}
+                colorScheme={grays}
+                colorDomain={[0, 5]}
+                spacing={1}
+            />
+        );
+        assert.deepEqual(cells(chart), [
+            [1, 1, 298, 98, "hsl(0,0%,0%)"],
+            [301, 1, 298, 98, "hsl(0,0%,100%)"]
+        ]);
+    });
+
+    it("extends the cells of time events to the next event", () => {
+        const hourly = new TimeSeries({
+            name: "hourly",
+            columns: ["time", "value"],
+            points: [[begin, 0], [begin + HOUR, 5], [begin + 3 * HOUR, 10]]
+        });
+        const chart = <HeatmapChart series={hourly} columns={["value"]} colorScheme={grays} />;
+        assert.deepEqual(cells(chart).map(([x, , width]) => [x, width]), [
+            [0, 200],
+            [200, 400],
+            [600, 400]
+        ]);
+    });
+
+    it("gives each category the next color of the scheme", () => {
+        const status = new TimeSeries({
+            name: "status",
+            columns: ["index", "host"],
+            points: [["1d-17532", "down"], ["1d-17533", "up"]]
+        });
+        const chart = (
+            <HeatmapChart
+                series={status}
+                columns={["host"]}
+                categories={["up", "down"]}
+                colorScheme={["hsl(120,100%,50%)", "hsl(0,100%,50%)"]}
+            />
+        );
+        assert.deepEqual(cells(chart).map(cell => cell[4]), [
+            "hsl(0,100%,50%)",
+            "hsl(120,100%,50%)"
+        ]);
+    });
+});
+
+describe("HeatmapLegend", () => {
+    it("covers the extent of the chart's series without a colorDomain", () => {
+        const markup = ReactDOMServer.renderToStaticMarkup(
+            <HeatmapLegend
+                series={series}
+                columns={["fast", "slow"]}
+                colorScheme={grays}
+                width={640}
+                height={30}
+                ticks={2}
+            />
+        );
+        const ramp = elements(markup, "rect").map(rect => styleOf(rect, "fill"));
+        assert.equal(ramp[0], grays(0.5 / 64));
+        assert.equal(ramp[63], grays(63.5 / 64));
+        const labels = markup
+            .match(/<text[^>]*>[^<]*<\/text>/g)
+            .map(t => t.replace(/<[^>]*>/g, ""));
+        assert.deepEqual(labels, ["0", "5", "10"]);
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import React from "react";
+import ReactDOMServer from "react-dom/server";
+import { TimeSeries } from "pondjs";
+
+import ChartContainer from "../ChartContainer";
+import ChartRow from "../ChartRow";
+import Charts from "../Charts";
+import HorizonChart from "../HorizonChart";
+import YAxis from "../YAxis";
+import styler from "../../js/styler";
+import { elements, styleOf } from "./markup";
+
+const begin = Date.UTC(2018, 0, 1);
+const HOUR = 60 * 60 * 1000;
+
+// Three hourly points, 260 pixels apart
+const series = new TimeSeries({
+    name: "cpu",
+    columns: ["time", "value"],
+    points: [[begin, 0], [begin + HOUR, 25], [begin + 2 * HOUR, -15]]
+});
+
+function render(props = {}, containerProps = {}) {
+    return ReactDOMServer.renderToStaticMarkup(
+        <ChartContainer timeRange={series.range()} width={600} utc {...containerProps}>
+            <ChartRow height={30} axisMargin={0}>
+                <YAxis id="y" min={-30} max={30} type="linear" />
+                <Charts>
+                    <HorizonChart axis="y" series={series} column="value" {...props} />
+                </Charts>
+            </ChartRow>
+        </ChartContainer>
+    );
+}
+
+// The bands, as their paths and fills, with the positive bands first, from
+// the lowest to the highest
+function bands(markup) {
+    return elements(markup, "path")
+        .filter(path => path["pointer-events"] === "none")
+        .map(path => [path.d, styleOf(path, "fill")]);
+}
+
+describe("HorizonChart", () => {
+    it("folds the values into bands of the axis' extent, each filling the chart", () => {
+        // Bands of 10 for an axis from -30 to 30 in a chart 30 pixels high
+        const paths = bands(render()).map(([d]) => d);
+        assert.deepEqual(paths, [
+            "M0,30L260,0L520,30L520,30L260,30L0,30Z",
+            "M0,30L260,0L520,30L520,30L260,30L0,30Z",
+            "M0,30L260,15L520,30L520,30L260,30L0,30Z",
+            "M0,30L260,30L520,0L520,30L260,30L0,30Z",
+            "M0,30L260,30L520,15L520,30L260,30L0,30Z",
+            "M0,30L260,30L520,30L520,30L260,30L0,30Z"
+        ]);
+    });
+
+    it("hangs the negative values from the top in the 'offset' mode", () => {
+        const paths = bands(render({ mode: "offset" })).map(([d]) => d);
+        assert.deepEqual(paths.slice(3, 5), [
+            "M0,0L260,0L520,30L520,0L260,0L0,0Z",
+            "M0,0L260,0L520,15L520,0L260,0L0,0Z"
+        ]);
+    });
+
+    it("shades the bands from light to the full color of a Styler's column", () => {
+        const style = styler([{ key: "value", color: "#0000ff", negative: "#ff0000" }]);
+        const fills = bands(render({ style })).map(([, fill]) => fill);
+        assert.deepEqual(fills, [
+            "rgb(170, 170, 255)",
+            "rgb(85, 85, 255)",
+            "rgb(0, 0, 255)",
+            "rgb(255, 170, 170)",
+            "rgb(255, 85, 85)",
+            "rgb(255, 0, 0)"
+        ]);
+    });
+
+    it("shows the value at the tracker's time with its label", () => {
+        const markup = render(
+            { label: "host1", format: ".1f" },
+            { trackerPosition: new Date(begin + HOUR) }
+        );
+        const [label] = elements(markup, "text").filter(text => text.dy === "0.35em");
+        assert.deepEqual([label.x, label.y], ["264", "15"]);
+        assert(markup.includes(">host1: 25.0</text>"));
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import _ from "underscore";
+
+//
+// Helpers to pick apart the static markup of server rendered charts
+//
+
+const AXIS_CLASSES = ["yaxis", "x axis"];
+
+/**
+ * Returns the attributes of each `<tag>` element in the markup, in order,
+ * as an object of attribute names to their (string) values
+ */
+export function elements(markup, tag) {
+    const tags = markup.match(new RegExp(`<${tag}(\\s[^>]*)?>`, "g")) || [];
+    return tags.map(element => {
+        const attributes = element.match(/[\w:-]+="[^"]*"/g) || [];
+        return _.object(
+            attributes.map(attribute => {
+                const i = attribute.indexOf("=");
+                return [attribute.slice(0, i), attribute.slice(i + 2, -1)];
+            })
+        );
+    });
+}
+
+/**
+ * Returns the value of a property of an element's style attribute
+ */
+export function styleOf(element, name) {
+    const declaration = (element.style || "").split(";").find(d => d.split(":")[0] === name);
+    return declaration ? declaration.slice(name.length + 1) : undefined;
+}
+
+/**
+ * Returns the markup of the axis with the class, up to the next axis
+ */
+export function axisMarkup(markup, className) {
+    const start = markup.indexOf(`class="${className}"`);
+    assert(start >= 0, `no ${className} element`);
+    const ends = AXIS_CLASSES.map(c => markup.indexOf(`class="${c}"`, start + 1)).filter(
+        i => i > start
+    );
+    return markup.slice(start, ends.length ? Math.min(...ends) : markup.length);
+}
+
+/**
+ * Returns the text of the tick labels of the axis with the class
+ */
+export function tickLabels(markup, className) {
+    const ticks = axisMarkup(markup, className).match(
+        /<g class="tick"[^>]*>.*?<text[^>]*>([^<]*)<\/text>/g
+    );
+    return (ticks || []).map(tick => tick.replace(/.*>([^<]*)<\/text>$/, "$1"));
+}
+
+/**
+ * Returns the length of the longest tick line of the axis with the class
+ */
+export function tickLength(markup, className) {
+    const ticks = axisMarkup(markup, className).match(/<g class="tick"[^>]*><line x2="[^"]*"/g);
+    const lengths = (ticks || []).map(tick => Math.abs(parseFloat(tick.split('x2="')[1])));
+    return Math.max(0, ...lengths);
+}
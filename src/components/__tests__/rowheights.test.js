@@ -0,0 +1,98 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import React from "react";
+import ReactDOMServer from "react-dom/server";
+import { TimeSeries } from "pondjs";
+
+import ChartContainer from "../ChartContainer";
+import ChartRow from "../ChartRow";
+import Charts from "../Charts";
+import LineChart from "../LineChart";
+import YAxis from "../YAxis";
+
+const series = new TimeSeries({
+    name: "traffic",
+    columns: ["time", "value"],
+    points: [[Date.UTC(2018, 0, 1), 1], [Date.UTC(2018, 0, 2), 2]]
+});
+
+// A row without margins, so that its rect is as tall as the row itself
+function row(props) {
+    return (
+        <ChartRow axisMargin={0} {...props}>
+            <YAxis id="y" min={0} max={10} />
+            <Charts>
+                <LineChart axis="y" series={series} columns={["value"]} />
+            </Charts>
+        </ChartRow>
+    );
+}
+
+// The top and height of each row drawn, for a container 400 pixels high,
+// of which the time axis takes 35
+function rows(rowProps, height = 400) {
+    const markup = ReactDOMServer.renderToStaticMarkup(
+        <ChartContainer timeRange={series.range()} width={600} height={height}>
+            {rowProps.map((props, i) => row({ key: i, ...props }))}
+        </ChartContainer>
+    );
+    const groups = markup.match(/translate\([^,]*,[^)]*\)"><g role="group"[^>]*><rect[^>]*>/g);
+    return groups.map(group => [
+        parseFloat(group.split(",")[1]),
+        parseFloat(group.split('height="')[1])
+    ]);
+}
+
+describe("ChartRow heights", () => {
+    it("gives each row its height without a container height", () => {
+        assert.deepEqual(rows([{ height: 50 }, { height: 80 }], undefined), [[0, 50], [50, 80]]);
+    });
+
+    it("gives percentage rows their share of what the fixed rows leave", () => {
+        assert.deepEqual(rows([{ height: 65 }, { height: "40%" }, { height: "60%" }]), [
+            [0, 65],
+            [65, 120],
+            [185, 180]
+        ]);
+    });
+
+    it("shares out the height of hidden rows", () => {
+        const shown = rows([{ height: 65, visible: false }, { height: "50%" }, { height: "50%" }]);
+        assert.deepEqual(shown, [[0, 182], [182, 182]]);
+    });
+});
+
+describe("ChartRow flex, minHeight and maxHeight", () => {
+    it("divides what is left between the flex rows by their weights", () => {
+        assert.deepEqual(rows([{ height: 65 }, { flex: 1 }, { flex: 2 }]), [
+            [0, 65],
+            [65, 100],
+            [165, 200]
+        ]);
+    });
+
+    it("holds flex rows at their limits and divides the rest between the others", () => {
+        assert.deepEqual(rows([{ flex: 1, maxHeight: 65 }, { flex: 1 }, { flex: 1 }]), [
+            [0, 65],
+            [65, 150],
+            [215, 150]
+        ]);
+        assert.deepEqual(rows([{ height: 300 }, { flex: 1, minHeight: 100 }]), [
+            [0, 300],
+            [300, 100]
+        ]);
+    });
+
+    it("keeps the height of a flex row within its limits without a container height", () => {
+        assert.deepEqual(rows([{ height: 200, flex: 1, maxHeight: 150 }], undefined), [[0, 150]]);
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import React from "react";
+import ReactDOMServer from "react-dom/server";
+import { TimeRange, TimeSeries } from "pondjs";
+
+import AreaChart from "../AreaChart";
+import ChartContainer from "../ChartContainer";
+import ChartRow from "../ChartRow";
+import Charts from "../Charts";
+import YAxis from "../YAxis";
+import styler from "../../js/styler";
+import { elements, styleOf, tickLabels } from "./markup";
+
+const begin = Date.UTC(2018, 0, 1);
+const HOUR = 60 * 60 * 1000;
+
+// Each total is 4, with "a" taking a quarter, a half, then a quarter
+const series = new TimeSeries({
+    name: "traffic",
+    columns: ["time", "a", "b"],
+    points: [[begin, 1, 3], [begin + HOUR, 2, 2], [begin + 2 * HOUR, 1, 3]]
+});
+
+const style = styler([{ key: "a", color: "#ff0000" }, { key: "b", color: "#0000ff" }]);
+
+// The y, in pixels, of each point of the top of the column's area, as drawn
+// by its outline
+function tops(markup, color) {
+    const outline = elements(markup, "path").find(path => styleOf(path, "stroke") === color);
+    return outline.d
+        .slice(1)
+        .split("L")
+        .map(point => parseFloat(point.split(",")[1]));
+}
+
+// The markup of the chart, with the ids of its clip paths, which differ
+// between renders, left out
+function render(props, axisProps, timeRange = series.range()) {
+    const markup = ReactDOMServer.renderToStaticMarkup(
+        <ChartContainer timeRange={timeRange} width={600} utc>
+            <ChartRow height={100} axisMargin={0}>
+                <YAxis id="y" {...axisProps} />
+                <Charts>
+                    <AreaChart
+                        axis="y"
+                        series={series}
+                        columns={{ up: ["a", "b"] }}
+                        style={style}
+                        stack
+                        {...props}
+                    />
+                </Charts>
+            </ChartRow>
+        </ChartContainer>
+    );
+    return markup.replace(/clip_\d+/g, "clip");
+}
+
+describe("AreaChart stack offsets", () => {
+    it("stacks the columns from zero", () => {
+        const markup = render({}, { min: 0, max: 8 });
+        assert.deepEqual(tops(markup, "#ff0000"), [87.5, 75, 87.5]);
+        assert.deepEqual(tops(markup, "#0000ff"), [50, 50, 50]);
+    });
+
+    it("normalizes each stack to a total of 1 for 'expand'", () => {
+        const markup = render({ stackOffset: "expand" }, { min: 0, max: 1 });
+        assert.deepEqual(tops(markup, "#ff0000"), [75, 50, 75]);
+        assert.deepEqual(tops(markup, "#0000ff"), [0, 0, 0]);
+    });
+
+    it("shows an automatic axis of an 'expand' stack as percentages", () => {
+        const labels = tickLabels(
+            render({ stackOffset: "expand" }, { min: "auto", max: "auto" }),
+            "yaxis"
+        );
+        assert.equal(labels[0], "0%");
+        assert.equal(labels[labels.length - 1], "100%");
+    });
+
+    it("centers a 'silhouette' streamgraph on zero", () => {
+        const markup = render({ stackOffset: "silhouette" }, { min: -4, max: 4 });
+        assert.deepEqual(tops(markup, "#ff0000"), [62.5, 50, 62.5]);
+        assert.deepEqual(tops(markup, "#0000ff"), [25, 25, 25]);
+    });
+
+    it("stacks the 'down' columns of a streamgraph after the 'up' columns", () => {
+        const columns = { up: ["a"], down: ["b"] };
+        assert.equal(
+            render({ stackOffset: "silhouette", columns }, { min: -4, max: 4 }),
+            render({ stackOffset: "silhouette" }, { min: -4, max: 4 })
+        );
+    });
+
+    it("lays out a 'wiggle' streamgraph over the whole series as it is panned", () => {
+        const axis = { min: -4, max: 4 };
+        const whole = tops(render({ stackOffset: "wiggle" }, axis), "#0000ff");
+        const panned = new TimeRange(begin + HOUR, begin + 2 * HOUR);
+        const visible = tops(render({ stackOffset: "wiggle" }, axis, panned), "#0000ff");
+        assert.deepEqual(visible.slice(-2), whole.slice(-2));
+
+        const { y1 } = AreaChart.stackedValues(
+            { series, columns: { up: ["a", "b"] }, stack: true, stackOffset: "wiggle" },
+            new Date(begin + 2 * HOUR)
+        ).b;
+        assert.equal(whole[2], 50 - y1 * 12.5);
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import React from "react";
+import ReactDOMServer from "react-dom/server";
+import { TimeSeries } from "pondjs";
+
+import ChartContainer from "../ChartContainer";
+import ChartRow from "../ChartRow";
+import Charts from "../Charts";
+import LineChart from "../LineChart";
+import SvgLegend from "../SvgLegend";
+import YAxis from "../YAxis";
+import styler from "../../js/styler";
+import { elements, styleOf } from "./markup";
+
+const series = new TimeSeries({
+    name: "traffic",
+    columns: ["time", "in", "out"],
+    points: [[Date.UTC(2018, 0, 1), 1, 2], [Date.UTC(2018, 0, 2), 3, 4]]
+});
+
+// Items sized from their labels: 16 + 4 + 6.5 per character + 10 pixels
+// wide, or 43 for "In" and 49.5 for "Out", and 16 pixels high
+const categories = [{ key: "in", label: "In" }, { key: "out", label: "Out" }];
+
+function render(legend, containerProps = {}, style = styler(["in", "out"])) {
+    return ReactDOMServer.renderToStaticMarkup(
+        <ChartContainer timeRange={series.range()} width={600} {...containerProps}>
+            <ChartRow height={100} axisMargin={0}>
+                <YAxis id="y" min={0} max={10} />
+                <Charts>
+                    <LineChart axis="y" series={series} columns={["in", "out"]} style={style} />
+                    {legend}
+                </Charts>
+            </ChartRow>
+        </ChartContainer>
+    );
+}
+
+// The position and size of the legend's box, and the position of each of
+// its items within it
+function layout(markup) {
+    const [, left, top, width, height] = markup.match(
+        /<g transform="translate\(([^,]*),([^)]*)\)"><rect width="([^"]*)" height="([^"]*)" style="fill:#FFFFFF/
+    );
+    const items = markup.match(/<g transform="translate\([^)]*\)" style="cursor:/g) || [];
+    return {
+        box: [left, top, width, height].map(Number),
+        items: items.map(item =>
+            item
+                .match(/\(([^,]*),([^)]*)\)/)
+                .slice(1)
+                .map(Number)
+        )
+    };
+}
+
+describe("SvgLegend", () => {
+    it("places the items side by side in the top right corner of the chart", () => {
+        const markup = render(<SvgLegend type="line" categories={categories} />);
+        assert.deepEqual(layout(markup), {
+            box: [520 - 100.5 - 5, 5, 100.5, 24],
+            items: [[4, 4], [47, 4]]
+        });
+    });
+
+    it("stacks the items in the bottom left corner of the chart", () => {
+        const markup = render(
+            <SvgLegend
+                type="line"
+                categories={categories}
+                stack
+                position="bottom-left"
+                offsetX={10}
+            />
+        );
+        assert.deepEqual(layout(markup), {
+            box: [10, 100 - 40 - 5, 57.5, 40],
+            items: [[4, 4], [4, 20]]
+        });
+    });
+
+    it("draws the symbols in the colors of the Styler", () => {
+        const style = styler([{ key: "in", color: "#ff0000" }, { key: "out", color: "#0000ff" }]);
+        const markup = render(<SvgLegend type="line" categories={categories} style={style} />);
+        const symbols = elements(markup, "line").filter(line => line.x2 === "16");
+        assert.deepEqual(symbols.map(line => styleOf(line, "stroke")), ["#ff0000", "#0000ff"]);
+    });
+
+    it("is drawn in the title band when it is the legend of the container", () => {
+        const legend = <SvgLegend type="line" categories={categories} />;
+        const withLegend = render(null, { legend });
+        const without = render(null);
+        assert.deepEqual(layout(withLegend).box, [520 - 100.5 - 5, 5, 100.5, 24]);
+        const height = markup => Number(markup.match(/<svg width="600" height="([^"]*)"/)[1]);
+        assert.equal(height(withLegend), height(without) + 28);
+    });
+
+    it("mutes the items hidden through its Styler, which the charts leave out", () => {
+        const style = styler([{ key: "in", color: "#ff0000" }, { key: "out", color: "#0000ff" }]);
+        style.visibility.set("hidden", ["out"]);
+        const markup = render(
+            <SvgLegend type="line" categories={categories} style={style} />,
+            {},
+            style
+        );
+        const labels = elements(markup, "text").filter(text => text.x === "20");
+        assert.deepEqual(labels.map(text => styleOf(text, "opacity")), ["0.7", "0.5"]);
+        const lines = elements(markup, "path").filter(path => path.d && path.d.startsWith("M0"));
+        assert(!lines.some(path => styleOf(path, "stroke") === "#0000ff"));
+        assert(lines.some(path => styleOf(path, "stroke") === "#ff0000"));
+    });
+});
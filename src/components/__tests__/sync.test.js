@@ -0,0 +1,128 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import React from "react";
+import ReactDOMServer from "react-dom/server";
+import { TimeRange, TimeSeries } from "pondjs";
+
+import ChartContainer from "../ChartContainer";
+import ChartRow from "../ChartRow";
+import ChartSync from "../ChartSync";
+import Charts from "../Charts";
+import LineChart from "../LineChart";
+import YAxis from "../YAxis";
+import { elements, styleOf, tickLabels } from "./markup";
+
+const begin = Date.UTC(2018, 0, 1);
+const HOUR = 60 * 60 * 1000;
+
+const series = new TimeSeries({
+    name: "traffic",
+    columns: ["time", "in", "out"],
+    points: [[begin, 1, 2], [begin + 12 * HOUR, 3, 1], [begin + 24 * HOUR, 2, 4]]
+});
+
+const day = new TimeRange(begin, begin + 24 * HOUR);
+const afternoon = new TimeRange(begin + 12 * HOUR, begin + 18 * HOUR);
+
+// A ChartSync whose "traffic" group starts with the values given as props
+class SeededSync extends ChartSync {
+    constructor(props) {
+        super(props);
+        const group = this.registry.group("traffic");
+        props.values.forEach(([key, value]) => group.set(key, value));
+    }
+}
+
+function chart(timeRange, syncGroup) {
+    return (
+        <ChartContainer timeRange={timeRange} syncGroup={syncGroup} width={600} utc>
+            <ChartRow height={100}>
+                <YAxis id="y" min={0} max={5} />
+                <Charts>
+                    <LineChart axis="y" series={series} columns={["in", "out"]} />
+                </Charts>
+            </ChartRow>
+        </ChartContainer>
+    );
+}
+
+// The markup of each chart, in the order they are rendered
+function charts(markup) {
+    return markup.split("<svg").slice(1);
+}
+
+// The x of each tracker line drawn
+function trackers(markup) {
+    const lines =
+        markup.match(/<g style="pointer-events:none"[^>]*><g><line[^>]*x1="[^"]*"/g) || [];
+    return lines.map(line => parseFloat(line.split('x1="')[1]));
+}
+
+// The stroke of each line drawn by a LineChart, leaving out the wider
+// transparent lines which are there to be hovered over
+function strokes(markup) {
+    return elements(markup, "path")
+        .filter(path => styleOf(path, "pointer-events") === "none")
+        .map(path => styleOf(path, "stroke"));
+}
+
+describe("ChartSync", () => {
+    it("gives the charts of a group the time range of the first", () => {
+        const markup = ReactDOMServer.renderToStaticMarkup(
+            <ChartSync>
+                {chart(day, "traffic")}
+                {chart(afternoon, "traffic")}
+            </ChartSync>
+        );
+        const [first, second] = charts(markup);
+        assert.deepEqual(tickLabels(second, "x axis"), tickLabels(first, "x axis"));
+        assert.notDeepEqual(
+            tickLabels(ReactDOMServer.renderToStaticMarkup(chart(afternoon)), "x axis"),
+            tickLabels(first, "x axis")
+        );
+    });
+
+    it("draws the tracker of the group on each of its charts", () => {
+        const markup = ReactDOMServer.renderToStaticMarkup(
+            <SeededSync values={[["tracker", new Date(begin + 12 * HOUR)]]}>
+                {chart(day, "traffic")}
+                {chart(day, "traffic")}
+                {chart(day, "other")}
+            </SeededSync>
+        );
+        const [first, second, other] = charts(markup).map(trackers);
+        assert.equal(first.length, 1);
+        assert.deepEqual(second, first);
+        assert.deepEqual(other, []);
+    });
+
+    it("highlights the column highlighted in the group", () => {
+        const markup = ReactDOMServer.renderToStaticMarkup(
+            <SeededSync values={[["highlighted", "out"]]}>
+                {chart(day, "traffic")}
+                {chart(day)}
+            </SeededSync>
+        );
+        const [synced, unsynced] = charts(markup).map(strokes);
+        assert.deepEqual(synced, ["steelblue", "#5a98cb"]);
+        assert.deepEqual(unsynced, ["steelblue", "steelblue"]);
+    });
+
+    it("doesn't share values of another shape", () => {
+        const markup = ReactDOMServer.renderToStaticMarkup(
+            <SeededSync values={[["highlighted", { event: series.at(0), column: "out" }]]}>
+                {chart(day, "traffic")}
+            </SeededSync>
+        );
+        assert.deepEqual(strokes(markup), ["steelblue", "steelblue"]);
+    });
+});
@@ -8,17 +8,23 @@
  *  LICENSE file in the root directory of this source tree.
  */
 
+export Annotations from "./components/Annotations";
 export AreaChart from "./components/AreaChart";
 export BandChart from "./components/BandChart";
 export BarChart from "./components/BarChart";
 export Baseline from "./components/Baseline";
 export BoxChart from "./components/BoxChart";
 export Brush from "./components/Brush";
+export CandlestickChart from "./components/CandlestickChart";
 export ChartContainer from "./components/ChartContainer";
 export ChartRow from "./components/ChartRow";
+export ChartSync from "./components/ChartSync";
 export Charts from "./components/Charts";
 export EventChart from "./components/EventChart";
 export EventMarker from "./components/EventMarker";
+export HeatmapChart from "./components/HeatmapChart";
+export HeatmapLegend from "./components/HeatmapLegend";
+export HorizonChart from "./components/HorizonChart";
 export LabelAxis from "./components/LabelAxis";
 export Legend from "./components/Legend";
 export LineChart from "./components/LineChart";
@@ -26,9 +32,11 @@ export MultiBrush from "./components/MultiBrush";
 export Resizable from "./components/Resizable";
 export ScatterChart from "./components/ScatterChart";
 export styler from "./js/styler";
+export SvgLegend from "./components/SvgLegend";
 export TimeAxis from "./components/TimeAxis";
 export TimeMarker from "./components/TimeMarker";
 export TimeRangeMarker from "./components/TimeRangeMarker";
+export TrendChart from "./components/TrendChart";
 export ValueAxis from "./components/ValueAxis";
 export ValueList from "./components/ValueList";
 export YAxis from "./components/YAxis";
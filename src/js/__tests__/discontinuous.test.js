@@ -0,0 +1,89 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import _ from "underscore";
+import { TimeRange } from "pondjs";
+
+import discontinuousScale, { excludedPeriods } from "../discontinuous";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Friday 5th to Tuesday 9th January 2018, in UTC
+const friday = Date.UTC(2018, 0, 5);
+const monday = Date.UTC(2018, 0, 8);
+const tuesday = Date.UTC(2018, 0, 9);
+
+describe("excludedPeriods", () => {
+    it("excludes weekends", () => {
+        assert.deepEqual(excludedPeriods({ weekends: true }, friday, tuesday, true), [
+            [friday + DAY, monday]
+        ]);
+    });
+
+    it("excludes the hours outside of the daily hours", () => {
+        const periods = excludedPeriods({ hours: ["09:00", "17:00"] }, monday, tuesday - 1, true);
+        assert.deepEqual(periods, [[monday, monday + 9 * HOUR], [monday + 17 * HOUR, tuesday]]);
+    });
+
+    it("merges ranges overlapping the other periods", () => {
+        const holiday = new TimeRange(monday - HOUR, monday + DAY);
+        const periods = excludedPeriods(
+            { weekends: true, ranges: [holiday] },
+            friday,
+            tuesday,
+            true
+        );
+        assert.deepEqual(periods, [[friday + DAY, tuesday]]);
+    });
+});
+
+describe("discontinuousScale", () => {
+    const scale = discontinuousScale({ weekends: true }, true)
+        .domain([new Date(friday), new Date(tuesday)])
+        .range([0, 200]);
+
+    it("leaves out the excluded periods", () => {
+        assert.equal(scale(new Date(friday)), 0);
+        assert.equal(scale(new Date(friday + DAY)), 100);
+        assert.equal(scale(new Date(monday)), 100);
+        assert.equal(scale(new Date(tuesday)), 200);
+    });
+
+    it("inverts positions to times outside of the excluded periods", () => {
+        assert.equal(scale.invert(50).getTime(), friday + DAY / 2);
+        assert.equal(scale.invert(100).getTime(), monday);
+        assert.equal(scale.invert(150).getTime(), monday + DAY / 2);
+    });
+
+    it("has no ticks within the excluded periods", () => {
+        const ticks = scale.ticks(10);
+        assert(ticks.length > 0);
+        assert(_.every(ticks, t => t.getUTCDay() !== 0 && t.getUTCDay() !== 6));
+    });
+
+    it("removes the gaps beyond the time around the domain", () => {
+        // Zoomed into two hours of the Monday, the Friday is beyond the
+        // weekend, and more than a chart's width away
+        const zoomed = discontinuousScale({ weekends: true }, true)
+            .domain([new Date(monday), new Date(monday + 2 * HOUR)])
+            .range([0, 200]);
+        assert.equal(zoomed(new Date(monday - 2 * DAY - HOUR)), -100);
+        assert.equal(zoomed.invert(-100).getTime(), monday - 2 * DAY - HOUR);
+        assert.equal(zoomed.invert(-2500).getTime(), friday - HOUR);
+    });
+
+    it("copies to an independent scale", () => {
+        const copy = scale.copy().range([0, 400]);
+        assert.equal(copy(new Date(monday)), 200);
+        assert.equal(scale(new Date(monday)), 100);
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import _ from "underscore";
+
+import downsample, { lttb, minMax } from "../downsample";
+
+// 1000 points spread over 100 pixels, with a spike at index 503
+const xs = _.range(1000).map(i => i / 10);
+const ys = xs.map((x, i) => (i === 503 ? 100 : Math.sin(x)));
+
+function isAscending(indices) {
+    return _.every(indices, (index, i) => i === 0 || index > indices[i - 1]);
+}
+
+describe("downsample", () => {
+    it("keeps every point in 'none' mode, or when there are too few to reduce", () => {
+        assert.deepEqual(downsample("none", xs, ys), _.range(1000));
+        assert.deepEqual(downsample("lttb", [0, 1], [5, 6]), [0, 1]);
+    });
+
+    it("reduces to about one point per pixel with lttb", () => {
+        const indices = downsample("lttb", xs, ys);
+        assert.equal(indices.length, 101);
+        assert(isAscending(indices));
+        assert.equal(indices[0], 0);
+        assert.equal(_.last(indices), 999);
+        assert(_.contains(indices, 503), "the spike is kept");
+    });
+
+    it("keeps the first, last, min and max of each pixel with minmax", () => {
+        const indices = downsample("minmax", xs, ys);
+        assert(indices.length <= 400);
+        assert(isAscending(indices));
+        assert(_.contains(indices, 503), "the spike is kept");
+    });
+
+    it("doesn't reduce points that are already a pixel or more apart with minmax", () => {
+        const sparse = _.range(10).map(i => i * 5);
+        assert.deepEqual(downsample("minmax", sparse, sparse), _.range(10));
+    });
+
+    it("throws for an unknown mode", () => {
+        assert.throws(() => downsample("average", xs, ys), /Unknown downsample mode/);
+    });
+});
+
+describe("lttb", () => {
+    it("returns every index when the threshold is at least the number of points", () => {
+        assert.deepEqual(lttb([0, 1, 2, 3], [1, 2, 3, 4], 10), [0, 1, 2, 3]);
+    });
+});
+
+describe("minMax", () => {
+    it("keeps the first, last, min and max of each bucket", () => {
+        const bxs = [0, 0.2, 0.4, 0.6, 0.8, 1.2, 1.4];
+        const bys = [3, 9, 1, 5, 4, 2, 2];
+        assert.deepEqual(minMax(bxs, bys, 1), [0, 1, 2, 4, 5, 6]);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import _ from "underscore";
+
+import trend, { ewma, linearRegression, loess, movingAverage, rollingBands } from "../trend";
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((value, i) => {
+        if (expected[i] === null) {
+            assert.strictEqual(value, null);
+        } else {
+            assert(
+                Math.abs(value - expected[i]) < tolerance,
+                `${value} is not close to ${expected[i]} at ${i}`
+            );
+        }
+    });
+}
+
+describe("movingAverage", () => {
+    it("averages each trailing window, with nulls before the first", () => {
+        assertClose(movingAverage([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+    });
+});
+
+describe("ewma", () => {
+    it("starts at the first value and weights each value by 2 / (window + 1)", () => {
+        assertClose(ewma([2, 4, 4], 3), [2, 3, 3.5]);
+    });
+});
+
+describe("linearRegression", () => {
+    it("fits a line exactly to points on a line", () => {
+        const xs = [0, 1, 2, 3];
+        assertClose(linearRegression(xs, xs.map(x => 2 * x + 1)), [1, 3, 5, 7]);
+    });
+
+    it("fits the least squares line to scattered points", () => {
+        assertClose(linearRegression([0, 1, 2], [0, 2, 1]), [0.5, 1, 1.5]);
+    });
+});
+
+describe("loess", () => {
+    it("follows a line exactly", () => {
+        const xs = _.range(20);
+        const ys = xs.map(x => 3 * x - 2);
+        assertClose(loess(xs, ys, 0.3), ys, 1e-6);
+    });
+
+    it("smooths out noise", () => {
+        const xs = _.range(40);
+        const ys = xs.map(x => (x % 2 ? 1 : -1));
+        const smoothed = loess(xs, ys, 0.5);
+        assert(_.every(smoothed.slice(5, 35), y => Math.abs(y) < 0.3));
+    });
+});
+
+describe("rollingBands", () => {
+    it("places the bands sigma standard deviations about the moving average", () => {
+        const { mean, upper, lower } = rollingBands([1, 3, 1, 3], 2, 2);
+        assertClose(mean, [null, 2, 2, 2]);
+        assertClose(upper, [null, 4, 4, 4]);
+        assertClose(lower, [null, 0, 0, 0]);
+    });
+});
+
+describe("trend", () => {
+    const xs = [0, 1, 2, 3, 4];
+    const ys = [1, 2, 3, 4, 5];
+
+    it("computes the trend of the type", () => {
+        assertClose(trend("movingAverage", xs, ys, { window: 2 }).trend, [
+            null,
+            1.5,
+            2.5,
+            3.5,
+            4.5
+        ]);
+        assertClose(trend("linear", xs, ys).trend, ys);
+    });
+
+    it("only returns bands for the 'bands' type", () => {
+        assert(!_.has(trend("ewma", xs, ys), "upper"));
+        const bands = trend("bands", xs, ys, { window: 2, sigma: 1 });
+        assertClose(bands.upper, [null, 2, 3, 4, 5]);
+        assertClose(bands.lower, [null, 1, 2, 3, 4]);
+    });
+
+    it("throws for an unknown type", () => {
+        assert.throws(() => trend("median", xs, ys), /Unknown trend type/);
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+
+import { constrainPan, constrainZoom } from "../util";
+
+function times(range) {
+    return [range.begin().getTime(), range.end().getTime()];
+}
+
+describe("constrainZoom", () => {
+    it("returns the range as it is without constraints", () => {
+        assert.deepEqual(times(constrainZoom(100, 200, 150)), [100, 200]);
+    });
+
+    it("widens a range shorter than the minDuration about the center", () => {
+        assert.deepEqual(times(constrainZoom(140, 160, 150, { minDuration: 100 })), [100, 200]);
+        assert.deepEqual(times(constrainZoom(100, 120, 100, { minDuration: 100 })), [100, 200]);
+    });
+
+    it("keeps the range within the minTime and maxTime", () => {
+        const constraints = { minTime: new Date(0), maxTime: new Date(1000) };
+        assert.deepEqual(times(constrainZoom(-100, 200, 50, constraints)), [0, 300]);
+        assert.deepEqual(times(constrainZoom(900, 1100, 1000, constraints)), [800, 1000]);
+    });
+
+    it("limits the duration to that between the minTime and maxTime", () => {
+        const constraints = { minTime: new Date(0), maxTime: new Date(1000) };
+        assert.deepEqual(times(constrainZoom(-500, 1500, 500, constraints)), [0, 1000]);
+    });
+});
+
+describe("constrainPan", () => {
+    const constraints = { minTime: new Date(0), maxTime: new Date(1000) };
+
+    it("returns the range as it is within the constraints", () => {
+        assert.deepEqual(times(constrainPan(100, 200, constraints)), [100, 200]);
+    });
+
+    it("stops at the minTime and maxTime, keeping the duration", () => {
+        assert.deepEqual(times(constrainPan(-50, 50, constraints)), [0, 100]);
+        assert.deepEqual(times(constrainPan(950, 1050, constraints)), [900, 1000]);
+    });
+});
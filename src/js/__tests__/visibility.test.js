@@ -0,0 +1,85 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import assert from "assert";
+import React from "react";
+
+import styler from "../styler";
+import { soloHidden, toggleHidden, visibilityGroup, withoutHidden } from "../visibility";
+
+const Chart = () => null;
+
+describe("toggleHidden", () => {
+    it("hides a shown key and shows a hidden one", () => {
+        assert.deepEqual(toggleHidden([], "a"), ["a"]);
+        assert.deepEqual(toggleHidden(["a", "b"], "a"), ["b"]);
+    });
+});
+
+describe("soloHidden", () => {
+    const keys = ["a", "b", "c"];
+
+    it("hides every other key", () => {
+        assert.deepEqual(soloHidden([], "b", keys), ["a", "c"]);
+        assert.deepEqual(soloHidden(["b"], "b", keys), ["a", "c"]);
+    });
+
+    it("shows every key again if the key was the only one shown", () => {
+        assert.deepEqual(soloHidden(["a", "c", "other"], "b", keys), ["other"]);
+    });
+});
+
+describe("withoutHidden", () => {
+    it("returns the same chart when nothing of it is hidden", () => {
+        const chart = <Chart columns={["a", "b"]} />;
+        assert.strictEqual(withoutHidden(chart), chart);
+        assert.strictEqual(withoutHidden(chart, ["c"]), chart);
+    });
+
+    it("removes hidden columns from a list", () => {
+        const chart = withoutHidden(<Chart columns={["a", "b"]} />, ["a"]);
+        assert.deepEqual(chart.props.columns, ["b"]);
+    });
+
+    it("removes hidden columns from each list of an object", () => {
+        const chart = withoutHidden(<Chart columns={{ up: ["a", "b"], down: ["c"] }} />, ["a"]);
+        assert.deepEqual(chart.props.columns, { up: ["b"], down: ["c"] });
+    });
+
+    it("removes the columns hidden by the legends using the chart's Styler", () => {
+        const style = styler(["a", "b", "c"]);
+        style.visibility.set("hidden", ["a"]);
+        const chart = withoutHidden(<Chart columns={["a", "b", "c"]} style={style} />, ["c"]);
+        assert.deepEqual(chart.props.columns, ["b"]);
+    });
+
+    it("returns null when all of the columns are hidden", () => {
+        assert.strictEqual(withoutHidden(<Chart columns={["a", "b"]} />, ["a", "b"]), null);
+        assert.strictEqual(withoutHidden(<Chart column="a" />, ["a"]), null);
+        assert.strictEqual(
+            withoutHidden(<Chart columns={{ up: ["a"], down: ["b"] }} />, ["a", "b"]),
+            null
+        );
+    });
+});
+
+describe("visibilityGroup", () => {
+    const style = styler(["a", "b"]);
+    const chartSync = { group: id => `group ${id}` };
+
+    it("shares the hidden columns of the legend group", () => {
+        assert.equal(visibilityGroup({ legendGroup: "g", style }, { chartSync }), "group g");
+    });
+
+    it("otherwise shares those of the Styler", () => {
+        assert.strictEqual(visibilityGroup({ legendGroup: "g", style }, {}), style.visibility);
+        assert.strictEqual(visibilityGroup({ style: {} }, { chartSync }), null);
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+
+/**
+ * Sizes the canvas to `width` x `height` CSS pixels at the device pixel
+ * ratio, clears it and returns a 2d context scaled so that drawing can be
+ * done in CSS pixels.
+ */
+export function prepareCanvas(canvas, width, height) {
+    const ratio = window.devicePixelRatio || 1;
+    const w = Math.ceil(width * ratio);
+    const h = Math.ceil(height * ratio);
+    if (canvas.width !== w || canvas.height !== h) {
+        canvas.width = w;
+        canvas.height = h;
+    }
+    const context = canvas.getContext("2d");
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+    return context;
+}
+
+function dashArray(dasharray) {
+    if (_.isArray(dasharray)) {
+        return dasharray.map(Number);
+    }
+    if (_.isString(dasharray) && dasharray !== "none") {
+        return dasharray
+            .split(/[\s,]+/)
+            .filter(d => d !== "")
+            .map(Number);
+    }
+    return [];
+}
+
+/**
+ * Fills and strokes the current path of the context using an SVG style
+ * object, as supplied to the charts (e.g. `{stroke, strokeWidth, fill, opacity}`),
+ * so that canvas rendering follows the same style semantics as the SVG.
+ */
+export function paint(context, style = {}) {
+    const {
+        fill,
+        stroke,
+        opacity = 1,
+        fillOpacity = 1,
+        strokeOpacity = 1,
+        strokeWidth = 1,
+        strokeDasharray,
+        strokeLinecap = "butt",
+        strokeLinejoin = "miter"
+    } = style;
+
+    if (fill && fill !== "none") {
+        context.globalAlpha = +opacity * +fillOpacity;
+        context.fillStyle = fill;
+        context.fill();
+    }
+
+    if (stroke && stroke !== "none") {
+        context.globalAlpha = +opacity * +strokeOpacity;
+        context.strokeStyle = stroke;
+        context.lineWidth = +strokeWidth;
+        context.lineCap = strokeLinecap;
+        context.lineJoin = strokeLinejoin;
+        context.setLineDash(dashArray(strokeDasharray));
+        context.stroke();
+    }
+
+    context.globalAlpha = 1;
+}
+
+/**
+ * Returns the distance from the point (x, y) to the line segment
+ * between (x0, y0) and (x1, y1).
+ */
+export function distanceToSegment(x, y, x0, y0, x1, y1) {
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const lengthSquared = dx * dx + dy * dy;
+    let t = lengthSquared ? ((x - x0) * dx + (y - y0) * dy) / lengthSquared : 0;
+    t = Math.max(0, Math.min(1, t));
+    const px = x0 + t * dx;
+    const py = y0 + t * dy;
+    return Math.sqrt((x - px) * (x - px) + (y - py) * (y - py));
+}
@@ -0,0 +1,75 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+import { scaleOrdinal, scaleSequential } from "d3-scale";
+import * as chromatic from "d3-scale-chromatic";
+
+/**
+ * Returns a function mapping [0, 1] to a color. The `scheme` may be such a
+ * function or the name of a d3-scale-chromatic interpolator, with or without
+ * its "interpolate" prefix, e.g. "Viridis" or "interpolateRdYlBu".
+ */
+export function colorInterpolator(scheme) {
+    if (_.isFunction(scheme)) {
+        return scheme;
+    }
+    const interpolator = chromatic[scheme] || chromatic[`interpolate${scheme}`];
+    if (!_.isFunction(interpolator)) {
+        throw new Error(`Unknown color interpolator '${scheme}'`);
+    }
+    return interpolator;
+}
+
+/**
+ * Returns a list of colors. The `scheme` may be such a list or the name of
+ * a d3-scale-chromatic scheme, with or without its "scheme" prefix, e.g.
+ * "Category10" or "schemeSet2". For the sequential and diverging schemes,
+ * which come in several sizes, the largest is used.
+ */
+export function colorList(scheme) {
+    if (_.isArray(scheme)) {
+        return scheme;
+    }
+    const colors = chromatic[scheme] || chromatic[`scheme${scheme}`];
+    if (!_.isArray(colors)) {
+        throw new Error(`Unknown color scheme '${scheme}'`);
+    }
+    return _.isArray(_.last(colors)) ? _.last(colors) : colors;
+}
+
+/**
+ * Returns the domain, as [min, max], over which the values of the `columns`
+ * of the series are colored: the extent of the columns over the whole
+ * series, or [0, 1] if it has no values.
+ */
+export function valueDomain(series, columns) {
+    const min = _.min(columns.map(column => series.min(column)));
+    const max = _.max(columns.map(column => series.max(column)));
+    return _.isFinite(min) && _.isFinite(max) ? [min, max] : [0, 1];
+}
+
+/**
+ * Returns a function mapping a value to a color. With a list of
+ * `categories` each category is given the next color of the `scheme`, as
+ * for `colorList()`. Otherwise values within the `domain` are mapped
+ * through the interpolator named by `scheme`, as for `colorInterpolator()`,
+ * and values outside of it are given the color at the nearest end.
+ */
+export default function colorScale(scheme, domain, categories) {
+    if (categories) {
+        return scaleOrdinal()
+            .domain(categories)
+            .range(colorList(scheme));
+    }
+    return scaleSequential(colorInterpolator(scheme))
+        .domain(domain)
+        .clamp(true);
+}
@@ -0,0 +1,250 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+import { bisectRight } from "d3-array";
+import { scaleLinear, scaleTime, scaleUtc } from "d3-scale";
+import { timeDay, utcDay } from "d3-time";
+
+// The most times the gaps are extended to invert a single position
+const MAX_COVER = 8;
+
+function parseTimeOfDay(str) {
+    const [hours, minutes = 0] = str.split(":").map(Number);
+    return [hours, minutes];
+}
+
+/**
+ * Returns the periods excluded by `discontinuities` which overlap the
+ * window from `begin` to `end` (in ms), as a sorted list of non-overlapping
+ * [start, end] pairs. See `discontinuousScale()` for the options.
+ */
+export function excludedPeriods(discontinuities, begin, end, utc = false) {
+    const { weekends = false, hours, ranges = [] } = discontinuities;
+    const periods = ranges.map(range => [range.begin().getTime(), range.end().getTime()]);
+
+    if (weekends || hours) {
+        const day = utc ? utcDay : timeDay;
+        const open = hours ? parseTimeOfDay(hours[0]) : null;
+        const close = hours ? parseTimeOfDay(hours[1]) : null;
+        const at = (d, [h, m]) => {
+            const t = new Date(d);
+            if (utc) {
+                t.setUTCHours(h, m);
+            } else {
+                t.setHours(h, m);
+            }
+            return t.getTime();
+        };
+
+        day.range(day.floor(new Date(begin)), new Date(end)).forEach(d => {
+            const dayOfWeek = utc ? d.getUTCDay() : d.getDay();
+            const dayStart = d.getTime();
+            const dayEnd = day.offset(d, 1).getTime();
+            if (weekends && (dayOfWeek === 0 || dayOfWeek === 6)) {
+                periods.push([dayStart, dayEnd]);
+            } else if (hours) {
+                periods.push([dayStart, at(d, open)]);
+                periods.push([at(d, close), dayEnd]);
+            }
+        });
+    }
+
+    // Sort and merge overlapping or adjacent periods
+    const merged = [];
+    _.sortBy(periods.filter(([s, e]) => e > s), p => p[0]).forEach(([s, e]) => {
+        const last = _.last(merged);
+        if (last && s <= last[1]) {
+            last[1] = Math.max(last[1], e);
+        } else {
+            merged.push([s, e]);
+        }
+    });
+    return merged;
+}
+
+/**
+ * A time scale that skips over excluded periods, such as weekends, nights
+ * or market closures. Time within those periods takes up no space, so the
+ * data either side of a gap is drawn next to each other. The scale has the
+ * same interface as a d3 time scale, as used by the charts, the time axis,
+ * the tracker and the pan and zoom behavior.
+ *
+ * The `discontinuities` object may contain:
+ *
+ *  * `weekends` - if true, Saturdays and Sundays are excluded
+ *  * `hours` - the daily hours to keep, as ["HH:MM", "HH:MM"] (e.g.
+ *    ["09:30", "16:00"]). The rest of each day is excluded
+ *  * `ranges` - a list of Pond TimeRanges to exclude, e.g. holidays
+ *
+ * Days and hours are in local time, unless `utc` is true.
+ */
+export default function discontinuousScale(discontinuities = {}, utc = false) {
+    const base = utc ? scaleUtc() : scaleTime();
+    const linear = scaleLinear();
+
+    let starts = [];
+    let ends = [];
+    let collapsedStarts = [];
+    let removedAfter = [];
+    let covered = [0, 0];
+
+    // Time, in ms, with the excluded periods before it removed
+    function collapse(t) {
+        const i = bisectRight(starts, t) - 1;
+        if (i < 0) {
+            return t;
+        }
+        if (t < ends[i]) {
+            return collapsedStarts[i];
+        }
+        return t - removedAfter[i];
+    }
+
+    // The inverse of collapse(). A time at a gap maps to the end of the gap.
+    function expand(c) {
+        const i = bisectRight(collapsedStarts, c) - 1;
+        return i < 0 ? c : c + removedAfter[i];
+    }
+
+    function isExcluded(t) {
+        const i = bisectRight(starts, +t) - 1;
+        return i >= 0 && +t < ends[i];
+    }
+
+    // Builds the gaps over the time from lo to hi, in ms, and collapses the
+    // domain with them
+    function build(lo, hi) {
+        const periods = excludedPeriods(discontinuities, lo, hi, utc);
+        let removed = 0;
+        starts = [];
+        ends = [];
+        collapsedStarts = [];
+        removedAfter = [];
+        periods.forEach(([s, e]) => {
+            starts.push(s);
+            ends.push(e);
+            collapsedStarts.push(s - removed);
+            removed += e - s;
+            removedAfter.push(removed);
+        });
+        covered = [lo, hi];
+
+        const [d0, d1] = base.domain().map(Number);
+        linear.domain([collapse(d0), collapse(d1)]);
+    }
+
+    // Extends the gaps to cover the time t, so that a time outside of those
+    // covered, such as that of an event beyond the edge of the chart, has
+    // every gap between it and the domain removed. The covered time is at
+    // least doubled each time, so that this is seldom needed.
+    function cover(t) {
+        if (!_.isFinite(t) || (t >= covered[0] && t <= covered[1])) {
+            return;
+        }
+        const width = covered[1] - covered[0];
+        build(Math.min(covered[0], t - width), Math.max(covered[1], t + width));
+    }
+
+    function rescale() {
+        const [d0, d1] = base.domain().map(Number);
+
+        // Build the gaps over the domain and a domain's width either side,
+        // which covers panning by up to the width of the chart, and extend
+        // them as times beyond that are asked for
+        const span = Math.max(Math.abs(d1 - d0), 1);
+        build(d0 - span, d1 + span);
+    }
+
+    function scale(t) {
+        cover(+t);
+        return linear(collapse(+t));
+    }
+
+    // Extends the covered time until it includes the time at x, by up to
+    // MAX_COVER doublings, before inverting it
+    scale.invert = x => {
+        let c = linear.invert(x);
+        for (let i = 0; i < MAX_COVER; i += 1) {
+            const [lo, hi] = covered.map(collapse);
+            if (c >= lo && c <= hi) {
+                break;
+            }
+            cover(c < lo ? covered[0] - 1 : covered[1] + 1);
+            c = linear.invert(x);
+        }
+        return new Date(expand(c));
+    };
+
+    scale.domain = (...args) => {
+        if (!args.length) {
+            return base.domain();
+        }
+        base.domain(args[0]);
+        rescale();
+        return scale;
+    };
+
+    scale.range = (...args) => {
+        if (!args.length) {
+            return linear.range();
+        }
+        linear.range(args[0]);
+        return scale;
+    };
+
+    /**
+     * Ticks outside of the excluded periods. Given an interval, as for a
+     * d3 time scale, those ticks are returned. Given a count, the interval
+     * is chosen so that about that many ticks fall within the time that's
+     * shown, and ticks which would crowd each other across a gap are dropped.
+     */
+    scale.ticks = (...args) => {
+        if (args.length && !_.isNumber(args[0])) {
+            return base.ticks(...args).filter(t => !isExcluded(t));
+        }
+
+        const count = args.length ? args[0] : 10;
+        const [d0, d1] = base.domain().map(Number);
+        const shown = Math.max(Math.abs(collapse(d1) - collapse(d0)), 1);
+        const candidates = base
+            .ticks(Math.ceil((count * Math.abs(d1 - d0)) / shown))
+            .filter(t => !isExcluded(t));
+
+        const minSpacing = shown / (count * 2);
+        const ticks = [];
+        candidates.forEach(t => {
+            if (!ticks.length || collapse(+t) - collapse(+_.last(ticks)) >= minSpacing) {
+                ticks.push(t);
+            }
+        });
+        return ticks;
+    };
+
+    scale.tickFormat = (...args) => base.tickFormat(...args);
+
+    scale.nice = () => scale;
+
+    scale.copy = () =>
+        discontinuousScale(discontinuities, utc)
+            .domain(base.domain())
+            .range(linear.range());
+
+    /**
+     * Returns the excluded periods within the domain, as [start, end] pairs
+     */
+    scale.gaps = () => {
+        const [d0, d1] = base.domain().map(Number);
+        return _.zip(starts, ends).filter(([s, e]) => e > d0 && s < d1);
+    };
+
+    rescale();
+    return scale;
+}
@@ -0,0 +1,135 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+
+/**
+ * Largest-Triangle-Three-Buckets. Reduces the points to `threshold` points
+ * by splitting them into buckets and picking the point in each bucket which
+ * forms the largest triangle with the point picked from the previous bucket
+ * and the average of the next bucket. The first and last points are kept.
+ *
+ * See Sveinn Steinarsson, "Downsampling Time Series for Visual Representation"
+ *
+ * Returns the indices of the points to keep.
+ */
+export function lttb(xs, ys, threshold) {
+    const n = xs.length;
+    if (threshold >= n || threshold < 3) {
+        return _.range(n);
+    }
+
+    const indices = [0];
+    const bucketSize = (n - 2) / (threshold - 2);
+    let a = 0;
+
+    for (let i = 0; i < threshold - 2; i += 1) {
+        // Average of the next bucket
+        const nextStart = Math.floor((i + 1) * bucketSize) + 1;
+        const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, n);
+        let avgX = 0;
+        let avgY = 0;
+        for (let j = nextStart; j < nextEnd; j += 1) {
+            avgX += xs[j];
+            avgY += ys[j];
+        }
+        avgX /= nextEnd - nextStart;
+        avgY /= nextEnd - nextStart;
+
+        // Pick the point in this bucket with the largest triangle
+        const start = Math.floor(i * bucketSize) + 1;
+        const end = Math.floor((i + 1) * bucketSize) + 1;
+        let maxArea = -1;
+        let next = start;
+        for (let j = start; j < end; j += 1) {
+            const area = Math.abs(
+                (xs[a] - avgX) * (ys[j] - ys[a]) - (xs[a] - xs[j]) * (avgY - ys[a])
+            );
+            if (area > maxArea) {
+                maxArea = area;
+                next = j;
+            }
+        }
+
+        indices.push(next);
+        a = next;
+    }
+
+    indices.push(n - 1);
+    return indices;
+}
+
+/**
+ * Min-max decimation. Splits the points into buckets `bucketWidth` wide
+ * along x, and from each bucket keeps the first, last, minimum and maximum
+ * points. Since the extremes of each bucket are kept, spikes are always
+ * preserved.
+ *
+ * Returns the indices of the points to keep.
+ */
+export function minMax(xs, ys, bucketWidth = 1) {
+    const n = xs.length;
+    const indices = [];
+    let bucket = null;
+    let first;
+    let last;
+    let min;
+    let max;
+
+    const flush = () => {
+        _.uniq(_.sortBy([first, min, max, last]), true).forEach(i => indices.push(i));
+    };
+
+    for (let i = 0; i < n; i += 1) {
+        const b = Math.floor((xs[i] - xs[0]) / bucketWidth);
+        if (b !== bucket) {
+            if (bucket !== null) {
+                flush();
+            }
+            bucket = b;
+            first = last = min = max = i;
+        } else {
+            last = i;
+            if (ys[i] < ys[min]) min = i;
+            if (ys[i] > ys[max]) max = i;
+        }
+    }
+    if (bucket !== null) {
+        flush();
+    }
+    return indices;
+}
+
+/**
+ * Reduces points to roughly the pixel resolution they will be drawn at.
+ * The `xs` are the pixel positions of the points (in ascending order) and
+ * the `ys` are their values. The `mode` is one of:
+ *
+ *  * "lttb" - Largest-Triangle-Three-Buckets, keeping about one point per pixel
+ *  * "minmax" - keep the first, last, min and max point for each pixel
+ *  * "none" - keep every point
+ *
+ * Returns the indices of the points to keep, in order.
+ */
+export default function downsample(mode, xs, ys) {
+    const n = xs.length;
+    if (n < 3 || !mode || mode === "none") {
+        return _.range(n);
+    }
+    const pixels = Math.ceil(Math.abs(xs[n - 1] - xs[0])) + 1;
+    switch (mode) {
+        case "lttb":
+            return lttb(xs, ys, pixels);
+        case "minmax":
+            return n > pixels ? minMax(xs, ys, 1) : _.range(n);
+        default:
+            throw new Error(`Unknown downsample mode '${mode}'`);
+    }
+}
@@ -0,0 +1,161 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+import merge from "merge";
+import { area } from "d3-shape";
+import { format } from "d3-format";
+
+import { Styler } from "./styler";
+import { paint } from "./canvas";
+import { visibleEvents } from "./util";
+
+// The default width, in pixels, of the caps at the ends of the error bars
+const CAP_WIDTH = 6;
+
+const defaultStyle = {
+    bar: { stroke: "#999", strokeWidth: 1, fill: "none" },
+    ribbon: { fill: "#999", opacity: 0.25, stroke: "none" }
+};
+
+/**
+ * Returns the error range of the column of the event, as [low, high], from
+ * the companion columns given for the column in `errors`. Returns null if
+ * the column has none, or either value is missing.
+ *
+ * The `errors` map each column to `{low, high}`, the names of the columns
+ * holding the low and high values, along with the optional `display`,
+ * either "bars" (the default) or "ribbon", and `capWidth`, the width in
+ * pixels of the caps at the ends of the bars (6 by default).
+ */
+export function errorRange(errors, event, column) {
+    const spec = errors ? errors[column] : null;
+    if (!spec) {
+        return null;
+    }
+    const low = event.get(spec.low);
+    const high = event.get(spec.high);
+    return _.isFinite(low) && _.isFinite(high) ? [low, high] : null;
+}
+
+/**
+ * Returns the style of the error bars and ribbon of the column, as
+ * `{bar, ribbon}`. The `style` is either an object keyed by column, or a
+ * Styler, in which case the column's color is used.
+ */
+export function errorStyle(style, column) {
+    let provided = {};
+    if (style instanceof Styler) {
+        provided = style.errorStyle()[column] || {};
+    } else if (style && style[column]) {
+        provided = style[column];
+    }
+    return {
+        bar: merge(true, defaultStyle.bar, provided.bar || {}),
+        ribbon: merge(true, defaultStyle.ribbon, provided.ribbon || {})
+    };
+}
+
+/**
+ * Returns the info for the info box of the column of the event, with its
+ * error range, if any, added as a "Range" (or the `label` of the column's
+ * `errors`), using the `format` of the column's `errors`.
+ */
+export function errorInfo(info, errors, event, column) {
+    const range = errorRange(errors, event, column);
+    if (!range || !_.isArray(info)) {
+        return info;
+    }
+    const spec = errors[column];
+    const fmt = _.isFunction(spec.format) ? spec.format : format(spec.format || ".2f");
+    return [
+        ...info,
+        { label: spec.label || "Range", value: `${fmt(range[0])} – ${fmt(range[1])}` }
+    ];
+}
+
+/**
+ * Returns the width, in pixels, of the caps of the column's error bars
+ */
+export function capWidth(errors, column) {
+    const spec = errors[column];
+    return _.has(spec, "capWidth") ? spec.capWidth : CAP_WIDTH;
+}
+
+/**
+ * Returns the shapes of the error bars and ribbons of the column for the
+ * visible events, in pixels. Each bar is `{x, y0, y1}` and each ribbon is
+ * a list of such points, broken where the range is missing.
+ */
+export function errorShapes(props, column) {
+    const { series, timeScale, yScale, errors } = props;
+    const spec = errors ? errors[column] : null;
+    const bars = [];
+    const ribbons = [];
+    if (!spec) {
+        return { bars, ribbons };
+    }
+
+    let ribbon = [];
+    for (const event of visibleEvents(series, timeScale)) {
+        const range = errorRange(errors, event, column);
+        if (range) {
+            const t =
+                event.begin().getTime() + (event.end().getTime() - event.begin().getTime()) / 2;
+            const point = { x: timeScale(new Date(t)), y0: yScale(range[0]), y1: yScale(range[1]) };
+            if (spec.display === "ribbon") {
+                ribbon.push(point);
+            } else {
+                bars.push(point);
+            }
+        } else if (ribbon.length) {
+            ribbons.push(ribbon);
+            ribbon = [];
+        }
+    }
+    if (ribbon.length) {
+        ribbons.push(ribbon);
+    }
+    return { bars, ribbons: ribbons.filter(r => r.length > 1) };
+}
+
+/**
+ * Draws the error bars and ribbons of the column into a canvas context
+ */
+export function drawErrors(context, props, column) {
+    const { bars, ribbons } = errorShapes(props, column);
+    const style = errorStyle(props.errorStyle || props.style, column);
+    const cap = capWidth(props.errors, column);
+
+    ribbons.forEach(ribbon => {
+        context.beginPath();
+        area()
+            .x(d => d.x)
+            .y0(d => d.y0)
+            .y1(d => d.y1)
+            .context(context)(ribbon);
+        paint(context, style.ribbon);
+    });
+
+    if (bars.length) {
+        context.beginPath();
+        bars.forEach(({ x, y0, y1 }) => {
+            context.moveTo(x, y0);
+            context.lineTo(x, y1);
+            if (cap) {
+                context.moveTo(x - cap / 2, y0);
+                context.lineTo(x + cap / 2, y0);
+                context.moveTo(x - cap / 2, y1);
+                context.lineTo(x + cap / 2, y1);
+            }
+        });
+        paint(context, style.bar);
+    }
+}
@@ -0,0 +1,300 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const XLINK_NS = "http://www.w3.org/1999/xlink";
+
+// The computed style properties that affect how SVG is painted. Only these
+// are copied onto the exported elements, which keeps the output small.
+const STYLE_PROPERTIES = [
+    "fill",
+    "fill-opacity",
+    "fill-rule",
+    "stroke",
+    "stroke-width",
+    "stroke-opacity",
+    "stroke-dasharray",
+    "stroke-dashoffset",
+    "stroke-linecap",
+    "stroke-linejoin",
+    "opacity",
+    "visibility",
+    "display",
+    "font-family",
+    "font-size",
+    "font-style",
+    "font-weight",
+    "letter-spacing",
+    "text-anchor",
+    "dominant-baseline",
+    "alignment-baseline",
+    "paint-order",
+    "shape-rendering"
+];
+
+/**
+ * Copies the computed style of each element in the `source` tree onto
+ * the matching element of the cloned `target` tree.
+ */
+function inlineStyles(source, target) {
+    const computed = window.getComputedStyle(source);
+    const style = STYLE_PROPERTIES.map(name => `${name}:${computed.getPropertyValue(name)}`)
+        .filter(declaration => !_.isEmpty(declaration.split(":")[1]))
+        .join(";");
+    target.setAttribute("style", style);
+    for (let i = 0; i < source.children.length; i += 1) {
+        inlineStyles(source.children[i], target.children[i]);
+    }
+}
+
+function firstFamily(fontFamily) {
+    return fontFamily
+        .split(",")[0]
+        .trim()
+        .replace(/^["']|["']$/g, "");
+}
+
+function usedFontFamilies(node, families = new Set()) {
+    families.add(firstFamily(window.getComputedStyle(node).getPropertyValue("font-family")));
+    for (let i = 0; i < node.children.length; i += 1) {
+        usedFontFamilies(node.children[i], families);
+    }
+    return families;
+}
+
+function toDataUrl(url) {
+    return fetch(url)
+        .then(response => response.blob())
+        .then(
+            blob =>
+                new Promise((resolve, reject) => {
+                    const reader = new FileReader();
+                    reader.onload = () => resolve(reader.result);
+                    reader.onerror = reject;
+                    reader.readAsDataURL(blob);
+                })
+        );
+}
+
+/**
+ * Returns a Promise for the CSS of the @font-face rules used by the
+ * supplied font families, with each font file embedded as a data URL.
+ * Stylesheets that can't be read (e.g. cross-origin) are skipped, as
+ * are fonts that fail to load, which then fall back to their url.
+ */
+function fontFaceCss(families) {
+    const rules = [];
+    _.forEach(document.styleSheets, sheet => {
+        let cssRules;
+        try {
+            cssRules = sheet.cssRules;
+        } catch (e) {
+            return;
+        }
+        _.forEach(cssRules, rule => {
+            if (
+                rule.type === window.CSSRule.FONT_FACE_RULE &&
+                families.has(firstFamily(rule.style.getPropertyValue("font-family")))
+            ) {
+                rules.push({ css: rule.cssText, base: sheet.href || document.baseURI });
+            }
+        });
+    });
+
+    return Promise.all(
+        rules.map(({ css, base }) => {
+            const urls = [];
+            css.replace(/url\(["']?([^"')]+)["']?\)/g, (match, url) => urls.push(url));
+            return Promise.all(
+                urls.map(
+                    url =>
+                        url.startsWith("data:")
+                            ? Promise.resolve(url)
+                            : toDataUrl(new URL(url, base).href).catch(() => url)
+                )
+            ).then(dataUrls =>
+                urls.reduce((result, url, i) => result.split(url).join(dataUrls[i]), css)
+            );
+        })
+    ).then(cssList => cssList.join("\n"));
+}
+
+/**
+ * Replaces each canvas within a `<foreignObject>` of the cloned tree, such
+ * as those of a LineChart or ScatterChart with `renderer="canvas"`, with an
+ * `<image>` of what is drawn on it. A cloned canvas is blank, and viewers
+ * of standalone SVG don't render a foreignObject.
+ */
+function canvasesToImages(source, target) {
+    const sources = source.querySelectorAll("foreignObject");
+    const targets = target.querySelectorAll("foreignObject");
+    _.forEach(sources, (foreignObject, i) => {
+        const canvas = foreignObject.querySelector("canvas");
+        if (!canvas) {
+            return;
+        }
+        const image = document.createElementNS(SVG_NS, "image");
+        ["x", "y", "width", "height"].forEach(name =>
+            image.setAttribute(name, foreignObject.getAttribute(name))
+        );
+        image.setAttributeNS(XLINK_NS, "xlink:href", canvas.toDataURL("image/png"));
+        targets[i].parentNode.replaceChild(image, targets[i]);
+    });
+}
+
+/**
+ * Converts an HTML legend, as rendered by the `<Legend>` component, into SVG
+ * elements placed where the legend appears on screen relative to `origin`.
+ * The symbols are already SVG, so they are cloned. Labels and values are
+ * turned into `<text>` elements using their computed font and color.
+ */
+function legendToSvg(legend, origin) {
+    const group = document.createElementNS(SVG_NS, "g");
+    group.setAttribute("class", "legend");
+
+    _.forEach(legend.querySelectorAll("svg"), symbol => {
+        const box = symbol.getBoundingClientRect();
+        const clone = symbol.cloneNode(true);
+        inlineStyles(symbol, clone);
+        clone.setAttribute("x", box.left - origin.left);
+        clone.setAttribute("y", box.top - origin.top);
+        group.appendChild(clone);
+    });
+
+    _.forEach(legend.querySelectorAll("div"), div => {
+        const text = _.filter(div.childNodes, node => node.nodeType === window.Node.TEXT_NODE)
+            .map(node => node.textContent)
+            .join("")
+            .trim();
+        if (text) {
+            const box = div.getBoundingClientRect();
+            const computed = window.getComputedStyle(div);
+            const label = document.createElementNS(SVG_NS, "text");
+            label.setAttribute("x", box.left - origin.left);
+            label.setAttribute("y", box.top - origin.top + box.height / 2);
+            label.setAttribute(
+                "style",
+                [
+                    `fill:${computed.getPropertyValue("color")}`,
+                    `opacity:${computed.getPropertyValue("opacity")}`,
+                    `font-family:${computed.getPropertyValue("font-family")}`,
+                    `font-size:${computed.getPropertyValue("font-size")}`,
+                    `font-style:${computed.getPropertyValue("font-style")}`,
+                    `font-weight:${computed.getPropertyValue("font-weight")}`,
+                    "dominant-baseline:central"
+                ].join(";")
+            );
+            label.textContent = text;
+            group.appendChild(label);
+        }
+    });
+
+    return group;
+}
+
+/**
+ * Returns a Promise for a standalone SVG string of the supplied `<svg>`
+ * element. Computed styles are inlined, the web fonts in use are embedded
+ * and canvases are embedded as images, so the result renders the same
+ * outside of the page.
+ *
+ * Options:
+ *  * `legends` - an array of DOM nodes rendered by `<Legend>`. Each is
+ *    converted to SVG and placed where it appears relative to the chart,
+ *    growing the exported image to include it if necessary
+ *  * `background` - a fill color for the background of the image, or
+ *    null for a transparent background
+ */
+export function serializeSvg(svg, options = {}) {
+    const { legends = [], background = "white" } = options;
+
+    const origin = svg.getBoundingClientRect();
+    const clone = svg.cloneNode(true);
+    inlineStyles(svg, clone);
+    canvasesToImages(svg, clone);
+
+    // Find the bounds of the chart and any legends, relative to the chart
+    let left = 0;
+    let top = 0;
+    let right = origin.width;
+    let bottom = origin.height;
+    const legendGroups = legends.map(legend => {
+        const box = legend.getBoundingClientRect();
+        left = Math.min(left, box.left - origin.left);
+        top = Math.min(top, box.top - origin.top);
+        right = Math.max(right, box.right - origin.left);
+        bottom = Math.max(bottom, box.bottom - origin.top);
+        return legendToSvg(legend, origin);
+    });
+
+    const width = Math.ceil(right - left);
+    const height = Math.ceil(bottom - top);
+
+    const content = document.createElementNS(SVG_NS, "g");
+    content.setAttribute("transform", `translate(${-left},${-top})`);
+    while (clone.firstChild) {
+        content.appendChild(clone.firstChild);
+    }
+    legendGroups.forEach(group => content.appendChild(group));
+
+    if (background) {
+        const rect = document.createElementNS(SVG_NS, "rect");
+        rect.setAttribute("width", width);
+        rect.setAttribute("height", height);
+        rect.setAttribute("style", `fill:${background};stroke:none`);
+        clone.appendChild(rect);
+    }
+    clone.appendChild(content);
+
+    clone.setAttribute("xmlns", SVG_NS);
+    clone.setAttribute("xmlns:xlink", XLINK_NS);
+    clone.setAttribute("width", width);
+    clone.setAttribute("height", height);
+    clone.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    clone.removeAttribute("style");
+
+    const families = usedFontFamilies(svg);
+    legends.forEach(legend => usedFontFamilies(legend, families));
+
+    return fontFaceCss(families).then(css => {
+        if (css) {
+            const defs = document.createElementNS(SVG_NS, "defs");
+            const style = document.createElementNS(SVG_NS, "style");
+            style.setAttribute("type", "text/css");
+            style.textContent = css;
+            defs.appendChild(style);
+            clone.insertBefore(defs, clone.firstChild);
+        }
+        return new window.XMLSerializer().serializeToString(clone);
+    });
+}
+
+/**
+ * Returns a Promise for a PNG data URL of the supplied SVG string, drawn
+ * at `pixelRatio` device pixels per SVG pixel.
+ */
+export function rasterizeSvg(svgString, pixelRatio = 1) {
+    return new Promise((resolve, reject) => {
+        const image = new window.Image();
+        image.onload = () => {
+            const canvas = document.createElement("canvas");
+            canvas.width = Math.ceil(image.width * pixelRatio);
+            canvas.height = Math.ceil(image.height * pixelRatio);
+            const context = canvas.getContext("2d");
+            context.scale(pixelRatio, pixelRatio);
+            context.drawImage(image, 0, 0);
+            resolve(canvas.toDataURL("image/png"));
+        };
+        image.onerror = () => reject(new Error("Unable to rasterize the exported SVG"));
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgString)}`;
+    });
+}
@@ -11,6 +11,8 @@
 import _ from "underscore";
 import colorbrewer from "colorbrewer";
 
+import SyncGroup from "./sync";
+
 /**
  * For our Style we want to represent two things:
  *
@@ -77,6 +79,10 @@ export class Styler {
             throw new Error(`Unknown scheme '${scheme}' supplied to Style constructor`);
         }
         this.colorScheme = scheme;
+
+        // The group sharing the columns "hidden" by the <Legend>s using this
+        // Styler, which the charts using it leave out
+        this.visibility = new SyncGroup();
     }
 
     numColumns() {
@@ -346,6 +352,75 @@ export class Styler {
         });
         return style;
     }
+
+    /**
+     * The style of the candles of a CandlestickChart. The columns of the
+     * styler are "up", for candles which close higher than they open,
+     * and "down", for those which close lower.
+     */
+    candlestickChartStyle() {
+        const numColumns = this.numColumns();
+        const colorLookup = this.colorLookup(numColumns);
+        const style = {};
+        _.forEach(this.columnStyles, ({ color, selected }, column) => {
+            const i = _.indexOf(this.columnNames, column);
+            const c = color || colorLookup[i % colorLookup.length];
+            const candleStyle = {
+                fill: c,
+                stroke: c
+            };
+            const selectedStyle = {
+                fill: selected || c,
+                stroke: selected || c
+            };
+            style[column] = {
+                normal: { ...candleStyle, opacity: 0.8 },
+                highlighted: { ...candleStyle, opacity: 1.0 },
+                selected: { ...selectedStyle, opacity: 1.0 },
+                muted: { ...candleStyle, opacity: 0.2 }
+            };
+        });
+        return style;
+    }
+
+    /**
+     * The style of a HorizonChart, keyed by column. A column's `color` is
+     * used for its positive values and its `negative` color, if any, for
+     * its negative values.
+     */
+    horizonChartStyle() {
+        const numColumns = this.numColumns();
+        const colorLookup = this.colorLookup(numColumns);
+        const style = {};
+        _.forEach(this.columnStyles, ({ color, negative }, column) => {
+            const i = _.indexOf(this.columnNames, column);
+            const c = color || colorLookup[i % colorLookup.length];
+            style[column] = {
+                positive: { fill: c },
+                negative: negative ? { fill: negative } : {}
+            };
+        });
+        return style;
+    }
+
+    /**
+     * The style of the error bars and ribbons of a LineChart or ScatterChart,
+     * keyed by column, in the color of the column
+     */
+    errorStyle() {
+        const numColumns = this.numColumns();
+        const colorLookup = this.colorLookup(numColumns);
+        const style = {};
+        _.forEach(this.columnStyles, ({ color }, column) => {
+            const i = _.indexOf(this.columnNames, column);
+            const c = color || colorLookup[i % colorLookup.length];
+            style[column] = {
+                bar: { stroke: c, strokeWidth: 1, fill: "none" },
+                ribbon: { fill: c, opacity: 0.25, stroke: "none" }
+            };
+        });
+        return style;
+    }
 }
 
 export default function styler(columns, scheme) {
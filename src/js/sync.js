@@ -0,0 +1,67 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+
+function isSame(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime();
+    }
+    return !!a && !!b && _.isFunction(a.equals) && a.equals(b);
+}
+
+/**
+ * The shared state of a group of synchronized charts. Holds a value for
+ * each of "tracker", "timeRange", "highlighted" and "selected", and the
+ * list of columns "hidden" by a `<Legend>`, and notifies subscribers of a
+ * key whenever its value changes.
+ */
+export default class SyncGroup {
+    constructor() {
+        this.values = {
+            tracker: null,
+            timeRange: null,
+            highlighted: null,
+            selected: null,
+            hidden: []
+        };
+        this.listeners = {};
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * Sets the value of `key` and notifies its subscribers, unless the value
+     * is unchanged. Dates and Pond objects are compared by value.
+     */
+    set(key, value) {
+        if (isSame(this.values[key], value)) {
+            return;
+        }
+        this.values[key] = value;
+        _.forEach(this.listeners[key], listener => listener(value));
+    }
+
+    /**
+     * Calls `listener` with the new value whenever `key` changes. Returns a
+     * function which removes the listener.
+     */
+    subscribe(key, listener) {
+        this.listeners[key] = (this.listeners[key] || []).concat([listener]);
+        return () => {
+            this.listeners[key] = _.without(this.listeners[key], listener);
+        };
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+
+/**
+ * The mean of each trailing window of `window` values. Values before the
+ * first full window are null.
+ */
+export function movingAverage(ys, window) {
+    let sum = 0;
+    return ys.map((y, i) => {
+        sum += y;
+        if (i >= window) {
+            sum -= ys[i - window];
+        }
+        return i >= window - 1 ? sum / window : null;
+    });
+}
+
+/**
+ * The exponentially weighted moving average of the values, with a
+ * smoothing factor of 2 / (window + 1), which gives the same center of
+ * mass as a moving average over `window` values.
+ */
+export function ewma(ys, window) {
+    const alpha = 2 / (window + 1);
+    let average = null;
+    return ys.map(y => {
+        average = average === null ? y : alpha * y + (1 - alpha) * average;
+        return average;
+    });
+}
+
+/**
+ * The least squares line through the points, evaluated at each x
+ */
+export function linearRegression(xs, ys) {
+    const n = xs.length;
+    if (n < 2) {
+        return ys.slice();
+    }
+    const meanX = _.reduce(xs, (sum, x) => sum + x, 0) / n;
+    const meanY = _.reduce(ys, (sum, y) => sum + y, 0) / n;
+    let sxy = 0;
+    let sxx = 0;
+    xs.forEach((x, i) => {
+        sxy += (x - meanX) * (ys[i] - meanY);
+        sxx += (x - meanX) * (x - meanX);
+    });
+    const slope = sxx ? sxy / sxx : 0;
+    return xs.map(x => meanY + slope * (x - meanX));
+}
+
+/**
+ * Locally weighted linear regression (LOESS). Each point is fitted by a
+ * line through the nearest `bandwidth` fraction of the points, weighted by
+ * the tricube of their distance.
+ */
+export function loess(xs, ys, bandwidth) {
+    const n = xs.length;
+    const k = Math.min(Math.max(Math.ceil(bandwidth * n), 2), n);
+    if (n < 3) {
+        return ys.slice();
+    }
+
+    let left = 0;
+    return xs.map(x => {
+        // Slide the window of the k nearest points along with x
+        while (left + k < n && xs[left + k] - x < x - xs[left]) {
+            left += 1;
+        }
+        const right = left + k - 1;
+        const maxDistance = Math.max(x - xs[left], xs[right] - x) || 1;
+
+        let sw = 0;
+        let sx = 0;
+        let sy = 0;
+        let sxx = 0;
+        let sxy = 0;
+        for (let i = left; i <= right; i += 1) {
+            const d = Math.abs(xs[i] - x) / maxDistance;
+            const w = Math.pow(1 - Math.pow(Math.min(d, 1), 3), 3);
+            const dx = xs[i] - x;
+            sw += w;
+            sx += w * dx;
+            sy += w * ys[i];
+            sxx += w * dx * dx;
+            sxy += w * dx * ys[i];
+        }
+
+        // Evaluate the weighted line at x, which is its intercept as the
+        // x values are relative to x
+        if (!sw) {
+            return null;
+        }
+        const denominator = sw * sxx - sx * sx;
+        if (Math.abs(denominator) < 1e-12) {
+            return sy / sw;
+        }
+        return (sxx * sy - sx * sxy) / denominator;
+    });
+}
+
+/**
+ * The mean of each trailing window of `window` values, along with that
+ * mean plus and minus `sigma` standard deviations of the window. Values
+ * before the first full window are null.
+ */
+export function rollingBands(ys, window, sigma) {
+    const mean = movingAverage(ys, window);
+    const upper = [];
+    const lower = [];
+    ys.forEach((y, i) => {
+        if (mean[i] === null) {
+            upper.push(null);
+            lower.push(null);
+            return;
+        }
+        let variance = 0;
+        for (let j = i - window + 1; j <= i; j += 1) {
+            variance += (ys[j] - mean[i]) * (ys[j] - mean[i]);
+        }
+        const deviation = Math.sqrt(variance / window);
+        upper.push(mean[i] + sigma * deviation);
+        lower.push(mean[i] - sigma * deviation);
+    });
+    return { mean, upper, lower };
+}
+
+/**
+ * Computes a trend of the points, where `xs` are times in ms, in
+ * ascending order, and `ys` their values. The `type` is one of:
+ *
+ *  * "movingAverage" - the mean over a trailing `window` of points
+ *  * "ewma" - the exponentially weighted moving average over a `window`
+ *  * "linear" - the least squares regression line
+ *  * "loess" - a LOESS regression using a `bandwidth` fraction of the points
+ *  * "bands" - the moving average and ±`sigma` standard deviation bands
+ *
+ * Returns `{trend, upper, lower}`, each a list with a value (or null) for
+ * each point. The upper and lower lists are only returned for "bands".
+ */
+export default function trend(type, xs, ys, options = {}) {
+    const { window = 10, bandwidth = 0.3, sigma = 2 } = options;
+    switch (type) {
+        case "movingAverage":
+            return { trend: movingAverage(ys, window) };
+        case "ewma":
+            return { trend: ewma(ys, window) };
+        case "linear":
+            return { trend: linearRegression(xs, ys) };
+        case "loess":
+            return { trend: loess(xs, ys, bandwidth) };
+        case "bands": {
+            const { mean, upper, lower } = rollingBands(ys, window, sigma);
+            return { trend: mean, upper, lower };
+        }
+        default:
+            throw new Error(`Unknown trend type '${type}'`);
+    }
+}
@@ -8,10 +8,74 @@
  *  LICENSE file in the root directory of this source tree.
  */
 
+import _ from "underscore";
+import { TimeRange } from "pondjs";
+
 export function scaleAsString(scale) {
     return `${scale.domain()}-${scale.range()}`;
 }
 
+/**
+ * Returns the range of indices, as [begin, end), of the events in the
+ * series which fall within the domain of the timeScale. The range is padded
+ * by `padding` events on either side so that lines and areas drawn from
+ * those events still enter and exit the edges of the chart. The search is
+ * a bisection, so the series must be in chronological order, as a Pond
+ * TimeSeries is.
+ */
+export function visibleRange(series, timeScale, padding = 1) {
+    const size = series.size();
+    const domain = timeScale.domain().map(t => +t);
+    const t0 = Math.min(...domain);
+    const t1 = Math.max(...domain);
+
+    // First event which ends at or after the start of the domain
+    let lo = 0;
+    let hi = size;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (
+            series
+                .at(mid)
+                .end()
+                .getTime() < t0
+        )
+            lo = mid + 1;
+        else hi = mid;
+    }
+    const begin = lo;
+
+    // First event which begins after the end of the domain
+    hi = size;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (
+            series
+                .at(mid)
+                .begin()
+                .getTime() <= t1
+        )
+            lo = mid + 1;
+        else hi = mid;
+    }
+    const end = lo;
+
+    return [Math.max(begin - padding, 0), Math.min(end + padding, size)];
+}
+
+/**
+ * Returns the events of the series which fall within the domain of the
+ * timeScale, padded by one event on either side. See `visibleRange()`.
+ */
+export function visibleEvents(series, timeScale) {
+    const [begin, end] = visibleRange(series, timeScale);
+    const events = [];
+    for (let i = begin; i < end; i += 1) {
+        events.push(series.at(i));
+    }
+    return events;
+}
+
 // http://stackoverflow.com/a/28857255
 export function getElementOffset(element) {
     const de = document.documentElement;
@@ -20,3 +84,144 @@ export function getElementOffset(element) {
     const left = box.left + window.pageXOffset - de.clientLeft;
     return { top, left };
 }
+
+// Axis styles have historically been passed through to d3, so they may use
+// CSS property names (e.g. "stroke-dasharray"). Convert those to the camel
+// case names React expects for inline styles.
+export function toReactStyle(style = {}) {
+    const result = {};
+    Object.keys(style).forEach(key => {
+        const name = key.replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+        result[name] = style[key];
+    });
+    return result;
+}
+
+/**
+ * Applies the minDuration, minTime and maxTime constraints to a time range
+ * that has been zoomed about the time `center`, returning a new TimeRange.
+ * The `constraints` object may contain `minDuration` (ms), `minTime` and
+ * `maxTime` (Dates).
+ */
+export function constrainZoom(begin, end, center, constraints = {}) {
+    let beginScaled = begin;
+    let endScaled = end;
+
+    // Duration constraint
+    let duration = end - begin;
+
+    if (constraints.minDuration) {
+        const minDuration = parseInt(constraints.minDuration, 10);
+        if (duration < minDuration) {
+            beginScaled = center - ((center - begin) / (end - begin)) * minDuration;
+            endScaled = center + ((end - center) / (end - begin)) * minDuration;
+            duration = minDuration;
+        }
+    }
+
+    if (constraints.minTime && constraints.maxTime) {
+        const maxDuration = constraints.maxTime.getTime() - constraints.minTime.getTime();
+        if (duration > maxDuration) {
+            duration = maxDuration;
+        }
+    }
+
+    // Range constraint
+    if (constraints.minTime && beginScaled < constraints.minTime.getTime()) {
+        beginScaled = constraints.minTime.getTime();
+        endScaled = beginScaled + duration;
+    }
+
+    if (constraints.maxTime && endScaled > constraints.maxTime.getTime()) {
+        endScaled = constraints.maxTime.getTime();
+        beginScaled = endScaled - duration;
+    }
+
+    return new TimeRange(new Date(beginScaled), new Date(endScaled));
+}
+
+/**
+ * Applies the minTime and maxTime constraints to a panned time range,
+ * keeping its duration, and returns a new TimeRange. The `constraints`
+ * object may contain `minTime` and `maxTime` (Dates).
+ */
+export function constrainPan(begin, end, constraints = {}) {
+    let newBegin = begin;
+    let newEnd = end;
+    const duration = end - begin;
+
+    if (constraints.minTime && newBegin < constraints.minTime.getTime()) {
+        newBegin = constraints.minTime.getTime();
+        newEnd = newBegin + duration;
+    }
+
+    if (constraints.maxTime && newEnd > constraints.maxTime.getTime()) {
+        newEnd = constraints.maxTime.getTime();
+        newBegin = newEnd - duration;
+    }
+
+    return new TimeRange(newBegin, newEnd);
+}
+
+/**
+ * Returns a short text description of a chart element, from the name of its
+ * series and the columns it draws, for use as an ARIA label. Returns null
+ * for elements without a series, such as markers.
+ */
+export function describeChart(chart) {
+    const { series, columns } = chart.props;
+    if (!series || !_.isFunction(series.name)) {
+        return null;
+    }
+    const name = series.name() || "Series";
+    let cols = [];
+    if (_.isArray(columns)) {
+        cols = columns;
+    } else if (_.isString(columns)) {
+        cols = [columns];
+    } else if (_.isObject(columns)) {
+        // e.g. the up and down columns of an AreaChart
+        cols = _.uniq(_.flatten(_.values(columns)));
+    }
+    return cols.length ? `${name} (${cols.join(", ")})` : name;
+}
+
+/**
+ * Returns the [min, max] of the values a chart draws for the supplied
+ * events, from the chart's `columns` (or `column`) prop, or null if there
+ * are no values. Array values, such as those drawn by a BoxChart,
+ * contribute each of their elements, and the low and high columns of any
+ * error bars (the chart's `errors` prop) are included. Charts which transform their values,
+ * e.g. by stacking them, define a static `valueExtent(props, events)`
+ * which is used instead.
+ */
+export function valueExtent(props, events) {
+    let columns = ["value"];
+    if (_.isArray(props.columns)) {
+        columns = props.columns;
+    } else if (_.isString(props.column)) {
+        columns = [props.column];
+    }
+    if (props.errors) {
+        columns = _.flatten(
+            columns.map(column => {
+                const spec = props.errors[column];
+                return spec ? [column, spec.low, spec.high] : [column];
+            })
+        );
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    events.forEach(event => {
+        columns.forEach(column => {
+            _.flatten([event.get(column)]).forEach(value => {
+                if (_.isFinite(value)) {
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                }
+            });
+        });
+    });
+    return min <= max ? [min, max] : null;
+}
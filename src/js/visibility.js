@@ -0,0 +1,103 @@
+/**
+ *  Copyright (c) 2015-present, The Regents of the University of California,
+ *  through Lawrence Berkeley National Laboratory (subject to receipt
+ *  of any required approvals from the U.S. Dept. of Energy).
+ *  All rights reserved.
+ *
+ *  This source code is licensed under the BSD-style license found in the
+ *  LICENSE file in the root directory of this source tree.
+ */
+
+import _ from "underscore";
+import React from "react";
+
+import { Styler } from "./styler";
+
+/**
+ * Returns the hidden keys with `key` hidden if it was shown, or shown if it
+ * was hidden
+ */
+export function toggleHidden(hidden, key) {
+    return _.contains(hidden, key) ? _.without(hidden, key) : [...hidden, key];
+}
+
+/**
+ * Returns the hidden keys with every one of `keys` but `key` hidden, or with
+ * all of them shown if `key` was already the only one shown
+ */
+export function soloHidden(hidden, key, keys) {
+    const others = _.without(keys, key);
+    const isSolo = !_.contains(hidden, key) && _.difference(others, hidden).length === 0;
+    return isSolo ? _.difference(hidden, keys) : others;
+}
+
+/**
+ * Returns the columns without the hidden ones. The columns are either a
+ * list, an object of lists such as the `{up, down}` of an AreaChart, or a
+ * single column, which is null if hidden. Other values, such as the column
+ * names of a CandlestickChart, are left as they are.
+ */
+function visibleColumns(columns, hidden) {
+    if (_.isArray(columns)) {
+        return _.difference(columns, hidden);
+    }
+    if (_.isString(columns)) {
+        return _.contains(hidden, columns) ? null : columns;
+    }
+    if (_.isObject(columns)) {
+        return _.mapObject(columns, c => (_.isArray(c) ? _.difference(c, hidden) : c));
+    }
+    return columns;
+}
+
+function isEmpty(columns) {
+    if (_.isArray(columns)) {
+        return columns.length === 0;
+    }
+    if (_.isObject(columns)) {
+        const lists = _.values(columns).filter(_.isArray);
+        return lists.length > 0 && _.every(lists, list => list.length === 0);
+    }
+    return columns === null;
+}
+
+/**
+ * Returns the SyncGroup whose "hidden" columns a legend shares, given its
+ * props and context: that of its `legendGroup` within a `<ChartSync>`, or
+ * else the `visibility` of its Styler. Returns null if it has neither.
+ */
+export function visibilityGroup(props, context) {
+    if (props.legendGroup && context.chartSync) {
+        return context.chartSync.group(props.legendGroup);
+    }
+    return props.style instanceof Styler ? props.style.visibility : null;
+}
+
+/**
+ * Returns the chart element with its hidden columns removed, or null if all
+ * of them are hidden. The hidden columns are those in `hidden`, usually the
+ * hidden keys of the `<Legend>`s of the chart's container, along with those
+ * hidden by the legends using the chart's Styler, if it has one.
+ */
+export function withoutHidden(chart, hidden = []) {
+    const { style } = chart.props;
+    const allHidden =
+        style instanceof Styler ? _.union(hidden, style.visibility.get("hidden")) : hidden;
+    if (!allHidden.length) {
+        return chart;
+    }
+
+    const props = {};
+    ["columns", "column"].forEach(name => {
+        if (_.has(chart.props, name)) {
+            props[name] = visibleColumns(chart.props[name], allHidden);
+        }
+    });
+    if (_.every(props, (columns, name) => _.isEqual(columns, chart.props[name]))) {
+        return chart;
+    }
+    if (_.some(props, isEmpty)) {
+        return null;
+    }
+    return React.cloneElement(chart, props);
+}